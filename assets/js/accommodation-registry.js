@@ -0,0 +1,236 @@
+// assets/js/accommodation-registry.js
+// Accommodation Registry: accommodation catalog, need priorities and neurodiversity profiles for accommodation-aware coordination
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const accommodationCategories = ['time_allocation', 'communication_format', 'sensory', 'meeting'];
+
+    // Profiles are starting points for agents who name a neurotype but list no accommodations of their own;
+    // an explicit accommodations field always replaces them
+    const defaultAccommodations = {
+        accommodations: {
+            flexible_deadlines: { name: 'Flexible deadlines', category: 'time_allocation', description: 'Deadlines agreed with checkpoints rather than fixed up front' },
+            focus_blocks: { name: 'Protected focus time', category: 'time_allocation', description: 'Uninterrupted blocks for deep work' },
+            extended_processing_time: { name: 'Extended processing time', category: 'time_allocation', description: 'Time to process information before a response is expected' },
+            predictable_schedule: { name: 'Predictable schedule', category: 'time_allocation', description: 'Schedule changes announced well in advance' },
+            written_follow_up: { name: 'Written follow-up', category: 'communication_format', description: 'A written summary after every verbal discussion' },
+            explicit_language: { name: 'Explicit language', category: 'communication_format', description: 'Direct, literal requests with no implied expectations' },
+            asynchronous_channels: { name: 'Asynchronous channels', category: 'communication_format', description: 'Contributions accepted in writing, outside live meetings' },
+            visual_aids: { name: 'Visual aids', category: 'communication_format', description: 'Diagrams and visual task boards alongside text' },
+            audio_alternatives: { name: 'Audio alternatives', category: 'communication_format', description: 'Spoken or recorded versions of long documents' },
+            low_noise_environment: { name: 'Low-noise environment', category: 'sensory', description: 'A quiet workspace or noise-cancelling option' },
+            adjustable_lighting: { name: 'Adjustable lighting', category: 'sensory', description: 'Control over lighting; no flickering or harsh light' },
+            camera_optional: { name: 'Camera optional', category: 'sensory', description: 'Video calls where keeping the camera off is fine' },
+            agenda_in_advance: { name: 'Agenda in advance', category: 'meeting', description: 'Agenda and materials shared before the meeting' },
+            short_meetings: { name: 'Short meetings', category: 'meeting', description: 'Meetings kept under 45 minutes or split by breaks' },
+            movement_breaks: { name: 'Movement breaks', category: 'meeting', description: 'Breaks to move during long sessions' },
+            structured_turn_taking: { name: 'Structured turn-taking', category: 'meeting', description: 'A facilitated order of speaking so every voice is heard' }
+        },
+        // Weight an unmet need carries when scoring accommodation fit
+        priorities: { essential: 1, important: 0.6, preferred: 0.3 },
+        profiles: {
+            neurotypical: { name: 'Neurotypical', needs: [] },
+            adhd: {
+                name: 'ADHD',
+                needs: ['focus_blocks', 'flexible_deadlines', 'written_follow_up', 'visual_aids', 'short_meetings', 'movement_breaks']
+            },
+            autism: {
+                name: 'Autism',
+                aliases: ['autistic', 'asd', 'autism_spectrum'],
+                needs: ['predictable_schedule', 'extended_processing_time', 'explicit_language', 'low_noise_environment', 'adjustable_lighting', 'agenda_in_advance']
+            },
+            dyslexia: {
+                name: 'Dyslexia',
+                aliases: ['dyslexic'],
+                needs: ['extended_processing_time', 'audio_alternatives', 'visual_aids']
+            }
+        }
+    };
+
+    class AccommodationRegistry {
+        constructor(definition = defaultAccommodations, options = {}) {
+            this.accommodations = {};
+            this.priorities = {};
+            this.profiles = {};
+            this.aliases = new Map();
+            this.defaultPriority = options.defaultPriority ?? 'important';
+            // Needs inferred from a neurotype are a guess about the person, so they count for less than stated ones
+            this.profilePriority = options.profilePriority ?? 'preferred';
+
+            this.loadConfig(definition);
+            this.priorityWeight(this.defaultPriority);
+            this.priorityWeight(this.profilePriority);
+        }
+
+        registerAccommodation(key, definition = {}) {
+            if (typeof key !== 'string' || key.length === 0) {
+                throw new Error('Accommodation key must be a non-empty string');
+            }
+            if (!accommodationCategories.includes(definition.category)) {
+                throw new Error(`Accommodation '${key}' needs a category: ${accommodationCategories.join(', ')}`);
+            }
+
+            this.accommodations[key] = {
+                name: definition.name ?? key,
+                category: definition.category,
+                description: definition.description ?? ''
+            };
+            return this;
+        }
+
+        registerPriority(priority, weight) {
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0 || weight > 1) {
+                throw new Error(`Accommodation priority '${priority}' must have a weight above 0 and at most 1`);
+            }
+            this.priorities[priority] = weight;
+            return this;
+        }
+
+        registerProfile(key, definition = {}) {
+            const profileKey = this.profileKey(key);
+            if (!profileKey) {
+                throw new Error('Neurodiversity profile key must be a non-empty string');
+            }
+            for (const need of definition.needs || []) {
+                this.getAccommodationOrThrow(typeof need === 'string' ? need : need?.key);
+            }
+
+            this.profiles[profileKey] = { name: definition.name ?? key, needs: [...(definition.needs || [])] };
+            for (const alias of [key, ...(definition.aliases || [])]) {
+                this.aliases.set(this.profileKey(alias), profileKey);
+            }
+            return this;
+        }
+
+        getAccommodation(key) {
+            return this.accommodations[key] ? { key, ...this.accommodations[key] } : null;
+        }
+
+        getAccommodationOrThrow(key) {
+            const accommodation = this.getAccommodation(key);
+            if (!accommodation) {
+                throw new Error(`Unknown accommodation '${key}'; expected one of: ${Object.keys(this.accommodations).join(', ')}`);
+            }
+            return accommodation;
+        }
+
+        listAccommodations(category) {
+            return Object.keys(this.accommodations)
+                .filter(key => category === undefined || this.accommodations[key].category === category);
+        }
+
+        listCategories() {
+            return [...accommodationCategories];
+        }
+
+        priorityWeight(priority) {
+            const weight = this.priorities[priority];
+            if (weight === undefined) {
+                throw new Error(`Unknown accommodation priority '${priority}'; expected one of: ${Object.keys(this.priorities).join(', ')}`);
+            }
+            return weight;
+        }
+
+        // 'ADHD', 'adhd' and 'Autism Spectrum' all find their profile
+        profileKey(label) {
+            return typeof label === 'string' ? label.trim().toLowerCase().replace(/[\s-]+/g, '_') : '';
+        }
+
+        resolveProfile(label) {
+            return this.aliases.get(this.profileKey(label)) ?? null;
+        }
+
+        normalizeNeed(entry, category = null, defaultPriority = this.defaultPriority) {
+            const need = typeof entry === 'string' ? { key: entry } : entry;
+            const accommodation = this.getAccommodationOrThrow(need?.key);
+            if (category && accommodation.category !== category) {
+                throw new Error(`Accommodation '${accommodation.key}' belongs under ${accommodation.category}, not ${category}`);
+            }
+
+            const priority = need.priority ?? defaultPriority;
+            return { ...accommodation, priority, weight: this.priorityWeight(priority) };
+        }
+
+        // Stated accommodations win over the neurotype profile; repeated keys keep the highest priority
+        resolveNeeds(agentData = {}) {
+            let source = 'none';
+            let profile = null;
+            let needs = [];
+
+            if (agentData.accommodations && typeof agentData.accommodations === 'object') {
+                source = 'profile';
+                needs = accommodationCategories.flatMap(category =>
+                    (agentData.accommodations[category] || []).map(entry => this.normalizeNeed(entry, category))
+                );
+            } else if ((profile = this.resolveProfile(agentData.neurodiversity))) {
+                source = 'neurodiversity';
+                needs = this.profiles[profile].needs.map(entry => this.normalizeNeed(entry, null, this.profilePriority));
+            }
+
+            const byKey = new Map();
+            for (const need of needs) {
+                if (!byKey.has(need.key) || need.weight > byKey.get(need.key).weight) {
+                    byKey.set(need.key, need);
+                }
+            }
+            return { source, profile, needs: [...byKey.values()] };
+        }
+
+        normalizeProvided(list = []) {
+            if (!Array.isArray(list)) {
+                throw new Error('Provided accommodations must be an array of accommodation keys');
+            }
+            return [...new Set(list.map(key => this.getAccommodationOrThrow(key).key))];
+        }
+
+        // Each unmet need costs its priority weight out of one per need, so unmet essentials weigh more than
+        // unmet preferences; nothing to meet counts as fully met
+        assessNeeds(needs, provided = []) {
+            const available = new Set(provided);
+            const met = needs.filter(need => available.has(need.key));
+            const unmet = needs.filter(need => !available.has(need.key));
+
+            return {
+                fit: needs.length > 0 ? 1 - unmet.reduce((sum, need) => sum + need.weight, 0) / needs.length : 1,
+                met,
+                unmet
+            };
+        }
+
+        loadConfig(config = {}) {
+            for (const [priority, weight] of Object.entries(config.priorities || {})) {
+                this.registerPriority(priority, weight);
+            }
+            for (const [key, definition] of Object.entries(config.accommodations || {})) {
+                this.registerAccommodation(key, definition);
+            }
+            for (const [key, definition] of Object.entries(config.profiles || {})) {
+                this.registerProfile(key, definition);
+            }
+            return this;
+        }
+
+        exportConfig() {
+            const aliases = {};
+            for (const [alias, key] of this.aliases) {
+                if (alias !== key) (aliases[key] = aliases[key] || []).push(alias);
+            }
+
+            return {
+                accommodations: JSON.parse(JSON.stringify(this.accommodations)),
+                priorities: { ...this.priorities },
+                profiles: Object.fromEntries(Object.entries(this.profiles).map(([key, profile]) => [
+                    key,
+                    { ...JSON.parse(JSON.stringify(profile)), ...(aliases[key] && { aliases: aliases[key] }) }
+                ]))
+            };
+        }
+    }
+
+    return { AccommodationRegistry, defaultAccommodations, accommodationCategories };
+}));
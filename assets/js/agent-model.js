@@ -0,0 +1,356 @@
+// assets/js/agent-model.js
+// Canonical Agent Model and converters for display/builder agent formats
+//
+// The canonical model is the BROA+/UEV structure used by ATCFCalculator and
+// CoordinationAssessment (see data.js). Display profiles carry precomputed
+// atcf_components and coordination_capabilities; builder values are the raw
+// slider settings from the custom agent builder.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('../../data'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (data) {
+    class AgentModelConverter {
+        constructor(options = {}) {
+            this.referenceTime = options.referenceTime || Date.now();
+            this.frameworkData = options.frameworkData || null;
+
+            this.decisionStyleMap = {
+                consensus_building: 'consensus_based',
+                consensus_circles: 'consensus_based',
+                group_oriented: 'consensus_based',
+                systematic_protocols: 'hierarchical',
+                direct_decisive: 'individual_focused',
+                individual_focused: 'individual_focused',
+                structured_flexibility: 'collaborative',
+                inclusive_dialogue: 'collaborative',
+                balanced_negotiation: 'collaborative',
+                balanced: 'collaborative'
+            };
+
+            this.conflictStyleMap = {
+                harmony_preservation: 'harmony_preservation',
+                restorative_processes: 'mediated_discussion',
+                creative_problem_solving: 'mediated_discussion',
+                identity_affirming_processes: 'mediated_discussion',
+                pragmatic_resolution: 'mediated_discussion',
+                collaborative: 'mediated_discussion',
+                methodical_resolution: 'direct_communication',
+                direct: 'direct_communication'
+            };
+
+            this.communicationStyleMap = {
+                consensus_based: 'consensus_building',
+                individual_focused: 'direct_decisive',
+                hierarchical: 'systematic_protocols',
+                collaborative: 'structured_flexibility'
+            };
+
+            this.cultureOntologies = {
+                individualistic: {
+                    agency_conception: 'independent',
+                    time_orientation: 'future_focused',
+                    relationship_model: 'voluntary_association'
+                },
+                collectivistic: {
+                    agency_conception: 'interdependent',
+                    time_orientation: 'cyclical_continuity',
+                    relationship_model: 'embedded_obligation'
+                },
+                indigenous: {
+                    agency_conception: 'collective',
+                    time_orientation: 'past_honoring',
+                    relationship_model: 'embedded_obligation'
+                },
+                traditional: {
+                    agency_conception: 'hierarchical',
+                    time_orientation: 'past_honoring',
+                    relationship_model: 'hierarchical_structure'
+                }
+            };
+        }
+
+        getCulturalFrameworks() {
+            return (this.frameworkData || data.FrameworkData)?.culturalFrameworks || {};
+        }
+
+        isCanonical(agent) {
+            return Boolean(agent && (agent.broa_data || agent.uev_data));
+        }
+
+        isDisplayProfile(agent) {
+            return Boolean(agent && agent.atcf_components && !this.isCanonical(agent));
+        }
+
+        toCanonical(agent) {
+            if (this.isCanonical(agent)) return agent;
+            if (agent?.canonical_profile) return agent.canonical_profile;
+            if (this.isDisplayProfile(agent)) return this.fromDisplayProfile(agent);
+
+            throw new Error('Unrecognized agent format: expected broa_data/uev_data or atcf_components');
+        }
+
+        normalizeCulture(label) {
+            if (!label) return null;
+
+            const normalized = label.toLowerCase();
+            if (this.cultureOntologies[normalized]) return normalized;
+            if (normalized.includes('indigenous')) return 'indigenous';
+            if (normalized.includes('collectiv')) return 'collectivistic';
+            if (normalized.includes('traditional') || normalized.includes('confucian') || normalized.includes('hierarch')) {
+                return 'traditional';
+            }
+            if (normalized.includes('individual') || normalized.includes('western') || normalized.includes('egalitarian')) {
+                return 'individualistic';
+            }
+
+            return null;
+        }
+
+        tokenizeKernel(kernel) {
+            if (Array.isArray(kernel)) return kernel;
+            if (!kernel) return [];
+
+            return kernel
+                .split(/[,;]/)
+                .map(element => element.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, ''))
+                .filter(Boolean);
+        }
+
+        buildBeliefs(culture) {
+            const values = this.getCulturalFrameworks()[culture]?.values;
+            if (!values) {
+                return { autonomy: 0.5, cooperation: 0.5, hierarchy: 0.5, tradition: 0.5 };
+            }
+
+            return {
+                autonomy: values.autonomy,
+                cooperation: values.harmony,
+                hierarchy: values.hierarchy,
+                tradition: (values.harmony + values.hierarchy) / 2
+            };
+        }
+
+        buildOntology(culture) {
+            return {
+                ...(this.cultureOntologies[culture] || {
+                    agency_conception: 'interdependent',
+                    time_orientation: 'present_focused',
+                    relationship_model: 'reciprocal_exchange'
+                })
+            };
+        }
+
+        buildGoalStyle(culture) {
+            if (culture === 'individualistic') return 'personal_achievement';
+            if (culture) return 'collective_benefit';
+            return 'collaborative_outcome';
+        }
+
+        buildUEVData(level) {
+            const at = offset => Math.max(0, Math.min(1, level + offset));
+
+            return {
+                global_feeling_tone: { integration: at(0.05), valence: at(0), arousal: at(-0.1) },
+                emotional_motivation: { approach: at(0.05), intensity: at(0), dominance: at(-0.1) },
+                rational_deliberation: { analysis: at(0.05), options: at(0), consequences: at(-0.05), values: at(-0.1) },
+                action_readiness: { physical: at(0.05), focus: at(0), social: at(-0.05), temporal: at(-0.1) }
+            };
+        }
+
+        buildIdentityHistory(kernel, driftedSnapshots = 0) {
+            const dayMs = 24 * 60 * 60 * 1000;
+
+            return [30, 60, 90].map((daysAgo, index) => {
+                const drifted = index >= 3 - driftedSnapshots && kernel.length > 0;
+                return {
+                    timestamp: this.referenceTime - daysAgo * dayMs,
+                    identity_kernel: drifted ? [...kernel.slice(0, -1), 'emerging_values'] : [...kernel]
+                };
+            });
+        }
+
+        buildModificationHistory(adaptationStyle, capacity) {
+            const prefixes = ['belief_update', 'rule_adaptation', 'ontology_revision', 'identity_integration'];
+            const count = Math.max(1, Math.round(capacity * prefixes.length));
+
+            return prefixes.slice(0, count).map(prefix => `${prefix}_${adaptationStyle || 'general'}`);
+        }
+
+        fromDisplayProfile(display) {
+            const components = display.atcf_components || {};
+            const hc = components.historical_continuity ?? 0.5;
+            const pi = components.present_integration ?? 0.5;
+            const pc = components.prospective_coherence ?? 0.5;
+            const mcc = components.meta_constructor_capacity ?? 0.5;
+
+            const capabilities = display.coordination_capabilities || {};
+            const culture = this.normalizeCulture(display.cultural_background);
+            const kernel = this.tokenizeKernel(display.identity_kernel);
+
+            return {
+                id: display.id,
+                name: display.name,
+                subtitle: display.subtitle,
+                profession: display.profession,
+                age_group: display.age_group,
+                neurodiversity: display.neurodiversity,
+                ...(display.accommodations && { accommodations: display.accommodations }),
+                cultural_background: culture,
+                cultural_label: display.cultural_background,
+                broa_data: {
+                    beliefs: this.buildBeliefs(culture),
+                    rules: {
+                        decision_making: this.decisionStyleMap[capabilities.communication_style] || 'collaborative',
+                        conflict_resolution: this.conflictStyleMap[capabilities.conflict_management] || 'mediated_discussion',
+                        goal_setting: this.buildGoalStyle(culture)
+                    },
+                    ontology: this.buildOntology(culture),
+                    authenticity: {
+                        identity_kernel: kernel,
+                        value_alignment: pi,
+                        self_consistency: hc
+                    }
+                },
+                uev_data: this.buildUEVData(pi),
+                identity_history: this.buildIdentityHistory(kernel, hc >= 0.85 ? 0 : hc >= 0.7 ? 1 : 2),
+                identity_kernel: kernel,
+                future_projections: {
+                    goals: [...kernel],
+                    timeline: '5_years',
+                    alignment_with_identity: pc
+                },
+                self_modification_data: {
+                    modification_history: this.buildModificationHistory(capabilities.adaptation_style, mcc),
+                    coherence_maintenance_capacity: mcc
+                },
+                // Coordination styles are not capabilities; they already shape the rules above
+                capabilities: Array.isArray(display.capabilities) ? [...display.capabilities] : [],
+                coordination_capabilities: { ...capabilities },
+                reported_atcf_components: { ...components }
+            };
+        }
+
+        fromDisplayProfiles(displayAgents) {
+            return Object.fromEntries(
+                Object.entries(displayAgents).map(([key, agent]) => [key, this.fromDisplayProfile(agent)])
+            );
+        }
+
+        fromBuilderValues(name, background, values) {
+            const culture = this.normalizeCulture(background);
+            const kernel = [
+                values.beliefAutonomy > 0.7 && 'autonomy',
+                values.beliefCollective > 0.7 && 'community',
+                values.beliefEvidence > 0.7 && 'evidence_based_reasoning',
+                values.beliefTradition > 0.7 && 'tradition',
+                values.ruleFlexibility > 0.7 && 'adaptability'
+            ].filter(Boolean);
+            if (kernel.length === 0) kernel.push('balanced_coordination');
+
+            let decisionMaking = 'collaborative';
+            if (values.ruleConsensus > 0.6) decisionMaking = 'consensus_based';
+            else if (values.ruleSpeed > 0.6) decisionMaking = 'individual_focused';
+
+            const capabilities = [
+                values.ruleConsensus > 0.6 && 'consensus_building',
+                values.ruleSpeed > 0.6 && 'rapid_decision_making',
+                values.ruleFlexibility > 0.6 && 'adaptive_problem_solving',
+                values.beliefEvidence > 0.6 && 'evidence_analysis',
+                values.beliefCollective > 0.6 && 'community_engagement',
+                values.beliefAutonomy > 0.6 && 'independent_initiative'
+            ].filter(Boolean);
+
+            return {
+                id: 'custom_agent',
+                name,
+                cultural_background: culture,
+                cultural_label: background,
+                broa_data: {
+                    beliefs: {
+                        autonomy: values.beliefAutonomy,
+                        cooperation: values.beliefCollective,
+                        evidence: values.beliefEvidence,
+                        tradition: values.beliefTradition
+                    },
+                    rules: {
+                        decision_making: decisionMaking,
+                        conflict_resolution: values.ruleConsensus > 0.6 ? 'mediated_discussion' : 'direct_communication',
+                        goal_setting: values.beliefCollective > values.beliefAutonomy ? 'collective_benefit' : 'personal_achievement'
+                    },
+                    ontology: this.buildOntology(culture),
+                    authenticity: {
+                        identity_kernel: kernel,
+                        value_alignment: (values.beliefEvidence + values.ruleConsensus + values.ruleFlexibility) / 3,
+                        self_consistency: (values.beliefTradition + values.beliefEvidence) / 2
+                    }
+                },
+                uev_data: {
+                    global_feeling_tone: { integration: values.beliefEvidence, valence: values.beliefCollective, arousal: values.ruleSpeed },
+                    emotional_motivation: { approach: values.beliefAutonomy, intensity: values.ruleSpeed, dominance: 1 - values.ruleConsensus },
+                    rational_deliberation: {
+                        analysis: values.beliefEvidence,
+                        options: values.ruleFlexibility,
+                        consequences: values.ruleConsensus,
+                        values: values.beliefTradition
+                    },
+                    action_readiness: {
+                        physical: values.ruleSpeed,
+                        focus: values.beliefEvidence,
+                        social: values.beliefCollective,
+                        temporal: values.ruleFlexibility
+                    }
+                },
+                // The builder has no history, so only the current kernel is recorded
+                identity_history: [{ timestamp: this.referenceTime, identity_kernel: [...kernel] }],
+                identity_kernel: kernel,
+                future_projections: {
+                    goals: [...kernel],
+                    timeline: '5_years',
+                    alignment_with_identity: (values.ruleFlexibility + values.beliefEvidence) / 2
+                },
+                self_modification_data: {
+                    modification_history: this.buildModificationHistory('custom', values.ruleFlexibility),
+                    coherence_maintenance_capacity: (values.ruleFlexibility + values.beliefEvidence) / 2
+                },
+                capabilities
+            };
+        }
+
+        toDisplayProfile(agent, atcfResult) {
+            const rules = agent.broa_data?.rules || {};
+            const kernel = agent.identity_kernel || agent.broa_data?.authenticity?.identity_kernel || [];
+
+            return {
+                id: agent.id,
+                name: agent.name,
+                subtitle: agent.subtitle,
+                cultural_background: agent.cultural_label || agent.cultural_background,
+                profession: agent.profession,
+                age_group: agent.age_group,
+                neurodiversity: agent.neurodiversity || 'unspecified',
+                ...(agent.accommodations && { accommodations: agent.accommodations }),
+                atcf_components: {
+                    historical_continuity: atcfResult.components.HC,
+                    present_integration: atcfResult.components.PI,
+                    prospective_coherence: atcfResult.components.PC,
+                    meta_constructor_capacity: atcfResult.components.MCC
+                },
+                coordination_capabilities: agent.coordination_capabilities || {
+                    communication_style: this.communicationStyleMap[rules.decision_making] || 'balanced',
+                    conflict_management: rules.conflict_resolution || 'unspecified',
+                    trust_building: 'unspecified',
+                    adaptation_style: 'unspecified'
+                },
+                capabilities: [...(agent.capabilities || [])],
+                identity_kernel: kernel.map(element => element.replace(/_/g, ' ')).join(', '),
+                canonical_profile: agent
+            };
+        }
+    }
+
+    return { AgentModelConverter };
+}));
@@ -5,6 +5,9 @@ class FrameworkApp {
     constructor() {
         this.atcfCalculator = new ATCFCalculator();
         this.coordinationAssessment = new CoordinationAssessment();
+        this.therapeuticWorkflow = null;
+        this.culturalValidation = null;
+        this.therapyDemo = null;
         this.currentDemo = null;
         this.init();
     }
@@ -217,7 +220,7 @@ class FrameworkApp {
         infoDiv.className = 'agent-info';
         infoDiv.innerHTML = `
             <h5>Agent: ${agent.name}</h5>
-            <p><strong>Cultural Background:</strong> ${agent.cultural_background}</p>
+            <p><strong>Cultural Background:</strong> ${this.describeCulture(agent)}</p>
             <p><strong>Identity Kernel:</strong> ${agent.identity_kernel.join(', ')}</p>
             <p><strong>Overall ATCF:</strong> ${assessment.total_score.toFixed(3)} (${assessment.interpretation.level})</p>
             <p><strong>Recommendation:</strong> ${assessment.interpretation.recommendation}</p>
@@ -231,6 +234,200 @@ class FrameworkApp {
         demoInterface.appendChild(infoDiv);
     }
 
+    describeCulture(agent) {
+        return this.atcfCalculator.culturalRegistry.describeBackground(agent.cultural_background);
+    }
+
+    loadCulturalDemo() {
+        const demoContainer = document.getElementById('demoContainer');
+        // Only pages that load cultural-validation.js offer this demo
+        if (!this.culturalValidation && typeof CulturalValidationExplorer !== 'undefined') {
+            this.culturalValidation = new CulturalValidationExplorer(this.atcfCalculator);
+        }
+        if (!demoContainer || !this.culturalValidation) return;
+
+        demoContainer.innerHTML = `
+            <h3>Cultural Validation Explorer</h3>
+            <div class="demo-interface">
+                <div class="sample-data">
+                    <h4>Validate a Sample Agent:</h4>
+                    <button onclick="app.runCulturalValidation('agent1')" class="btn btn-secondary">Agent 1 (Individualistic)</button>
+                    <button onclick="app.runCulturalValidation('agent2')" class="btn btn-secondary">Agent 2 (Collectivistic)</button>
+                </div>
+                <div class="input-group">
+                    <label>Or paste an agent profile (JSON):</label>
+                    <textarea id="cultural-profile-input" rows="6"></textarea>
+                    <button onclick="app.runCulturalValidation()" class="btn btn-secondary">Validate Profile</button>
+                </div>
+                <div id="cultural-validation-results"></div>
+            </div>
+        `;
+
+        this.runCulturalValidation('agent1');
+
+        const modal = document.getElementById('demoModal');
+        if (modal) modal.style.display = 'block';
+    }
+
+    runCulturalValidation(agentId) {
+        const resultsDiv = document.getElementById('cultural-validation-results');
+        if (!resultsDiv || !this.culturalValidation) return;
+
+        let comparison;
+        try {
+            const agent = agentId
+                ? window.FrameworkData.sampleAgentData[agentId]
+                : JSON.parse(document.getElementById('cultural-profile-input').value);
+            comparison = this.culturalValidation.compareAcrossCultures(agent);
+        } catch (error) {
+            resultsDiv.innerHTML = `<div class="interpretation">Cannot validate profile: ${error.message}</div>`;
+            return;
+        }
+
+        this.displayCulturalValidation(comparison, resultsDiv);
+    }
+
+    displayCulturalValidation(comparison, resultsDiv) {
+        const weights = ['alpha', 'beta', 'gamma', 'delta'];
+        const row = (label, entry, flagged) => `
+            <tr${flagged ? ' class="flagged"' : ''}>
+                <td>${label}</td>
+                ${weights.map(weight => `<td>${entry.weights[weight].toFixed(3)}</td>`).join('')}
+                <td>${entry.total_score.toFixed(3)}</td>
+                <td>${entry.score_change === undefined ? '—' : `${entry.score_change >= 0 ? '+' : ''}${entry.score_change.toFixed(3)}`}</td>
+                <td>${entry.level}${flagged ? ' ⚠' : ''}</td>
+            </tr>`;
+        const components = Object.entries(comparison.baseline.components)
+            .map(([component, value]) => `${component} ${value.toFixed(3)}`)
+            .join(', ');
+
+        resultsDiv.innerHTML = `
+            <h4>${comparison.agent.name || comparison.agent.id || 'Agent'} (${this.describeCulture(comparison.agent)})</h4>
+            <p><strong>Components:</strong> ${components}</p>
+            <table class="cultural-comparison">
+                <tr><th>Context</th><th>α (HC)</th><th>β (PI)</th><th>γ (PC)</th><th>δ (MCC)</th><th>ATCF</th><th>Change</th><th>Level</th></tr>
+                ${row('No cultural adaptation', comparison.baseline, false)}
+                ${row(`Own background (${comparison.own_context.name})`, comparison.own_context, comparison.own_context.level_changed)}
+                ${comparison.frameworks.map(entry => row(entry.name, entry, entry.level_changed)).join('')}
+            </table>
+            <div class="recommendation">
+                <h5>Bias check: ${comparison.flagged ? 'interpretation depends on cultural context' : 'consistent'}</h5>
+                <p>${comparison.summary}.</p>
+                ${comparison.level_flips.map(flip => `<p>${flip.framework}: ${flip.from} → ${flip.to}, mostly from ${flip.driver.weight} (${flip.driver.component}) ${flip.driver.change >= 0 ? '+' : ''}${flip.driver.change.toFixed(3)}</p>`).join('')}
+                <p>Score spread across frameworks: ${comparison.score_range.spread.toFixed(3)}</p>
+            </div>
+        `;
+    }
+
+    loadTherapeuticDemo(agentId = 'agent1') {
+        const demoContainer = document.getElementById('demoContainer');
+        const agent = window.FrameworkData?.sampleAgentData?.[agentId];
+        // Only pages that load therapeutic-workflow.js offer this demo
+        if (!this.therapeuticWorkflow && typeof TherapeuticWorkflow !== 'undefined') {
+            this.therapeuticWorkflow = new TherapeuticWorkflow(this.atcfCalculator);
+        }
+        if (!demoContainer || !agent || !this.therapeuticWorkflow) return;
+
+        // The demo edits a copy of the sample profile and advances a simulated clock eight weeks per phase
+        const profile = JSON.parse(JSON.stringify(agent));
+        const clock = Date.now();
+        const { case_id: caseId } = this.therapeuticWorkflow.startCase(profile, { timestamp: clock });
+        this.therapyDemo = { caseId, profile, clock };
+
+        demoContainer.innerHTML = `
+            <h3>Temporal Coherence Therapy Demo</h3>
+            <div class="demo-interface">
+                <div class="sample-data">
+                    <h4>Client:</h4>
+                    <button onclick="app.loadTherapeuticDemo('agent1')" class="btn btn-secondary">Agent 1 (Individualistic)</button>
+                    <button onclick="app.loadTherapeuticDemo('agent2')" class="btn btn-secondary">Agent 2 (Collectivistic)</button>
+                </div>
+                <div id="therapy-guidance"></div>
+                <div id="therapy-progress"></div>
+                <button id="therapy-complete-phase" onclick="app.completeTherapyPhase()" class="btn btn-primary">Complete phase (simulated progress)</button>
+            </div>
+        `;
+
+        this.renderTherapyDemo();
+
+        const modal = document.getElementById('demoModal');
+        if (modal) modal.style.display = 'block';
+    }
+
+    completeTherapyPhase() {
+        if (!this.therapyDemo) return;
+
+        const guidance = this.therapeuticWorkflow.getPhaseGuidance(this.therapyDemo.caseId);
+        if (!guidance.phase || guidance.referral) return;
+
+        this.therapyDemo.clock += 8 * 7 * 24 * 60 * 60 * 1000;
+        this.simulateTherapyProgress(this.therapyDemo.profile, guidance.phase.component, this.therapyDemo.clock);
+        this.therapeuticWorkflow.completePhase(this.therapyDemo.caseId, this.therapyDemo.profile, { timestamp: this.therapyDemo.clock });
+        this.renderTherapyDemo();
+    }
+
+    // Stand-in for real session outcomes: nudges the profile data behind the phase's component
+    simulateTherapyProgress(profile, component, timestamp) {
+        const raise = (value, amount = 0.1) => Math.min(1, (value ?? 0.5) + amount);
+
+        if (component === 'HC') {
+            profile.identity_history = [{ timestamp, identity_kernel: [...(profile.identity_kernel || [])] }, ...(profile.identity_history || [])];
+        } else if (component === 'PI') {
+            const authenticity = profile.broa_data.authenticity;
+            authenticity.value_alignment = raise(authenticity.value_alignment);
+            authenticity.self_consistency = raise(authenticity.self_consistency);
+        } else if (component === 'PC') {
+            profile.future_projections.alignment_with_identity = raise(profile.future_projections.alignment_with_identity);
+        } else if (component === 'MCC') {
+            const selfModification = profile.self_modification_data;
+            selfModification.coherence_maintenance_capacity = raise(selfModification.coherence_maintenance_capacity);
+            selfModification.modification_history = [...(selfModification.modification_history || []), 'coherence_skills_training'];
+        }
+    }
+
+    renderTherapyDemo() {
+        const { caseId } = this.therapyDemo;
+        const guidance = this.therapeuticWorkflow.getPhaseGuidance(caseId);
+        const summary = this.therapeuticWorkflow.getProgressSummary(caseId);
+        const list = items => items.map(item => `<li>${item}</li>`).join('');
+
+        const guidanceDiv = document.getElementById('therapy-guidance');
+        if (guidanceDiv) {
+            const weakest = guidance.weakest_component;
+            guidanceDiv.innerHTML = guidance.referral ? `
+                <div class="recommendation">
+                    <h5>Referral required</h5>
+                    <p>${guidance.referral.reason} (ATCF ${guidance.referral.score.toFixed(3)}).</p>
+                </div>
+            ` : guidance.phase ? `
+                <h4>Phase ${guidance.phase.number}: ${guidance.phase.name} (sessions ${guidance.phase.sessions.join('-')})</h4>
+                <p><strong>Goal:</strong> ${guidance.phase.goal}</p>
+                <p><strong>Weakest component:</strong> ${weakest.component} (${weakest.value.toFixed(3)})</p>
+                <ul>${list(guidance.activities)}</ul>
+                ${guidance.focus_activities.length > 0 ? `<p><strong>Also work on ${weakest.component}:</strong></p><ul>${list(guidance.focus_activities)}</ul>` : ''}
+                <p><strong>Homework:</strong> ${guidance.homework.join(', ')}</p>
+            ` : `
+                <h4>Protocol complete</h4>
+                <p>All ${summary.total_phases} phases done; continue ongoing ATCF self-assessment.</p>
+            `;
+        }
+
+        const progressDiv = document.getElementById('therapy-progress');
+        if (progressDiv) {
+            progressDiv.innerHTML = `
+                <div class="result-display">
+                    <h4>ATCF: ${summary.intake_score.toFixed(3)} → ${summary.latest_score.toFixed(3)} (${summary.level})</h4>
+                    <p>Phases completed: ${summary.phases_completed} of ${summary.total_phases}.
+                    Target ${summary.target_score} ${summary.target_reached ? 'reached' : 'not yet reached'}.</p>
+                    <ul>${list(summary.trajectory.map(entry => `${entry.phase}: ${entry.score.toFixed(3)} (${entry.level})`))}</ul>
+                </div>
+            `;
+        }
+
+        const button = document.getElementById('therapy-complete-phase');
+        if (button) button.disabled = !guidance.phase || Boolean(guidance.referral);
+    }
+
     runCoordinationDemo() {
         if (!window.FrameworkData?.sampleAgentData) {
             console.error('Sample agent data not available');
@@ -254,12 +451,12 @@ class FrameworkApp {
             <h4>Coordination Assessment Results</h4>
             <div class="agent-comparison">
                 <div class="agent-summary">
-                    <h5>${agent1.name} (${agent1.cultural_background})</h5>
+                    <h5>${agent1.name} (${this.describeCulture(agent1)})</h5>
                     <p>ATCF: ${assessment.individual_atcf.agent1.total_score.toFixed(3)}</p>
                 </div>
                 <div class="coordination-arrow">⟷</div>
                 <div class="agent-summary">
-                    <h5>${agent2.name} (${agent2.cultural_background})</h5>
+                    <h5>${agent2.name} (${this.describeCulture(agent2)})</h5>
                     <p>ATCF: ${assessment.individual_atcf.agent2.total_score.toFixed(3)}</p>
                 </div>
             </div>
@@ -413,13 +610,15 @@ window.loadCoordinationDemo = function() {
 };
 
 window.loadCulturalDemo = function() {
-    // Cultural demo placeholder
-    alert('Cultural validation demo - feature coming soon!');
+    if (window.app) {
+        window.app.loadCulturalDemo();
+    }
 };
 
 window.loadTherapeuticDemo = function() {
-    // Therapeutic demo placeholder
-    alert('Therapeutic assessment demo - feature coming soon!');
+    if (window.app) {
+        window.app.loadTherapeuticDemo();
+    }
 };
 
 document.addEventListener('DOMContentLoaded', function() {
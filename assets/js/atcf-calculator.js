@@ -1,352 +1,576 @@
 // assets/js/atcf-calculator.js
 // ATCF (Adaptive Temporal Coherence Function) Calculator
 
-class ATCFCalculator {
-    constructor(weights = { alpha: 0.25, beta: 0.25, gamma: 0.25, delta: 0.25 }) {
-        this.weights = weights;
-        this.validateWeights();
-        this.temporalDecayConstant = 30; // days
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./profile-validator'), require('./cultural-registry'), require('./concept-similarity'));
+    } else {
+        Object.assign(root, factory(root, root, root));
     }
+}(typeof self !== 'undefined' ? self : this, function (profileValidator, culturalRegistry, conceptSimilarity) {
+    class ATCFCalculator {
+        constructor(weights = { alpha: 0.25, beta: 0.25, gamma: 0.25, delta: 0.25 }, options = {}) {
+            this.weights = weights;
+            this.validateWeights();
+            this.temporalDecayConstant = 30; // days
+            this.validator = new profileValidator.AgentProfileValidator();
+            this.culturalRegistry = options.culturalRegistry || new culturalRegistry.CulturalFrameworkRegistry(options.frameworkData?.culturalFrameworks);
+            this.conceptSimilarity = options.conceptSimilarity || new conceptSimilarity.ConceptSimilarity();
+            this.fallbackLog = null;
+        }
 
-    validateWeights() {
-        const sum = Object.values(this.weights).reduce((a, b) => a + b, 0);
-        if (Math.abs(sum - 1.0) > 0.001) {
-            throw new Error('ATCF weights must sum to 1.0');
+        useFallback(source, value, reason) {
+            if (this.fallbackLog) {
+                this.fallbackLog.push({ source, value, reason });
+            }
+            return value;
         }
-    }
 
-    calculateHistoricalContinuity(identityHistory, currentTime) {
-        if (!identityHistory || identityHistory.length === 0) return 0;
+        // Explanation nodes: each sub-score with its inputs, the weight its parent applies
+        // and whether a fallback default stood in for missing data
+        explainLeaf(id, compute, details = {}) {
+            const outerLog = this.fallbackLog;
+            this.fallbackLog = [];
+            const value = compute();
+            const fallbacks = this.fallbackLog;
+            this.fallbackLog = outerLog;
+            if (outerLog) outerLog.push(...fallbacks);
+
+            return { id, value, ...details, fallback_used: fallbacks.length > 0, fallbacks };
+        }
 
-        let totalScore = 0;
-        let totalWeight = 0;
+        explainComposite(id, value, details, weightedChildren) {
+            const children = weightedChildren.map(([node, weight]) => ({ id: node.id, value: node.value, weight, ...node }));
+            return { id, value, ...details, fallback_used: children.some(child => child.fallback_used), children };
+        }
 
-        for (const historyPoint of identityHistory) {
-            const timeDiff = (currentTime - historyPoint.timestamp) / (1000 * 60 * 60 * 24); // days
-            const temporalWeight = Math.exp(-timeDiff / this.temporalDecayConstant);
-            
-            const identityPreservation = this.calculateIdentitySimilarity(
-                identityHistory[0].identity_kernel,
-                historyPoint.identity_kernel
-            );
-            
-            totalScore += temporalWeight * identityPreservation;
-            totalWeight += temporalWeight;
+        validateProfile(agentData) {
+            return this.validator.validate(agentData);
         }
 
-        return totalWeight > 0 ? totalScore / totalWeight : 0;
-    }
+        validateWeights() {
+            for (const component of ['alpha', 'beta', 'gamma', 'delta']) {
+                const weight = this.weights?.[component];
+                if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                    throw new Error(`ATCF weight '${component}' must be a non-negative number`);
+                }
+            }
 
-    calculateIdentitySimilarity(kernel1, kernel2) {
-        if (!kernel1 || !kernel2 || kernel1.length === 0 || kernel2.length === 0) return 0;
-        
-        const set1 = new Set(kernel1);
-        const set2 = new Set(kernel2);
-        const intersection = new Set([...set1].filter(x => set2.has(x)));
-        const union = new Set([...set1, ...set2]);
-        
-        return intersection.size / union.size;
-    }
+            const sum = Object.values(this.weights).reduce((a, b) => a + b, 0);
+            if (Math.abs(sum - 1.0) > 0.001) {
+                throw new Error('ATCF weights must sum to 1.0');
+            }
+        }
 
-    calculatePresentIntegration(uevData, broaData) {
-        const tcfScore = this.calculateTCF(uevData);
-        const internalCoherence = this.calculateInternalCoherence(broaData);
-        
-        return 0.6 * tcfScore + 0.4 * internalCoherence;
-    }
+        // Calibrated configs (see weight-calibration.js) carry atcf_weights and per-culture atcf_modifiers
+        loadWeightConfig(config = {}) {
+            const weights = config.atcf_weights || config.weights;
+            if (weights) {
+                const previous = this.weights;
+                this.weights = { ...weights };
+                try {
+                    this.validateWeights();
+                } catch (error) {
+                    this.weights = previous;
+                    throw error;
+                }
+            }
 
-    calculateTCF(uevData) {
-        const components = [
-            uevData.global_feeling_tone,
-            uevData.emotional_motivation,
-            uevData.rational_deliberation,
-            uevData.action_readiness
-        ];
-
-        const compatibilityScore = this.checkComponentCompatibility(components);
-        const temporalContinuity = this.checkTemporalContinuity(uevData);
-        
-        return 0.7 * compatibilityScore + 0.3 * temporalContinuity;
-    }
+            const modifiers = Object.entries(config.atcf_modifiers || {});
+            for (const [culture, cultureModifiers] of modifiers) {
+                if (!this.culturalRegistry.hasFramework(culture)) {
+                    throw new Error(`Unknown cultural framework '${culture}'`);
+                }
+                this.culturalRegistry.validateFramework(culture, { atcf_modifiers: cultureModifiers });
+            }
+            modifiers.forEach(([culture, cultureModifiers]) => this.culturalRegistry.setATCFModifiers(culture, cultureModifiers));
 
-    checkComponentCompatibility(components) {
-        let totalCompatibility = 0;
-        let comparisons = 0;
-
-        for (let i = 0; i < components.length; i++) {
-            for (let j = i + 1; j < components.length; j++) {
-                const comp1Values = Object.values(components[i]);
-                const comp2Values = Object.values(components[j]);
-                
-                const correlation = this.calculateCorrelation(comp1Values, comp2Values);
-                totalCompatibility += Math.abs(correlation);
-                comparisons++;
+            return this;
+        }
+
+        exportWeightConfig() {
+            return {
+                atcf_weights: { ...this.weights },
+                atcf_modifiers: Object.fromEntries(this.culturalRegistry.listFrameworks().map(({ key }) =>
+                    [key, this.culturalRegistry.getFramework(key).atcf_modifiers]
+                ))
+            };
+        }
+
+        calculateHistoricalContinuity(identityHistory, currentTime) {
+            return this.explainHistoricalContinuity(identityHistory, currentTime).value;
+        }
+
+        explainHistoricalContinuity(identityHistory, currentTime) {
+            if (!identityHistory || identityHistory.length === 0) {
+                return this.explainLeaf('HC', () => this.useFallback('calculateHistoricalContinuity', 0, 'no identity history'));
             }
+
+            let totalScore = 0;
+            let totalWeight = 0;
+
+            const points = identityHistory.map((historyPoint, index) => {
+                const timeDiff = (currentTime - historyPoint.timestamp) / (1000 * 60 * 60 * 24); // days
+                const temporalWeight = Math.exp(-timeDiff / this.temporalDecayConstant);
+
+                const comparison = this.compareIdentityKernels(identityHistory[0].identity_kernel, historyPoint.identity_kernel);
+                const node = this.explainLeaf(`history_${index}`, () => comparison.score, {
+                    formula: 'concept-weighted Jaccard similarity of this identity kernel to the first one',
+                    inputs: {
+                        timestamp: historyPoint.timestamp,
+                        age_days: timeDiff,
+                        identity_kernel: historyPoint.identity_kernel,
+                        matches: comparison.matches
+                    }
+                });
+
+                totalScore += temporalWeight * node.value;
+                totalWeight += temporalWeight;
+                return [node, temporalWeight];
+            });
+
+            return this.explainComposite('HC', totalWeight > 0 ? totalScore / totalWeight : 0, {
+                formula: `Σ w·similarity / Σ w, w = exp(-age_days / ${this.temporalDecayConstant})`
+            }, points.map(([node, temporalWeight]) => [node, totalWeight > 0 ? temporalWeight / totalWeight : 0]));
         }
 
-        return comparisons > 0 ? totalCompatibility / comparisons : 0.5;
-    }
+        calculateIdentitySimilarity(kernel1, kernel2) {
+            return this.compareIdentityKernels(kernel1, kernel2).score;
+        }
 
-    calculateCorrelation(arr1, arr2) {
-        if (arr1.length !== arr2.length || arr1.length === 0) return 0;
+        compareIdentityKernels(kernel1, kernel2) {
+            if (!kernel1 || !kernel2 || kernel1.length === 0 || kernel2.length === 0) {
+                return { score: 0, matches: [] };
+            }
+            return this.conceptSimilarity.compareSets(kernel1, kernel2);
+        }
 
-        const mean1 = arr1.reduce((a, b) => a + b) / arr1.length;
-        const mean2 = arr2.reduce((a, b) => a + b) / arr2.length;
+        calculatePresentIntegration(uevData, broaData) {
+            return this.explainPresentIntegration(uevData, broaData).value;
+        }
 
-        let numerator = 0;
-        let sumSq1 = 0;
-        let sumSq2 = 0;
+        explainPresentIntegration(uevData, broaData) {
+            const tcf = this.explainTCF(uevData);
+            const internalCoherence = this.explainInternalCoherence(broaData);
 
-        for (let i = 0; i < arr1.length; i++) {
-            const diff1 = arr1[i] - mean1;
-            const diff2 = arr2[i] - mean2;
-            numerator += diff1 * diff2;
-            sumSq1 += diff1 * diff1;
-            sumSq2 += diff2 * diff2;
+            return this.explainComposite('PI', 0.6 * tcf.value + 0.4 * internalCoherence.value, {
+                formula: '0.6·TCF + 0.4·internal_coherence'
+            }, [[tcf, 0.6], [internalCoherence, 0.4]]);
         }
 
-        const denominator = Math.sqrt(sumSq1 * sumSq2);
-        return denominator === 0 ? 0 : numerator / denominator;
-    }
+        calculateTCF(uevData) {
+            return this.explainTCF(uevData).value;
+        }
 
-    checkTemporalContinuity(uevData) {
-        const allValues = Object.values(uevData).flatMap(component => 
-            Object.values(component)
-        );
-        
-        const mean = allValues.reduce((a, b) => a + b) / allValues.length;
-        const variance = allValues.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / allValues.length;
-        
-        return Math.max(0, 1 - variance);
-    }
+        explainTCF(uevData) {
+            if (!uevData) return this.explainLeaf('tcf', () => this.useFallback('calculateTCF', 0.5, 'no UEV data'));
 
-    calculateInternalCoherence(broaData) {
-        const beliefConsistency = this.calculateBeliefConsistency(broaData.beliefs);
-        const ruleCoherence = this.calculateRuleCoherence(broaData.rules);
-        const ontologyAlignment = this.calculateOntologyAlignment(broaData.ontology);
-        const authenticityAlignment = broaData.authenticity.value_alignment || 0.75;
+            const componentNames = ['global_feeling_tone', 'emotional_motivation', 'rational_deliberation', 'action_readiness'];
+            const components = componentNames.map(name => uevData[name] || {});
 
-        return (beliefConsistency + ruleCoherence + ontologyAlignment + authenticityAlignment) / 4;
-    }
+            const compatibility = this.explainLeaf('component_compatibility', () => this.checkComponentCompatibility(components), {
+                formula: 'mean |correlation| between UEV components (0 for components of different sizes)',
+                inputs: Object.fromEntries(componentNames.map((name, index) => [name, Object.values(components[index])]))
+            });
+            const temporalContinuity = this.explainLeaf('temporal_continuity', () => this.checkTemporalContinuity(uevData), {
+                formula: 'max(0, 1 - variance of all UEV values)'
+            });
 
-    calculateBeliefConsistency(beliefs) {
-        if (!beliefs) return 0.5;
-        
-        const values = Object.values(beliefs);
-        const mean = values.reduce((a, b) => a + b) / values.length;
-        const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-        
-        const optimalVariance = 0.1;
-        const varianceScore = 1 - Math.abs(variance - optimalVariance);
-        
-        return Math.max(0, Math.min(1, varianceScore));
-    }
+            return this.explainComposite('tcf', 0.7 * compatibility.value + 0.3 * temporalContinuity.value, {
+                formula: '0.7·component_compatibility + 0.3·temporal_continuity'
+            }, [[compatibility, 0.7], [temporalContinuity, 0.3]]);
+        }
 
-    calculateRuleCoherence(rules) {
-        if (!rules) return 0.5;
-        
-        const ruleCount = Object.keys(rules).length;
-        return Math.min(1, ruleCount / 5);
-    }
+        checkComponentCompatibility(components) {
+            let totalCompatibility = 0;
+            let comparisons = 0;
 
-    calculateOntologyAlignment(ontology) {
-        if (!ontology) return 0.5;
-        
-        const expectedCategories = ['agency_conception', 'time_orientation', 'relationship_model'];
-        const presentCategories = expectedCategories.filter(cat => ontology[cat]);
-        
-        return presentCategories.length / expectedCategories.length;
-    }
+            for (let i = 0; i < components.length; i++) {
+                for (let j = i + 1; j < components.length; j++) {
+                    const comp1Values = Object.values(components[i]);
+                    const comp2Values = Object.values(components[j]);
 
-    calculateProspectiveCoherence(futureProjections, identityKernel) {
-        const projectionAlignment = this.calculateProjectionAlignment(futureProjections, identityKernel);
-        const adaptiveCapacity = this.calculateAdaptiveCapacity(futureProjections);
-        
-        return 0.6 * projectionAlignment + 0.4 * adaptiveCapacity;
-    }
+                    const correlation = this.calculateCorrelation(comp1Values, comp2Values);
+                    totalCompatibility += Math.abs(correlation);
+                    comparisons++;
+                }
+            }
 
-    calculateProjectionAlignment(projections, identityKernel) {
-        if (!projections.goals || !identityKernel) return 0.5;
-        
-        const goalKernelOverlap = projections.goals.filter(goal => 
-            identityKernel.some(kernelElement => 
-                goal.toLowerCase().includes(kernelElement.toLowerCase()) ||
-                kernelElement.toLowerCase().includes(goal.toLowerCase())
-            )
-        ).length;
-        
-        const alignmentScore = goalKernelOverlap / Math.max(projections.goals.length, 1);
-        const explicitAlignment = projections.alignment_with_identity || alignmentScore;
-        
-        return (alignmentScore + explicitAlignment) / 2;
-    }
+            return comparisons > 0
+                ? totalCompatibility / comparisons
+                : this.useFallback('checkComponentCompatibility', 0.5, 'no UEV components to compare');
+        }
 
-    calculateAdaptiveCapacity(projections) {
-        const goalDiversity = this.calculateGoalDiversity(projections.goals);
-        const timelineRealism = this.assessTimelineRealism(projections.timeline);
-        
-        return (goalDiversity + timelineRealism) / 2;
-    }
+        calculateCorrelation(arr1, arr2) {
+            if (arr1.length !== arr2.length || arr1.length === 0) return 0;
 
-    calculateGoalDiversity(goals) {
-        if (!goals || goals.length === 0) return 0;
-        
-        const uniqueGoalTypes = new Set(goals.map(goal => goal.split('_')[0])).size;
-        const diversityScore = Math.min(1, uniqueGoalTypes / 5);
-        
-        return diversityScore;
-    }
+            const mean1 = arr1.reduce((a, b) => a + b) / arr1.length;
+            const mean2 = arr2.reduce((a, b) => a + b) / arr2.length;
 
-    assessTimelineRealism(timeline) {
-        const timelineMap = {
-            '1_year': 0.7,
-            '3_years': 0.8,
-            '5_years': 0.9,
-            '10_years': 0.8,
-            '20_years': 0.6
-        };
-        
-        return timelineMap[timeline] || 0.5;
-    }
+            let numerator = 0;
+            let sumSq1 = 0;
+            let sumSq2 = 0;
 
-    calculateMetaConstructorCapacity(selfModificationData) {
-        const modificationAbility = this.assessModificationAbility(selfModificationData);
-        const coherenceMaintenance = this.assessCoherenceMaintenance(selfModificationData);
-        
-        return 0.5 * modificationAbility + 0.5 * coherenceMaintenance;
-    }
+            for (let i = 0; i < arr1.length; i++) {
+                const diff1 = arr1[i] - mean1;
+                const diff2 = arr2[i] - mean2;
+                numerator += diff1 * diff2;
+                sumSq1 += diff1 * diff1;
+                sumSq2 += diff2 * diff2;
+            }
 
-    assessModificationAbility(modData) {
-        if (!modData.modification_history) return 0.3;
-        
-        const historyLength = modData.modification_history.length;
-        const diversityScore = new Set(modData.modification_history.map(mod => 
-            mod.split('_')[0]
-        )).size;
-        
-        return Math.min(1, (historyLength * 0.2) + (diversityScore * 0.1));
-    }
+            const denominator = Math.sqrt(sumSq1 * sumSq2);
+            return denominator === 0 ? 0 : numerator / denominator;
+        }
 
-    assessCoherenceMaintenance(modData) {
-        return modData.coherence_maintenance_capacity || 0.5;
-    }
+        checkTemporalContinuity(uevData) {
+            const allValues = Object.values(uevData).flatMap(component => 
+                Object.values(component)
+            );
+            if (allValues.length === 0) {
+                return this.useFallback('checkTemporalContinuity', 0.5, 'no numeric UEV values');
+            }
 
-    calculateATCF(agentData, timeWindow = { current: Date.now() }) {
-        const hc = this.calculateHistoricalContinuity(
-            agentData.identity_history,
-            timeWindow.current
-        );
-        
-        const pi = this.calculatePresentIntegration(
-            agentData.uev_data,
-            agentData.broa_data
-        );
-        
-        const pc = this.calculateProspectiveCoherence(
-            agentData.future_projections,
-            agentData.identity_kernel
-        );
-        
-        const mcc = this.calculateMetaConstructorCapacity(
-            agentData.self_modification_data
-        );
-
-        const totalScore = (
-            this.weights.alpha * hc +
-            this.weights.beta * pi +
-            this.weights.gamma * pc +
-            this.weights.delta * mcc
-        );
-
-        return {
-            total_score: Math.max(0, Math.min(1, totalScore)),
-            components: {
-                HC: Math.max(0, Math.min(1, hc)),
-                PI: Math.max(0, Math.min(1, pi)),
-                PC: Math.max(0, Math.min(1, pc)),
-                MCC: Math.max(0, Math.min(1, mcc))
-            },
-            weights: { ...this.weights },
-            assessment_timestamp: timeWindow.current,
-            interpretation: this.interpretATCFScore(totalScore)
-        };
-    }
+            const mean = allValues.reduce((a, b) => a + b) / allValues.length;
+            const variance = allValues.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / allValues.length;
 
-    interpretATCFScore(score) {
-        if (score >= 0.8) {
-            return {
-                level: 'excellent',
-                description: 'Excellent temporal coherence',
-                recommendation: 'Maintain current practices and consider mentoring others'
-            };
-        } else if (score >= 0.7) {
-            return {
-                level: 'good',
-                description: 'Good temporal coherence',
-                recommendation: 'Continue current development with minor optimizations'
-            };
-        } else if (score >= 0.5) {
-            return {
-                level: 'moderate',
-                description: 'Moderate temporal coherence',
-                recommendation: 'Focus on strengthening weak components through targeted interventions'
-            };
-        } else if (score >= 0.3) {
-            return {
-                level: 'low',
-                description: 'Low temporal coherence',
-                recommendation: 'Comprehensive intervention recommended - consider temporal coherence therapy'
+            return Math.max(0, 1 - variance);
+        }
+
+        calculateInternalCoherence(broaData) {
+            return this.explainInternalCoherence(broaData).value;
+        }
+
+        explainInternalCoherence(broaData) {
+            if (!broaData) {
+                return this.explainLeaf('internal_coherence', () => this.useFallback('calculateInternalCoherence', 0.5, 'no BROA data'));
+            }
+
+            const beliefConsistency = this.explainLeaf('belief_consistency', () => this.calculateBeliefConsistency(broaData.beliefs), {
+                formula: '1 - |variance(beliefs) - 0.1|, clamped to [0, 1]',
+                inputs: { beliefs: broaData.beliefs ?? null }
+            });
+            const ruleCoherence = this.explainLeaf('rule_coherence', () => this.calculateRuleCoherence(broaData.rules), {
+                formula: 'min(1, rule_count / 5)',
+                inputs: { rule_count: broaData.rules ? Object.keys(broaData.rules).length : null }
+            });
+            const ontologyAlignment = this.explainLeaf('ontology_alignment', () => this.calculateOntologyAlignment(broaData.ontology), {
+                formula: 'share of agency_conception, time_orientation and relationship_model that are set',
+                inputs: { ontology: broaData.ontology ?? null }
+            });
+            const authenticityAlignment = this.explainLeaf('authenticity_alignment', () => broaData.authenticity?.value_alignment ??
+                this.useFallback('calculateInternalCoherence.authenticity', 0.75, 'no authenticity value_alignment'), {
+                formula: 'authenticity.value_alignment'
+            });
+
+            const parts = [beliefConsistency, ruleCoherence, ontologyAlignment, authenticityAlignment];
+            return this.explainComposite('internal_coherence', (parts[0].value + parts[1].value + parts[2].value + parts[3].value) / 4, {
+                formula: 'mean of belief_consistency, rule_coherence, ontology_alignment, authenticity_alignment'
+            }, parts.map(part => [part, 0.25]));
+        }
+
+        calculateBeliefConsistency(beliefs) {
+            if (!beliefs) return this.useFallback('calculateBeliefConsistency', 0.5, 'no beliefs');
+
+            const values = Object.values(beliefs);
+            if (values.length === 0) return this.useFallback('calculateBeliefConsistency', 0.5, 'no numeric beliefs');
+            const mean = values.reduce((a, b) => a + b) / values.length;
+            const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
+
+            const optimalVariance = 0.1;
+            const varianceScore = 1 - Math.abs(variance - optimalVariance);
+
+            return Math.max(0, Math.min(1, varianceScore));
+        }
+
+        calculateRuleCoherence(rules) {
+            if (!rules) return this.useFallback('calculateRuleCoherence', 0.5, 'no rules');
+
+            const ruleCount = Object.keys(rules).length;
+            return Math.min(1, ruleCount / 5);
+        }
+
+        calculateOntologyAlignment(ontology) {
+            if (!ontology) return this.useFallback('calculateOntologyAlignment', 0.5, 'no ontology');
+
+            const expectedCategories = ['agency_conception', 'time_orientation', 'relationship_model'];
+            const presentCategories = expectedCategories.filter(cat => ontology[cat]);
+
+            return presentCategories.length / expectedCategories.length;
+        }
+
+        calculateProspectiveCoherence(futureProjections, identityKernel) {
+            return this.explainProspectiveCoherence(futureProjections, identityKernel).value;
+        }
+
+        explainProspectiveCoherence(futureProjections, identityKernel) {
+            const projectionAlignment = this.explainLeaf('projection_alignment', () => this.calculateProjectionAlignment(futureProjections, identityKernel), {
+                formula: 'mean of (concept-weighted share of goals matching the identity kernel) and alignment_with_identity',
+                inputs: {
+                    goals: futureProjections?.goals ?? null,
+                    identity_kernel: identityKernel ?? null,
+                    alignment_with_identity: futureProjections?.alignment_with_identity ?? null,
+                    goal_matches: futureProjections?.goals && identityKernel
+                        ? this.matchGoalsToKernel(futureProjections.goals, identityKernel)
+                        : null
+                }
+            });
+            const adaptiveCapacity = this.explainAdaptiveCapacity(futureProjections);
+
+            return this.explainComposite('PC', 0.6 * projectionAlignment.value + 0.4 * adaptiveCapacity.value, {
+                formula: '0.6·projection_alignment + 0.4·adaptive_capacity'
+            }, [[projectionAlignment, 0.6], [adaptiveCapacity, 0.4]]);
+        }
+
+        calculateProjectionAlignment(projections, identityKernel) {
+            if (!projections?.goals || !identityKernel) {
+                return this.useFallback('calculateProjectionAlignment', 0.5, 'no goals or identity kernel');
+            }
+
+            const goalKernelOverlap = this.matchGoalsToKernel(projections.goals, identityKernel)
+                .reduce((sum, entry) => sum + (entry.match?.score ?? 0), 0);
+
+            const alignmentScore = goalKernelOverlap / Math.max(projections.goals.length, 1);
+            const explicitAlignment = projections.alignment_with_identity ??
+                this.useFallback('calculateProjectionAlignment.explicit', alignmentScore, 'no alignment_with_identity; goal overlap used');
+
+            return (alignmentScore + explicitAlignment) / 2;
+        }
+
+        // Each goal counts by its closest identity-kernel concept, so 'skill_development' partly expresses 'growth'
+        matchGoalsToKernel(goals, identityKernel) {
+            return goals.map(goal => ({ goal, match: this.conceptSimilarity.bestMatch(goal, identityKernel) }));
+        }
+
+        calculateAdaptiveCapacity(projections) {
+            return this.explainAdaptiveCapacity(projections).value;
+        }
+
+        explainAdaptiveCapacity(projections) {
+            if (!projections) {
+                return this.explainLeaf('adaptive_capacity', () => this.useFallback('calculateAdaptiveCapacity', 0.5, 'no future projections'));
+            }
+
+            const goalDiversity = this.explainLeaf('goal_diversity', () => this.calculateGoalDiversity(projections.goals), {
+                formula: 'min(1, distinct goal prefixes / 5)',
+                inputs: { goals: projections.goals ?? null }
+            });
+            const timelineRealism = this.explainLeaf('timeline_realism', () => this.assessTimelineRealism(projections.timeline), {
+                formula: 'timeline lookup (1_year 0.7 … 5_years 0.9 … 20_years 0.6)',
+                inputs: { timeline: projections.timeline ?? null }
+            });
+
+            return this.explainComposite('adaptive_capacity', (goalDiversity.value + timelineRealism.value) / 2, {
+                formula: 'mean of goal_diversity and timeline_realism'
+            }, [[goalDiversity, 0.5], [timelineRealism, 0.5]]);
+        }
+
+        calculateGoalDiversity(goals) {
+            if (!goals || goals.length === 0) return this.useFallback('calculateGoalDiversity', 0, 'no goals');
+
+            const uniqueGoalTypes = new Set(goals.map(goal => goal.split('_')[0])).size;
+            const diversityScore = Math.min(1, uniqueGoalTypes / 5);
+
+            return diversityScore;
+        }
+
+        assessTimelineRealism(timeline) {
+            const timelineMap = {
+                '1_year': 0.7,
+                '3_years': 0.8,
+                '5_years': 0.9,
+                '10_years': 0.8,
+                '20_years': 0.6
             };
-        } else {
-            return {
-                level: 'very_low',
-                description: 'Very low temporal coherence',
-                recommendation: 'Immediate intervention required - consult with trained practitioner'
+
+            return timelineMap[timeline] ??
+                this.useFallback('assessTimelineRealism', 0.5, `unrecognized timeline: ${timeline}`);
+        }
+
+        calculateMetaConstructorCapacity(selfModificationData) {
+            return this.explainMetaConstructorCapacity(selfModificationData).value;
+        }
+
+        explainMetaConstructorCapacity(selfModificationData) {
+            const modificationAbility = this.explainLeaf('modification_ability', () => this.assessModificationAbility(selfModificationData), {
+                formula: 'min(1, 0.2·modifications + 0.1·distinct modification types)',
+                inputs: { modification_history: selfModificationData?.modification_history ?? null }
+            });
+            const coherenceMaintenance = this.explainLeaf('coherence_maintenance', () => this.assessCoherenceMaintenance(selfModificationData), {
+                formula: 'self_modification_data.coherence_maintenance_capacity'
+            });
+
+            return this.explainComposite('MCC', 0.5 * modificationAbility.value + 0.5 * coherenceMaintenance.value, {
+                formula: '0.5·modification_ability + 0.5·coherence_maintenance'
+            }, [[modificationAbility, 0.5], [coherenceMaintenance, 0.5]]);
+        }
+
+        assessModificationAbility(modData) {
+            if (!modData?.modification_history) {
+                return this.useFallback('assessModificationAbility', 0.3, 'no modification history');
+            }
+
+            const historyLength = modData.modification_history.length;
+            const diversityScore = new Set(modData.modification_history.map(mod => 
+                mod.split('_')[0]
+            )).size;
+
+            return Math.min(1, (historyLength * 0.2) + (diversityScore * 0.1));
+        }
+
+        assessCoherenceMaintenance(modData) {
+            return modData?.coherence_maintenance_capacity ??
+                this.useFallback('assessCoherenceMaintenance', 0.5, 'no coherence_maintenance_capacity');
+        }
+
+        calculateATCF(agentData, timeWindow = { current: Date.now() }, options = {}) {
+            const validation = this.validator.assertValid(agentData);
+            agentData = validation.profile;
+            this.fallbackLog = [];
+
+            const hcNode = this.explainHistoricalContinuity(
+                agentData.identity_history,
+                timeWindow.current
+            );
+
+            const piNode = this.explainPresentIntegration(
+                agentData.uev_data,
+                agentData.broa_data
+            );
+
+            const pcNode = this.explainProspectiveCoherence(
+                agentData.future_projections,
+                agentData.identity_kernel
+            );
+
+            const mccNode = this.explainMetaConstructorCapacity(
+                agentData.self_modification_data
+            );
+
+            const fallbacks = this.fallbackLog;
+            this.fallbackLog = null;
+
+            const [hc, pi, pc, mcc] = [hcNode.value, piNode.value, pcNode.value, mccNode.value];
+            const totalScore = (
+                this.weights.alpha * hc +
+                this.weights.beta * pi +
+                this.weights.gamma * pc +
+                this.weights.delta * mcc
+            );
+
+            const result = {
+                total_score: Math.max(0, Math.min(1, totalScore)),
+                components: {
+                    HC: Math.max(0, Math.min(1, hc)),
+                    PI: Math.max(0, Math.min(1, pi)),
+                    PC: Math.max(0, Math.min(1, pc)),
+                    MCC: Math.max(0, Math.min(1, mcc))
+                },
+                weights: { ...this.weights },
+                assessment_timestamp: timeWindow.current,
+                interpretation: this.interpretATCFScore(totalScore),
+                validation: { warnings: validation.warnings },
+                fallbacks: { count: fallbacks.length, details: fallbacks }
             };
+
+            if (options.explain) {
+                result.explanation = this.explainComposite('atcf', result.total_score, {
+                    formula: 'α·HC + β·PI + γ·PC + δ·MCC, clamped to [0, 1]',
+                    inputs: { agent_id: agentData.id ?? null, assessment_timestamp: timeWindow.current }
+                }, [
+                    [hcNode, this.weights.alpha],
+                    [piNode, this.weights.beta],
+                    [pcNode, this.weights.gamma],
+                    [mccNode, this.weights.delta]
+                ]);
+            }
+
+            return result;
         }
-    }
 
-    adaptForCulture(culturalContext, baseWeights = this.weights) {
-        if (!window.FrameworkData?.culturalFrameworks?.[culturalContext]) {
-            return baseWeights;
+        interpretATCFScore(score) {
+            if (score >= 0.8) {
+                return {
+                    level: 'excellent',
+                    description: 'Excellent temporal coherence',
+                    recommendation: 'Maintain current practices and consider mentoring others'
+                };
+            } else if (score >= 0.7) {
+                return {
+                    level: 'good',
+                    description: 'Good temporal coherence',
+                    recommendation: 'Continue current development with minor optimizations'
+                };
+            } else if (score >= 0.5) {
+                return {
+                    level: 'moderate',
+                    description: 'Moderate temporal coherence',
+                    recommendation: 'Focus on strengthening weak components through targeted interventions'
+                };
+            } else if (score >= 0.3) {
+                return {
+                    level: 'low',
+                    description: 'Low temporal coherence',
+                    recommendation: 'Comprehensive intervention recommended - consider temporal coherence therapy'
+                };
+            } else {
+                return {
+                    level: 'very_low',
+                    description: 'Very low temporal coherence',
+                    recommendation: 'Immediate intervention required - consult with trained practitioner'
+                };
+            }
         }
 
-        const cultural = window.FrameworkData.culturalFrameworks[culturalContext];
-        const modifiers = cultural.atcf_modifiers;
+        adaptForCulture(culturalContext, baseWeights = this.weights) {
+            const modifiers = this.culturalRegistry.getATCFModifiers(culturalContext);
+            if (!modifiers) {
+                return baseWeights;
+            }
+
+            const adaptedWeights = {
+                alpha: baseWeights.alpha * modifiers.alpha,
+                beta: baseWeights.beta * modifiers.beta,
+                gamma: baseWeights.gamma * modifiers.gamma,
+                delta: baseWeights.delta * modifiers.delta
+            };
 
-        const adaptedWeights = {
-            alpha: baseWeights.alpha * modifiers.alpha,
-            beta: baseWeights.beta * modifiers.beta,
-            gamma: baseWeights.gamma * modifiers.gamma,
-            delta: baseWeights.delta * modifiers.delta
-        };
+            const total = Object.values(adaptedWeights).reduce((sum, weight) => sum + weight, 0);
+            for (const key in adaptedWeights) {
+                adaptedWeights[key] = adaptedWeights[key] / total;
+            }
 
-        const total = Object.values(adaptedWeights).reduce((sum, weight) => sum + weight, 0);
-        for (const key in adaptedWeights) {
-            adaptedWeights[key] = adaptedWeights[key] / total;
+            return adaptedWeights;
         }
 
-        return adaptedWeights;
-    }
+        calculateCulturallyAdaptedATCF(agentData, timeWindow = { current: Date.now() }, options = {}) {
+            // Validate before touching the profile, and adapt from the sanitized background
+            const culturalContext = this.validator.assertValid(agentData).profile.cultural_background;
+            const adaptedWeights = this.adaptForCulture(culturalContext);
+
+            const originalWeights = { ...this.weights };
+            this.weights = adaptedWeights;
+
+            // An invalid profile throws from calculateATCF; the adapted weights must not outlive the call
+            let result;
+            try {
+                result = this.calculateATCF(agentData, timeWindow, options);
+            } finally {
+                this.weights = originalWeights;
+            }
 
-    calculateCulturallyAdaptedATCF(agentData, timeWindow = { current: Date.now() }) {
-        const culturalContext = agentData.cultural_background;
-        const adaptedWeights = this.adaptForCulture(culturalContext);
-        
-        const originalWeights = { ...this.weights };
-        this.weights = adaptedWeights;
-        
-        const result = this.calculateATCF(agentData, timeWindow);
-        result.cultural_adaptation = {
-            original_weights: originalWeights,
-            adapted_weights: adaptedWeights,
-            cultural_context: culturalContext
-        };
-        
-        this.weights = originalWeights;
-        
-        return result;
+            result.cultural_adaptation = {
+                original_weights: originalWeights,
+                adapted_weights: adaptedWeights,
+                cultural_context: culturalContext
+            };
+            if (result.explanation) {
+                result.explanation.inputs.cultural_adaptation = result.cultural_adaptation;
+            }
+
+            return result;
+        }
     }
-}
 
-window.ATCFCalculator = ATCFCalculator;
\ No newline at end of file
+    return { ATCFCalculator };
+}));
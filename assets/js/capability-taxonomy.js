@@ -0,0 +1,405 @@
+// assets/js/capability-taxonomy.js
+// Capability Taxonomy: capability hierarchy, proficiency levels and evidence for depth-aware capability matching
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./concept-similarity'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (concepts) {
+    // Parents must be listed before their children. Capability names also resolve through the concept graph,
+    // so 'mediation' lands on conflict_resolution
+    const defaultCapabilityTaxonomy = {
+        capabilities: {
+            cognitive: { name: 'Cognitive' },
+            analytical_thinking: { name: 'Analytical thinking', parent: 'cognitive' },
+            data_analysis: { name: 'Data analysis', parent: 'analytical_thinking' },
+            research: { name: 'Research', parent: 'analytical_thinking' },
+            problem_solving: { name: 'Problem solving', parent: 'cognitive' },
+            creative_problem_solving: { name: 'Creative problem solving', parent: 'problem_solving' },
+            innovation: { name: 'Innovation', parent: 'cognitive' },
+            decision_making: { name: 'Decision making', parent: 'cognitive' },
+            individual_decision_making: { name: 'Individual decision making', parent: 'decision_making' },
+            social: { name: 'Social' },
+            communication: { name: 'Communication', parent: 'social' },
+            relationship_management: { name: 'Relationship management', parent: 'social' },
+            conflict_resolution: { name: 'Conflict resolution', parent: 'social' },
+            organizational: { name: 'Organizational' },
+            collective_coordination: { name: 'Collective coordination', parent: 'organizational' },
+            consensus_building: { name: 'Consensus building', parent: 'collective_coordination' },
+            leadership: { name: 'Leadership', parent: 'organizational' },
+            planning: { name: 'Planning', parent: 'organizational' },
+            project_management: { name: 'Project management', parent: 'planning' },
+            self_management: { name: 'Self-management' },
+            goal_pursuit: { name: 'Goal pursuit', parent: 'self_management' },
+            adaptability: { name: 'Adaptability', parent: 'self_management' },
+            self_reflection: { name: 'Self-reflection', parent: 'self_management' },
+            cultural: { name: 'Cultural' },
+            tradition_preservation: { name: 'Tradition preservation', parent: 'cultural' },
+            cross_cultural_communication: { name: 'Cross-cultural communication', parent: 'cultural' }
+        },
+        proficiency_levels: { novice: 0.25, intermediate: 0.5, advanced: 0.75, expert: 1 },
+        // How far each kind of evidence can be trusted on its own
+        evidence_sources: {
+            self_report: 0.4,
+            peer_review: 0.6,
+            observed_outcome: 0.75,
+            assessment: 0.8,
+            certification: 0.9
+        }
+    };
+
+    class CapabilityTaxonomy {
+        constructor(conceptSimilarity = new concepts.ConceptSimilarity(), definition = defaultCapabilityTaxonomy, options = {}) {
+            this.conceptSimilarity = conceptSimilarity;
+            this.capabilities = {};
+            this.keyIndex = new Map();
+            this.proficiencyLevels = {};
+            this.evidenceSources = {};
+            this.defaultLevel = options.defaultLevel ?? 'intermediate';
+            this.hierarchyDecay = options.hierarchyDecay ?? 0.7;
+            this.taskRelevanceWeight = options.taskRelevanceWeight ?? 1;
+            this.minConfidence = options.minConfidence ?? 0.5;
+
+            this.loadConfig(definition);
+            this.proficiencyOf(this.defaultLevel);
+        }
+
+        registerCapability(key, definition = {}) {
+            if (typeof key !== 'string' || key.length === 0) {
+                throw new Error('Capability key must be a non-empty string');
+            }
+
+            const parent = definition.parent ?? null;
+            if (parent !== null) {
+                if (!this.capabilities[parent]) {
+                    throw new Error(`Unknown parent capability '${parent}' for '${key}'; register parents first`);
+                }
+                if (parent === key || this.ancestors(parent).includes(key)) {
+                    throw new Error(`Capability '${key}' cannot sit under its own descendant '${parent}'`);
+                }
+            }
+
+            const termKey = this.conceptSimilarity.termKey(key);
+            const owner = this.keyIndex.get(termKey);
+            if (owner && owner !== key) {
+                throw new Error(`Capability '${key}' collides with '${owner}'`);
+            }
+
+            this.capabilities[key] = { name: definition.name ?? key, parent };
+            this.keyIndex.set(termKey, key);
+            return this;
+        }
+
+        registerProficiencyLevel(level, value) {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > 1) {
+                throw new Error(`Proficiency level '${level}' must have a value above 0 and at most 1`);
+            }
+            this.proficiencyLevels[level] = value;
+            return this;
+        }
+
+        registerEvidenceSource(source, reliability) {
+            if (typeof reliability !== 'number' || !Number.isFinite(reliability) || reliability <= 0 || reliability >= 1) {
+                throw new Error(`Evidence source '${source}' must have a reliability above 0 and below 1`);
+            }
+            this.evidenceSources[source] = reliability;
+            return this;
+        }
+
+        getCapability(key) {
+            return this.capabilities[key]
+                ? { key, ...this.capabilities[key], ancestors: this.ancestors(key), children: this.listCapabilities(key) }
+                : null;
+        }
+
+        // Direct children of a capability, or every capability when no parent is given
+        listCapabilities(parent) {
+            return Object.keys(this.capabilities)
+                .filter(key => parent === undefined || this.capabilities[key].parent === parent);
+        }
+
+        ancestors(key) {
+            const result = [];
+            let parent = this.capabilities[key]?.parent;
+            while (parent) {
+                result.push(parent);
+                parent = this.capabilities[parent].parent;
+            }
+            return result;
+        }
+
+        resolveCapability(term) {
+            if (this.capabilities[term]) return term;
+
+            const byKey = this.keyIndex.get(this.conceptSimilarity.termKey(term));
+            if (byKey) return byKey;
+
+            const concept = this.conceptSimilarity.resolveConcept(term);
+            return concept && this.capabilities[concept] ? concept : null;
+        }
+
+        // Relation is read from term1's side: 'broader' means term1 is an ancestor of term2
+        hierarchySimilarity(term1, term2) {
+            const node1 = this.resolveCapability(term1);
+            const node2 = this.resolveCapability(term2);
+            if (!node1 || !node2 || node1 === node2) return null;
+
+            const up1 = this.ancestors(node1).indexOf(node2);
+            if (up1 !== -1) {
+                return { score: this.hierarchyDecay ** (up1 + 1), relation: 'narrower', concept: [node1, node2], distance: up1 + 1 };
+            }
+            const up2 = this.ancestors(node2).indexOf(node1);
+            if (up2 !== -1) {
+                return { score: this.hierarchyDecay ** (up2 + 1), relation: 'broader', concept: [node1, node2], distance: up2 + 1 };
+            }
+            return null;
+        }
+
+        similarity(term1, term2) {
+            const concept = this.conceptSimilarity.similarity(term1, term2);
+            const hierarchy = this.hierarchySimilarity(term1, term2);
+            return hierarchy && hierarchy.score > concept.score ? hierarchy : concept;
+        }
+
+        proficiencyOf(level) {
+            const resolved = level ?? this.defaultLevel;
+            if (typeof resolved === 'number') return Math.max(0, Math.min(1, resolved));
+
+            const value = this.proficiencyLevels[resolved];
+            if (value === undefined) {
+                throw new Error(`Unknown proficiency level '${resolved}'; expected one of: ${Object.keys(this.proficiencyLevels).join(', ')}`);
+            }
+            return value;
+        }
+
+        // Highest named level the proficiency reaches
+        levelName(proficiency) {
+            return Object.entries(this.proficiencyLevels)
+                .filter(([, value]) => value <= proficiency + 1e-9)
+                .reduce((best, entry) => (!best || entry[1] > best[1] ? entry : best), null)?.[0] ?? null;
+        }
+
+        levelSteps(from, to) {
+            return Object.values(this.proficiencyLevels).filter(value => value > from + 1e-9 && value <= to + 1e-9).length;
+        }
+
+        // Independent sources: each one removes part of the remaining doubt. No evidence means an unverified claim
+        evidenceConfidence(evidence = []) {
+            const doubt = evidence.reduce((remaining, entry) => {
+                const source = typeof entry === 'string' ? entry : entry?.source;
+                const reliability = this.evidenceSources[source];
+                if (reliability === undefined) {
+                    throw new Error(`Unknown evidence source '${source}'; expected one of: ${Object.keys(this.evidenceSources).join(', ')}`);
+                }
+                return remaining * (1 - reliability);
+            }, 1);
+            return 1 - doubt;
+        }
+
+        // Bare strings are read as claims at the default level with no evidence
+        normalizeCapability(entry) {
+            const capability = typeof entry === 'string' ? { name: entry } : entry;
+            if (!capability || typeof capability.name !== 'string' || capability.name.length === 0) {
+                throw new Error('Capability must be a name or an object with a name');
+            }
+
+            return {
+                name: capability.name,
+                node: this.resolveCapability(capability.name),
+                level: capability.level ?? null,
+                proficiency: this.proficiencyOf(capability.level),
+                evidence: capability.evidence || [],
+                confidence: this.evidenceConfidence(capability.evidence)
+            };
+        }
+
+        // Repeated names keep the highest proficiency
+        normalizeCapabilities(list = []) {
+            const byName = new Map();
+            for (const entry of list) {
+                const capability = this.normalizeCapability(entry);
+                const existing = byName.get(capability.name);
+                if (!existing || capability.proficiency > existing.proficiency) {
+                    byName.set(capability.name, capability);
+                }
+            }
+            return [...byName.values()];
+        }
+
+        names(list = []) {
+            return [...new Set(list.map(entry => (typeof entry === 'string' ? entry : entry?.name)).filter(Boolean))];
+        }
+
+        // Requirements without a level are met by holding the capability at any proficiency
+        normalizeRequirements(list = []) {
+            const byName = new Map();
+            for (const entry of list) {
+                const requirement = typeof entry === 'string' ? { name: entry } : entry;
+                if (!requirement || typeof requirement.name !== 'string' || requirement.name.length === 0) {
+                    throw new Error('Required capability must be a name or an object with a name');
+                }
+                const weight = requirement.weight ?? 1;
+                if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+                    throw new Error(`Required capability '${requirement.name}' must have a positive weight`);
+                }
+
+                const level = requirement.level ?? null;
+                const proficiency = level === null ? null : this.proficiencyOf(level);
+                const existing = byName.get(requirement.name);
+                const stricter = existing && (existing.proficiency ?? 0) >= (proficiency ?? 0) ? existing : { level, proficiency };
+                byName.set(requirement.name, {
+                    name: requirement.name,
+                    level: stricter.level,
+                    proficiency: stricter.proficiency,
+                    weight: Math.max(weight, existing?.weight ?? 0)
+                });
+            }
+            return [...byName.values()];
+        }
+
+        taskRelevance(name, requirements = []) {
+            return requirements.reduce((best, requirement) => {
+                const match = this.similarity(name, requirement.name);
+                return match.score >= this.conceptSimilarity.minSimilarity ? Math.max(best, match.score) : best;
+            }, 0);
+        }
+
+        // Weighted Jaccard over one-to-one matches. A match counts by similarity times proficiency agreement,
+        // and task-relevant capabilities weigh more on both sides of the ratio. Flat lists without a task
+        // give the same result as ConceptSimilarity.compareSets
+        compareCapabilities(list1, list2, requirements = []) {
+            const items1 = this.normalizeCapabilities(list1);
+            const items2 = this.normalizeCapabilities(list2);
+            const weightOf = item => 1 + this.taskRelevanceWeight * this.taskRelevance(item.name, requirements);
+            const weights1 = items1.map(weightOf);
+            const weights2 = items2.map(weightOf);
+
+            const pairs = [];
+            items1.forEach((left, i) => items2.forEach((right, j) => {
+                const match = this.similarity(left.name, right.name);
+                if (match.score < this.conceptSimilarity.minSimilarity) return;
+
+                const depthAgreement = 1 - Math.abs(left.proficiency - right.proficiency);
+                const weight = (weights1[i] + weights2[j]) / 2;
+                const value = match.score * depthAgreement * weight;
+                if (value > 0) {
+                    pairs.push({ i, j, value, left: left.name, right: right.name, ...match, depth_agreement: depthAgreement, weight });
+                }
+            }));
+            pairs.sort((a, b) => b.value - a.value || a.i - b.i || a.j - b.j);
+
+            const used1 = new Set();
+            const used2 = new Set();
+            const matches = [];
+            let intersection = 0;
+            for (const pair of pairs) {
+                if (used1.has(pair.i) || used2.has(pair.j)) continue;
+                used1.add(pair.i);
+                used2.add(pair.j);
+                const { i, j, value, ...match } = pair;
+                intersection += value;
+                matches.push(match);
+            }
+
+            const total = weights => weights.reduce((sum, weight) => sum + weight, 0);
+            const union = total(weights1) + total(weights2) - intersection;
+
+            return {
+                score: union > 0 ? intersection / union : 0,
+                intersection,
+                union,
+                matches,
+                unmatched: [
+                    items1.filter((_, index) => !used1.has(index)).map(item => item.name),
+                    items2.filter((_, index) => !used2.has(index)).map(item => item.name)
+                ]
+            };
+        }
+
+        // Best cover for one requirement among normalized capabilities. A narrower capability covers a broader
+        // requirement; a broader one only partly covers a narrower requirement. Proficiency below the required
+        // level covers the same share of it
+        coverRequirement(requirement, capabilities) {
+            let best = null;
+            for (const capability of capabilities) {
+                let match = this.similarity(requirement.name, capability.name);
+                const hierarchy = this.hierarchySimilarity(requirement.name, capability.name);
+                let strength = 0;
+                if (match.score >= this.conceptSimilarity.matchThreshold) {
+                    strength = 1;
+                } else if (hierarchy) {
+                    match = hierarchy;
+                    strength = hierarchy.relation === 'broader' ? 1 : hierarchy.score;
+                }
+                if (strength === 0) continue;
+
+                const depth = requirement.proficiency === null ? 1 : Math.min(1, capability.proficiency / requirement.proficiency);
+                const value = strength * depth;
+                if (!best || value > best.value || (value === best.value && capability.confidence > best.confidence)) {
+                    best = {
+                        value,
+                        capability: capability.name,
+                        proficiency: capability.proficiency,
+                        level: capability.level ?? this.levelName(capability.proficiency),
+                        confidence: capability.confidence,
+                        score: match.score,
+                        relation: match.relation,
+                        concept: match.concept
+                    };
+                }
+            }
+            return best;
+        }
+
+        // Migration path for flat string arrays: every bare name becomes { name, level, evidence }.
+        // With canonical, names that resolve to a taxonomy capability take its key
+        migrateCapabilities(list = [], options = {}) {
+            const level = options.level ?? this.defaultLevel;
+            this.proficiencyOf(level);
+            const evidence = options.evidence || [];
+            this.evidenceConfidence(evidence);
+
+            return list.map(entry => {
+                if (typeof entry !== 'string') return entry;
+                const node = options.canonical ? this.resolveCapability(entry) : null;
+                return { name: node ?? entry, level, ...(evidence.length > 0 && { evidence: [...evidence] }) };
+            });
+        }
+
+        // Names outside the taxonomy, with the closest capability where one is similar enough to suggest
+        findUnresolved(list = []) {
+            const keys = Object.keys(this.capabilities);
+            return this.names(list)
+                .filter(name => !this.resolveCapability(name))
+                .map(name => {
+                    const suggestion = this.conceptSimilarity.bestMatch(name, keys);
+                    return { name, suggestion: suggestion ? suggestion.term : null };
+                });
+        }
+
+        loadConfig(config = {}) {
+            for (const [level, value] of Object.entries(config.proficiency_levels || {})) {
+                this.registerProficiencyLevel(level, value);
+            }
+            for (const [source, reliability] of Object.entries(config.evidence_sources || {})) {
+                this.registerEvidenceSource(source, reliability);
+            }
+            for (const [key, definition] of Object.entries(config.capabilities || {})) {
+                this.registerCapability(key, definition);
+            }
+            return this;
+        }
+
+        exportConfig() {
+            return {
+                capabilities: JSON.parse(JSON.stringify(this.capabilities)),
+                proficiency_levels: { ...this.proficiencyLevels },
+                evidence_sources: { ...this.evidenceSources }
+            };
+        }
+    }
+
+    return { CapabilityTaxonomy, defaultCapabilityTaxonomy };
+}));
@@ -0,0 +1,263 @@
+// assets/js/compatibility-registry.js
+// Registry of style compatibility matrices used by CoordinationAssessment
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const defaultCompatibilityMatrices = {
+        decision_making: {
+            'individual_focused': {
+                'individual_focused': 0.9,
+                'consensus_based': 0.4,
+                'hierarchical': 0.3,
+                'collaborative': 0.6
+            },
+            'consensus_based': {
+                'individual_focused': 0.4,
+                'consensus_based': 0.9,
+                'hierarchical': 0.5,
+                'collaborative': 0.8
+            }
+        },
+        conflict_resolution: {
+            'direct_communication': {
+                'direct_communication': 0.9,
+                'harmony_preservation': 0.3,
+                'authority_based': 0.4,
+                'mediated_discussion': 0.7
+            },
+            'harmony_preservation': {
+                'direct_communication': 0.3,
+                'harmony_preservation': 0.9,
+                'authority_based': 0.6,
+                'mediated_discussion': 0.8
+            }
+        },
+        goal_setting: {
+            'personal_achievement': {
+                'personal_achievement': 0.8,
+                'collective_benefit': 0.4,
+                'hierarchical_alignment': 0.3,
+                'collaborative_outcome': 0.6
+            },
+            'collective_benefit': {
+                'personal_achievement': 0.4,
+                'collective_benefit': 0.9,
+                'hierarchical_alignment': 0.7,
+                'collaborative_outcome': 0.8
+            }
+        },
+        agency_conception: {
+            'independent': {
+                'independent': 0.9,
+                'interdependent': 0.4,
+                'hierarchical': 0.3,
+                'collective': 0.5
+            },
+            'interdependent': {
+                'independent': 0.4,
+                'interdependent': 0.9,
+                'hierarchical': 0.6,
+                'collective': 0.8
+            }
+        },
+        time_orientation: {
+            'future_focused': {
+                'future_focused': 0.9,
+                'present_focused': 0.6,
+                'past_honoring': 0.4,
+                'cyclical_continuity': 0.5
+            },
+            'cyclical_continuity': {
+                'future_focused': 0.5,
+                'present_focused': 0.8,
+                'past_honoring': 0.8,
+                'cyclical_continuity': 0.9
+            }
+        },
+        relationship_model: {
+            'voluntary_association': {
+                'voluntary_association': 0.9,
+                'embedded_obligation': 0.3,
+                'hierarchical_structure': 0.2,
+                'reciprocal_exchange': 0.7
+            },
+            'embedded_obligation': {
+                'voluntary_association': 0.3,
+                'embedded_obligation': 0.9,
+                'hierarchical_structure': 0.7,
+                'reciprocal_exchange': 0.6
+            }
+        }
+    };
+
+    class CompatibilityMatrixRegistry {
+        constructor(matrices = defaultCompatibilityMatrices, options = {}) {
+            this.matrices = {};
+            this.autoComplete = options.autoComplete ?? true;
+
+            for (const [name, entries] of Object.entries(matrices)) {
+                this.registerMatrix(name, entries);
+            }
+        }
+
+        registerMatrix(name, entries = {}) {
+            if (this.matrices[name]) {
+                throw new Error(`Compatibility matrix '${name}' is already registered; use extendMatrix or overrideMatrix`);
+            }
+
+            this.matrices[name] = {};
+            this.mergeEntries(name, entries);
+            return this;
+        }
+
+        extendMatrix(name, entries) {
+            if (!this.matrices[name]) {
+                return this.registerMatrix(name, entries);
+            }
+
+            this.mergeEntries(name, entries);
+            return this;
+        }
+
+        overrideMatrix(name, entries) {
+            delete this.matrices[name];
+            return this.registerMatrix(name, entries);
+        }
+
+        setCompatibility(name, style1, style2, value, symmetric = true) {
+            if (!this.matrices[name]) {
+                throw new Error(`Unknown compatibility matrix '${name}'`);
+            }
+            this.validateValue(name, style1, style2, value);
+
+            this.matrices[name][style1] = { ...this.matrices[name][style1], [style2]: value };
+            if (symmetric) {
+                this.matrices[name][style2] = { ...this.matrices[name][style2], [style1]: value };
+            }
+            return this;
+        }
+
+        mergeEntries(name, entries) {
+            for (const [style1, row] of Object.entries(entries)) {
+                for (const [style2, value] of Object.entries(row)) {
+                    this.validateValue(name, style1, style2, value);
+                    this.matrices[name][style1] = { ...this.matrices[name][style1], [style2]: value };
+                }
+            }
+
+            if (this.autoComplete) {
+                this.completeSymmetric(name);
+            }
+        }
+
+        validateValue(name, style1, style2, value) {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 1) {
+                throw new Error(`Compatibility ${name}[${style1}][${style2}] must be a number between 0 and 1`);
+            }
+        }
+
+        completeSymmetric(name) {
+            const matrix = this.matrices[name];
+            const filled = [];
+
+            for (const [style1, row] of Object.entries(matrix)) {
+                for (const [style2, value] of Object.entries(row)) {
+                    if (matrix[style2]?.[style1] === undefined) {
+                        matrix[style2] = { ...matrix[style2], [style1]: value };
+                        filled.push([style2, style1]);
+                    }
+                }
+            }
+
+            return filled;
+        }
+
+        lookup(name, style1, style2) {
+            return this.matrices[name]?.[style1]?.[style2];
+        }
+
+        getMatrix(name) {
+            return this.matrices[name] ? JSON.parse(JSON.stringify(this.matrices[name])) : null;
+        }
+
+        getMatrixNames() {
+            return Object.keys(this.matrices);
+        }
+
+        getStyles(name) {
+            const matrix = this.matrices[name] || {};
+            const styles = new Set(Object.keys(matrix));
+            for (const row of Object.values(matrix)) {
+                Object.keys(row).forEach(style => styles.add(style));
+            }
+            return [...styles].sort();
+        }
+
+        checkCompleteness(name) {
+            const matrix = this.matrices[name] || {};
+            const styles = this.getStyles(name);
+            const missingPairs = [];
+            const asymmetricPairs = [];
+
+            for (let i = 0; i < styles.length; i++) {
+                for (let j = i; j < styles.length; j++) {
+                    const forward = matrix[styles[i]]?.[styles[j]];
+                    const backward = matrix[styles[j]]?.[styles[i]];
+
+                    if (forward === undefined && backward === undefined) {
+                        missingPairs.push([styles[i], styles[j]]);
+                    } else if (forward !== undefined && backward !== undefined && forward !== backward) {
+                        asymmetricPairs.push({ styles: [styles[i], styles[j]], forward, backward });
+                    }
+                }
+            }
+
+            const totalPairs = (styles.length * (styles.length + 1)) / 2;
+
+            return {
+                matrix: name,
+                styles,
+                total_pairs: totalPairs,
+                defined_pairs: totalPairs - missingPairs.length,
+                completeness: totalPairs > 0 ? (totalPairs - missingPairs.length) / totalPairs : 1,
+                missing_pairs: missingPairs,
+                asymmetric_pairs: asymmetricPairs
+            };
+        }
+
+        reportUndefinedPairs() {
+            return Object.fromEntries(
+                this.getMatrixNames().map(name => [name, this.checkCompleteness(name)])
+            );
+        }
+
+        loadConfig(config) {
+            for (const [name, definition] of Object.entries(config.matrices || {})) {
+                if (definition.mode === 'override') {
+                    this.overrideMatrix(name, definition.entries || {});
+                } else {
+                    this.extendMatrix(name, definition.entries || {});
+                }
+            }
+            return this;
+        }
+
+        exportConfig() {
+            return {
+                matrices: Object.fromEntries(
+                    this.getMatrixNames().map(name => [name, { mode: 'override', entries: this.getMatrix(name) }])
+                )
+            };
+        }
+    }
+
+    return {
+        CompatibilityMatrixRegistry,
+        defaultCompatibilityMatrices
+    };
+}));
@@ -0,0 +1,314 @@
+// assets/js/concept-similarity.js
+// Concept Similarity: offline synonym/relation graph for comparing identity kernels, goals and capabilities
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Aliases score as the concept itself; relations carry their own weight (0-1]
+    const defaultConceptGraph = {
+        concepts: {
+            autonomy: { domain: 'value', aliases: ['independence', 'self_determination', 'freedom', 'self_reliance'] },
+            achievement: { domain: 'value', aliases: ['accomplishment', 'success', 'excellence', 'advancement'] },
+            innovation: { domain: 'value', aliases: ['creativity', 'creative', 'novelty', 'originality', 'inventiveness'] },
+            tradition: { domain: 'value', aliases: ['heritage', 'custom', 'ancestry'] },
+            harmony: { domain: 'value', aliases: ['peace', 'balance', 'social_harmony'] },
+            loyalty: { domain: 'value', aliases: ['allegiance', 'faithfulness', 'devotion'] },
+            duty: { domain: 'value', aliases: ['obligation', 'responsibility'] },
+            community: { domain: 'value', aliases: ['collective', 'belonging', 'solidarity'] },
+            family: { domain: 'value', aliases: ['kinship', 'kin', 'household'] },
+            growth: { domain: 'value', aliases: ['development', 'learning', 'self_improvement'] },
+            integrity: { domain: 'value', aliases: ['honesty', 'authenticity', 'truthfulness'] },
+            respect: { domain: 'value', aliases: ['dignity', 'honor', 'reverence'] },
+            security: { domain: 'value', aliases: ['safety', 'stability'] },
+            cooperation: { domain: 'value', aliases: ['collaboration', 'teamwork', 'partnership'] },
+            analytical_thinking: { domain: 'capability', aliases: ['analysis', 'critical_thinking', 'analytical_reasoning'] },
+            problem_solving: { domain: 'capability', aliases: ['troubleshooting', 'solution_finding'] },
+            decision_making: { domain: 'capability', aliases: ['judgement', 'judgment'] },
+            goal_pursuit: { domain: 'capability', aliases: ['goal_orientation', 'drive', 'persistence'] },
+            consensus_building: { domain: 'capability', aliases: ['consensus', 'facilitation', 'agreement_building'] },
+            conflict_resolution: { domain: 'capability', aliases: ['mediation', 'negotiation', 'dispute_resolution'] },
+            relationship_management: { domain: 'capability', aliases: ['relationship_building', 'interpersonal_skills', 'rapport_building'] },
+            collective_coordination: { domain: 'capability', aliases: ['team_coordination', 'group_coordination', 'coordination'] },
+            communication: { domain: 'capability', aliases: ['active_listening', 'presentation', 'writing'] },
+            leadership: { domain: 'capability', aliases: ['management', 'guidance', 'direction_setting'] },
+            planning: { domain: 'capability', aliases: ['strategic_planning', 'organization', 'scheduling'] },
+            tradition_preservation: { domain: 'capability', aliases: ['cultural_preservation', 'heritage_keeping'] }
+        },
+        relations: [
+            ['autonomy', 'achievement', 0.4],
+            ['achievement', 'goal_pursuit', 0.6],
+            ['achievement', 'growth', 0.5],
+            ['innovation', 'problem_solving', 0.5],
+            ['innovation', 'growth', 0.4],
+            ['tradition', 'tradition_preservation', 0.8],
+            ['tradition', 'loyalty', 0.5],
+            ['tradition', 'duty', 0.5],
+            ['tradition', 'respect', 0.5],
+            ['harmony', 'cooperation', 0.6],
+            ['harmony', 'community', 0.5],
+            ['harmony', 'consensus_building', 0.5],
+            ['loyalty', 'duty', 0.6],
+            ['loyalty', 'family', 0.5],
+            ['community', 'family', 0.5],
+            ['community', 'cooperation', 0.5],
+            ['integrity', 'respect', 0.4],
+            ['security', 'tradition', 0.3],
+            ['cooperation', 'collective_coordination', 0.7],
+            ['analytical_thinking', 'problem_solving', 0.7],
+            ['analytical_thinking', 'decision_making', 0.5],
+            ['decision_making', 'leadership', 0.6],
+            ['consensus_building', 'collective_coordination', 0.6],
+            ['consensus_building', 'conflict_resolution', 0.6],
+            ['relationship_management', 'communication', 0.6],
+            ['relationship_management', 'conflict_resolution', 0.5],
+            ['leadership', 'planning', 0.5],
+            ['goal_pursuit', 'planning', 0.5]
+        ]
+    };
+
+    // Longest first; stems stop at three characters
+    const suffixes = ['ational', 'ations', 'ation', 'ative', 'ating', 'ities', 'ity', 'ship', 'ments', 'ment', 'ness',
+        'ions', 'ion', 'ives', 'ive', 'ing', 'ate', 'ers', 'er', 'ies', 'ous', 'al', 'ed', 's', 'e'];
+    const stopWords = new Set(['and', 'of', 'the', 'for', 'in', 'to', 'a', 'an', 'with']);
+
+    class ConceptSimilarity {
+        constructor(graph = defaultConceptGraph, options = {}) {
+            this.concepts = {};
+            this.relations = {};
+            this.aliasIndex = new Map();
+            this.cache = new Map();
+            this.minSimilarity = options.minSimilarity ?? 0.3;
+            this.containmentScore = options.containmentScore ?? 0.8;
+            this.partialScore = options.partialScore ?? 0.6;
+            this.matchThreshold = options.matchThreshold ?? 0.8;
+
+            this.loadConfig(graph);
+        }
+
+        registerConcept(id, definition = {}) {
+            if (typeof id !== 'string' || id.length === 0) {
+                throw new Error('Concept id must be a non-empty string');
+            }
+
+            const existing = this.concepts[id];
+            const aliases = [...new Set([...(existing?.aliases || []), ...(definition.aliases || [])])];
+            this.concepts[id] = { domain: definition.domain ?? existing?.domain ?? null, aliases };
+
+            for (const term of [id, ...aliases]) {
+                const key = this.termKey(term);
+                const owner = this.aliasIndex.get(key);
+                if (owner && owner !== id) {
+                    throw new Error(`Term '${term}' already belongs to concept '${owner}'`);
+                }
+                this.aliasIndex.set(key, id);
+            }
+
+            this.cache.clear();
+            return this;
+        }
+
+        relate(concept1, concept2, weight, symmetric = true) {
+            for (const id of [concept1, concept2]) {
+                if (!this.concepts[id]) {
+                    throw new Error(`Unknown concept '${id}'`);
+                }
+            }
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0 || weight > 1) {
+                throw new Error(`Relation ${concept1} ~ ${concept2} must have a weight above 0 and at most 1`);
+            }
+
+            this.relations[concept1] = { ...this.relations[concept1], [concept2]: weight };
+            if (symmetric) {
+                this.relations[concept2] = { ...this.relations[concept2], [concept1]: weight };
+            }
+
+            this.cache.clear();
+            return this;
+        }
+
+        tokenize(term) {
+            return String(term)
+                .toLowerCase()
+                .split(/[^a-z0-9]+/)
+                .filter(token => token.length > 0 && !stopWords.has(token))
+                .map(token => this.stem(token));
+        }
+
+        stem(token) {
+            let stem = token;
+            let changed = true;
+            while (changed) {
+                changed = false;
+                for (const suffix of suffixes) {
+                    if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+                        stem = stem.slice(0, -suffix.length);
+                        changed = true;
+                        break;
+                    }
+                }
+            }
+            return stem;
+        }
+
+        termKey(term) {
+            return this.tokenize(term).join('_');
+        }
+
+        resolveConcept(term) {
+            return this.aliasIndex.get(this.termKey(term)) ?? null;
+        }
+
+        // Runs of tokens that name a concept stand for that concept (longest run first), so
+        // 'heritage_preservation' contains 'tradition' and 'creative_problem_solving' contains 'problem_solving'
+        conceptTokens(term) {
+            const tokens = this.tokenize(term);
+            const result = [];
+            let start = 0;
+            while (start < tokens.length) {
+                let length = tokens.length - start;
+                while (length > 1 && !this.aliasIndex.has(tokens.slice(start, start + length).join('_'))) length--;
+
+                const key = tokens.slice(start, start + length).join('_');
+                result.push(this.aliasIndex.get(key) ?? key);
+                start += length;
+            }
+            return [...new Set(result)];
+        }
+
+        similarity(term1, term2) {
+            const cacheKey = `${term1}\u0000${term2}`;
+            if (!this.cache.has(cacheKey)) {
+                this.cache.set(cacheKey, this.computeSimilarity(term1, term2));
+            }
+            return this.cache.get(cacheKey);
+        }
+
+        computeSimilarity(term1, term2) {
+            if (term1 === term2) return { score: 1, relation: 'exact', concept: this.resolveConcept(term1) };
+
+            const concept1 = this.resolveConcept(term1);
+            const concept2 = this.resolveConcept(term2);
+            if (this.termKey(term1) === this.termKey(term2)) return { score: 1, relation: 'same_stem', concept: concept1 };
+            if (concept1 && concept1 === concept2) return { score: 1, relation: 'synonym', concept: concept1 };
+
+            const candidates = [{ score: 0, relation: 'none', concept: null }];
+            if (concept1 && concept2) {
+                const direct = this.relations[concept1]?.[concept2];
+                if (direct) candidates.push({ score: direct, relation: 'related', concept: [concept1, concept2] });
+
+                for (const [via, weight] of Object.entries(this.relations[concept1] || {})) {
+                    const onward = this.relations[via]?.[concept2];
+                    if (onward && via !== concept2) {
+                        candidates.push({ score: weight * onward, relation: 'related_via', concept: [concept1, concept2], via });
+                    }
+                }
+            }
+
+            const tokens1 = this.conceptTokens(term1);
+            const tokens2 = this.conceptTokens(term2);
+            const shared = tokens1.filter(token => tokens2.includes(token));
+            if (shared.length > 0) {
+                const contained = shared.length === Math.min(tokens1.length, tokens2.length);
+                candidates.push(contained
+                    ? { score: this.containmentScore, relation: 'contains', concept: shared }
+                    : { score: this.partialScore * shared.length / new Set([...tokens1, ...tokens2]).size, relation: 'partial', concept: shared });
+            }
+
+            return candidates.reduce((best, candidate) => candidate.score > best.score ? candidate : best);
+        }
+
+        bestMatch(term, candidates = []) {
+            let best = null;
+            for (const candidate of candidates) {
+                const match = this.similarity(term, candidate);
+                if (match.score >= this.minSimilarity && (!best || match.score > best.score)) {
+                    best = { term: candidate, ...match };
+                }
+            }
+            return best;
+        }
+
+        matches(term, candidates, threshold = this.matchThreshold) {
+            const best = this.bestMatch(term, candidates);
+            return Boolean(best && best.score >= threshold);
+        }
+
+        // Concept-weighted Jaccard: one-to-one matches add their score to the intersection.
+        // With exact matches only this is plain Jaccard similarity
+        compareSets(list1, list2) {
+            const items1 = [...new Set(list1 || [])];
+            const items2 = [...new Set(list2 || [])];
+
+            const pairs = [];
+            items1.forEach((left, i) => items2.forEach((right, j) => {
+                const match = this.similarity(left, right);
+                if (match.score >= this.minSimilarity) pairs.push({ i, j, left, right, ...match });
+            }));
+            pairs.sort((a, b) => b.score - a.score || a.i - b.i || a.j - b.j);
+
+            const used1 = new Set();
+            const used2 = new Set();
+            const matches = [];
+            for (const pair of pairs) {
+                if (used1.has(pair.i) || used2.has(pair.j)) continue;
+                used1.add(pair.i);
+                used2.add(pair.j);
+                const { i, j, ...match } = pair;
+                matches.push(match);
+            }
+
+            const intersection = matches.reduce((sum, match) => sum + match.score, 0);
+            const union = items1.length + items2.length - intersection;
+
+            return {
+                score: union > 0 ? intersection / union : 0,
+                intersection,
+                union,
+                matches,
+                unmatched: [
+                    items1.filter((_, index) => !used1.has(index)),
+                    items2.filter((_, index) => !used2.has(index))
+                ]
+            };
+        }
+
+        getConcept(id) {
+            return this.concepts[id]
+                ? { id, ...JSON.parse(JSON.stringify(this.concepts[id])), relations: { ...this.relations[id] } }
+                : null;
+        }
+
+        listConcepts(domain) {
+            return Object.keys(this.concepts).filter(id => !domain || this.concepts[id].domain === domain);
+        }
+
+        loadConfig(config = {}) {
+            for (const [id, definition] of Object.entries(config.concepts || {})) {
+                this.registerConcept(id, definition);
+            }
+            for (const [concept1, concept2, weight] of config.relations || []) {
+                this.relate(concept1, concept2, weight);
+            }
+            return this;
+        }
+
+        exportConfig() {
+            const relations = [];
+            for (const [concept1, related] of Object.entries(this.relations)) {
+                for (const [concept2, weight] of Object.entries(related)) {
+                    if (concept1 < concept2 || this.relations[concept2]?.[concept1] !== weight) {
+                        relations.push([concept1, concept2, weight]);
+                    }
+                }
+            }
+
+            return { concepts: JSON.parse(JSON.stringify(this.concepts)), relations };
+        }
+    }
+
+    return { ConceptSimilarity, defaultConceptGraph };
+}));
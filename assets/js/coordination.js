@@ -1,389 +1,1355 @@
 // assets/js/coordination.js
 // Coordination Assessment and Team Analysis Tools
 
-class CoordinationAssessment {
-    constructor() {
-        this.coordinationThreshold = 0.7;
-        this.atcfCalculator = new ATCFCalculator();
-    }
-
-    assessCrossAgentCoordination(agent1Data, agent2Data, taskContext = {}) {
-        const atcf1 = this.atcfCalculator.calculateCulturallyAdaptedATCF(agent1Data);
-        const atcf2 = this.atcfCalculator.calculateCulturallyAdaptedATCF(agent2Data);
-        
-        const prfCompatibility = this.calculatePRFCompatibility(
-            agent1Data.broa_data, 
-            agent2Data.broa_data
-        );
-        
-        const capabilityOverlap = this.calculateCapabilityOverlap(
-            agent1Data.capabilities || [],
-            agent2Data.capabilities || []
-        );
-        
-        const culturalCoordination = this.calculateCulturalCoordination(
-            agent1Data.cultural_background,
-            agent2Data.cultural_background
-        );
-        
-        const coordinationPotential = (
-            0.3 * Math.min(atcf1.total_score, atcf2.total_score) +
-            0.25 * prfCompatibility +
-            0.25 * capabilityOverlap +
-            0.2 * culturalCoordination
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./atcf-calculator'),
+            require('./compatibility-registry'),
+            require('./capability-taxonomy'),
+            require('./accommodation-registry')
         );
-        
-        return {
-            coordination_potential: Math.max(0, Math.min(1, coordinationPotential)),
-            individual_atcf: { agent1: atcf1, agent2: atcf2 },
-            prf_compatibility: prfCompatibility,
-            capability_overlap: capabilityOverlap,
-            cultural_coordination: culturalCoordination,
-            recommendation: this.generateCoordinationRecommendation(coordinationPotential),
-            intervention_strategies: this.identifyInterventionStrategies(
-                coordinationPotential, prfCompatibility, capabilityOverlap, culturalCoordination
-            )
-        };
+    } else {
+        Object.assign(root, factory(root, root, root, root));
     }
+}(typeof self !== 'undefined' ? self : this, function (atcf, compatibility, taxonomy, accommodation) {
+    // Base blend of pair sub-scores before task adjustment; decision_fit only applies when the task names a style
+    const defaultCoordinationWeights = { atcf: 0.3, prf: 0.25, capability: 0.25, cultural: 0.2, decision_fit: 0.1 };
 
-    calculatePRFCompatibility(broa1, broa2) {
-        const beliefCompatibility = this.calculateBeliefCompatibility(broa1.beliefs, broa2.beliefs);
-        const ruleCompatibility = this.calculateRuleCompatibility(broa1.rules, broa2.rules);
-        const ontologyCompatibility = this.calculateOntologyCompatibility(broa1.ontology, broa2.ontology);
-        const authenticityCompatibility = this.calculateAuthenticityCompatibility(
-            broa1.authenticity, broa2.authenticity
-        );
-        
-        return (beliefCompatibility + ruleCompatibility + ontologyCompatibility + authenticityCompatibility) / 4;
-    }
+    // Style dimensions compared in directional mode; each one names the compatibility matrix it is read from
+    const adaptationDimensions = [
+        ['rules', 'decision_making'],
+        ['rules', 'conflict_resolution'],
+        ['rules', 'goal_setting'],
+        ['ontology', 'agency_conception'],
+        ['ontology', 'time_orientation'],
+        ['ontology', 'relationship_model']
+    ];
 
-    calculateBeliefCompatibility(beliefs1, beliefs2) {
-        if (!beliefs1 || !beliefs2) return 0.5;
-        
-        const commonBeliefs = Object.keys(beliefs1).filter(key => key in beliefs2);
-        if (commonBeliefs.length === 0) return 0.3;
-        
-        let totalCompatibility = 0;
-        for (const belief of commonBeliefs) {
-            const diff = Math.abs(beliefs1[belief] - beliefs2[belief]);
-            const compatibility = 1 - diff;
-            totalCompatibility += compatibility;
-        }
-        
-        return totalCompatibility / commonBeliefs.length;
-    }
+    // Pair strategies that the team assessment replaces with one built from the whole team
+    const teamJudgedStrategies = ['capability_gap', 'capability_depth', 'accommodation_provision'];
 
-    calculateRuleCompatibility(rules1, rules2) {
-        if (!rules1 || !rules2) return 0.5;
-        
-        const decisionCompatibility = this.assessDecisionCompatibility(
-            rules1.decision_making, rules2.decision_making
-        );
-        
-        const conflictCompatibility = this.assessConflictCompatibility(
-            rules1.conflict_resolution, rules2.conflict_resolution
-        );
-        
-        const goalCompatibility = this.assessGoalCompatibility(
-            rules1.goal_setting, rules2.goal_setting
-        );
-        
-        return (decisionCompatibility + conflictCompatibility + goalCompatibility) / 3;
-    }
+    const styleLabel = style => String(style).replace(/_/g, ' ');
 
-    assessDecisionCompatibility(style1, style2) {
-        const compatibilityMatrix = {
-            'individual_focused': {
-                'individual_focused': 0.9,
-                'consensus_based': 0.4,
-                'hierarchical': 0.3,
-                'collaborative': 0.6
-            },
-            'consensus_based': {
-                'individual_focused': 0.4,
-                'consensus_based': 0.9,
-                'hierarchical': 0.5,
-                'collaborative': 0.8
-            }
-        };
-        
-        return compatibilityMatrix[style1]?.[style2] || 0.5;
-    }
+    // Support offered to the agent doing the adapting on each dimension
+    const adaptationSupports = {
+        decision_making: (own, partner) => `an explicit decision protocol that leaves room for ${styleLabel(own)} decision making alongside ${styleLabel(partner)}`,
+        conflict_resolution: (own, partner) => `a mediated conflict format in which ${styleLabel(own)} counts as much as ${styleLabel(partner)}`,
+        goal_setting: (own, partner) => `explicit goal trade-offs so ${styleLabel(partner)} goals do not displace ${styleLabel(own)} goal setting`,
+        agency_conception: (own, partner) => `a clear split of individual and shared responsibilities between ${styleLabel(own)} and ${styleLabel(partner)} agency`,
+        time_orientation: own => `flexible time allocation and planning horizons that suit a ${styleLabel(own)} time orientation`,
+        relationship_model: (own, partner) => `stated relationship expectations so ${styleLabel(partner)} norms are not assumed over ${styleLabel(own)} ones`,
+        beliefs: () => 'a structured belief-bridging session instead of quietly deferring to their partner'
+    };
 
-    assessConflictCompatibility(style1, style2) {
-        const compatibilityMatrix = {
-            'direct_communication': {
-                'direct_communication': 0.9,
-                'harmony_preservation': 0.3,
-                'authority_based': 0.4,
-                'mediated_discussion': 0.7
-            },
-            'harmony_preservation': {
-                'direct_communication': 0.3,
-                'harmony_preservation': 0.9,
-                'authority_based': 0.6,
-                'mediated_discussion': 0.8
-            }
-        };
-        
-        return compatibilityMatrix[style1]?.[style2] || 0.5;
-    }
+    class CoordinationAssessment {
+        constructor(options = {}) {
+            this.coordinationThreshold = 0.7;
+            this.atcfCalculator = options.atcfCalculator || new atcf.ATCFCalculator(undefined, { frameworkData: options.frameworkData });
+            this.compatibilityRegistry = options.compatibilityRegistry || new compatibility.CompatibilityMatrixRegistry();
+            this.conceptSimilarity = options.conceptSimilarity || this.atcfCalculator.conceptSimilarity;
+            this.capabilityTaxonomy = options.capabilityTaxonomy || new taxonomy.CapabilityTaxonomy(this.conceptSimilarity);
+            // Profiles are validated against the taxonomy's levels and evidence sources before any scoring
+            if (!this.atcfCalculator.validator.capabilityTaxonomy) {
+                this.atcfCalculator.validator.capabilityTaxonomy = this.capabilityTaxonomy;
+            }
+            this.accommodationRegistry = options.accommodationRegistry || new accommodation.AccommodationRegistry();
+            // Largest share of a pair's potential lost when every accommodation either agent needs goes unmet
+            this.accommodationPenalty = options.accommodationPenalty ?? 0.15;
+            this.coordinationWeights = { ...defaultCoordinationWeights, ...options.coordinationWeights };
+            this.validateCoordinationWeights();
+            this.equityTolerance = options.equityTolerance ?? 0.05;
+            this.adaptationSupportThreshold = options.adaptationSupportThreshold ?? 0.1;
+            this.fallbackLog = null;
+        }
 
-    assessGoalCompatibility(style1, style2) {
-        const compatibilityMatrix = {
-            'personal_achievement': {
-                'personal_achievement': 0.8,
-                'collective_benefit': 0.4,
-                'hierarchical_alignment': 0.3,
-                'collaborative_outcome': 0.6
-            },
-            'collective_benefit': {
-                'personal_achievement': 0.4,
-                'collective_benefit': 0.9,
-                'hierarchical_alignment': 0.7,
-                'collaborative_outcome': 0.8
-            }
-        };
-        
-        return compatibilityMatrix[style1]?.[style2] || 0.5;
-    }
+        validateCoordinationWeights() {
+            for (const component of Object.keys(defaultCoordinationWeights)) {
+                const weight = this.coordinationWeights[component];
+                if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                    throw new Error(`Coordination weight '${component}' must be a non-negative number`);
+                }
+            }
 
-    calculateOntologyCompatibility(ontology1, ontology2) {
-        if (!ontology1 || !ontology2) return 0.5;
-        
-        const agencyCompatibility = this.assessAgencyCompatibility(
-            ontology1.agency_conception, ontology2.agency_conception
-        );
-        
-        const timeCompatibility = this.assessTimeCompatibility(
-            ontology1.time_orientation, ontology2.time_orientation
-        );
-        
-        const relationshipCompatibility = this.assessRelationshipCompatibility(
-            ontology1.relationship_model, ontology2.relationship_model
-        );
-        
-        return (agencyCompatibility + timeCompatibility + relationshipCompatibility) / 3;
-    }
+            const { atcf: atcfWeight, prf, capability, cultural } = this.coordinationWeights;
+            if (Math.abs(atcfWeight + prf + capability + cultural - 1.0) > 0.001) {
+                throw new Error('Coordination weights atcf, prf, capability and cultural must sum to 1.0');
+            }
+        }
 
-    assessAgencyCompatibility(agency1, agency2) {
-        const compatibilityMatrix = {
-            'independent': {
-                'independent': 0.9,
-                'interdependent': 0.4,
-                'hierarchical': 0.3,
-                'collective': 0.5
-            },
-            'interdependent': {
-                'independent': 0.4,
-                'interdependent': 0.9,
-                'hierarchical': 0.6,
-                'collective': 0.8
-            }
-        };
-        
-        return compatibilityMatrix[agency1]?.[agency2] || 0.5;
-    }
+        loadWeightConfig(config = {}) {
+            this.atcfCalculator.loadWeightConfig(config);
 
-    assessTimeCompatibility(time1, time2) {
-        const compatibilityMatrix = {
-            'future_focused': {
-                'future_focused': 0.9,
-                'present_focused': 0.6,
-                'past_honoring': 0.4,
-                'cyclical_continuity': 0.5
-            },
-            'cyclical_continuity': {
-                'future_focused': 0.5,
-                'present_focused': 0.8,
-                'past_honoring': 0.8,
-                'cyclical_continuity': 0.9
-            }
-        };
-        
-        return compatibilityMatrix[time1]?.[time2] || 0.5;
-    }
+            if (config.coordination_weights) {
+                const previous = this.coordinationWeights;
+                this.coordinationWeights = { ...previous, ...config.coordination_weights };
+                try {
+                    this.validateCoordinationWeights();
+                } catch (error) {
+                    this.coordinationWeights = previous;
+                    throw error;
+                }
+            }
 
-    assessRelationshipCompatibility(model1, model2) {
-        const compatibilityMatrix = {
-            'voluntary_association': {
-                'voluntary_association': 0.9,
-                'embedded_obligation': 0.3,
-                'hierarchical_structure': 0.2,
-                'reciprocal_exchange': 0.7
-            },
-            'embedded_obligation': {
-                'voluntary_association': 0.3,
-                'embedded_obligation': 0.9,
-                'hierarchical_structure': 0.7,
-                'reciprocal_exchange': 0.6
-            }
-        };
-        
-        return compatibilityMatrix[model1]?.[model2] || 0.5;
-    }
+            return this;
+        }
 
-    calculateAuthenticityCompatibility(auth1, auth2) {
-        if (!auth1 || !auth2) return 0.5;
-        
-        const kernelOverlap = this.calculateIdentityKernelOverlap(
-            auth1.identity_kernel, auth2.identity_kernel
-        );
-        
-        const alignmentSimilarity = Math.abs(auth1.value_alignment - auth2.value_alignment);
-        const alignmentCompatibility = 1 - alignmentSimilarity;
-        
-        const consistencySimilarity = Math.abs(auth1.self_consistency - auth2.self_consistency);
-        const consistencyCompatibility = 1 - consistencySimilarity;
-        
-        return (kernelOverlap + alignmentCompatibility + consistencyCompatibility) / 3;
-    }
+        exportWeightConfig() {
+            return { ...this.atcfCalculator.exportWeightConfig(), coordination_weights: { ...this.coordinationWeights } };
+        }
 
-    calculateIdentityKernelOverlap(kernel1, kernel2) {
-        if (!kernel1 || !kernel2 || kernel1.length === 0 || kernel2.length === 0) return 0;
-        
-        const set1 = new Set(kernel1);
-        const set2 = new Set(kernel2);
-        const intersection = new Set([...set1].filter(x => set2.has(x)));
-        const union = new Set([...set1, ...set2]);
-        
-        return intersection.size / union.size;
-    }
+        useFallback(source, value, reason) {
+            if (this.fallbackLog) {
+                this.fallbackLog.push({ source, value, reason });
+            }
+            return value;
+        }
 
-    calculateCapabilityOverlap(capabilities1, capabilities2) {
-        if (!capabilities1 || !capabilities2 || capabilities1.length === 0 || capabilities2.length === 0) {
-            return 0.3;
-        }
-        
-        const set1 = new Set(capabilities1);
-        const set2 = new Set(capabilities2);
-        const intersection = new Set([...set1].filter(x => set2.has(x)));
-        const union = new Set([...set1, ...set2]);
-        
-        const overlapRatio = intersection.size / union.size;
-        const complementarityRatio = (union.size - intersection.size) / union.size;
-        
-        return 0.4 * overlapRatio + 0.6 * Math.min(1, complementarityRatio * 2);
-    }
+        explainLeaf(id, compute, details = {}) {
+            const outerLog = this.fallbackLog;
+            this.fallbackLog = [];
+            const value = compute();
+            const fallbacks = this.fallbackLog;
+            this.fallbackLog = outerLog;
+            if (outerLog) outerLog.push(...fallbacks);
 
-    calculateCulturalCoordination(culture1, culture2) {
-        if (!culture1 || !culture2) return 0.5;
-        
-        if (culture1 === culture2) return 0.8;
-        
-        const culturalCompatibilityMatrix = {
-            'individualistic': {
-                'collectivistic': 0.6,
-                'indigenous': 0.5,
-                'traditional': 0.4
-            },
-            'collectivistic': {
-                'individualistic': 0.6,
-                'indigenous': 0.7,
-                'traditional': 0.8
-            },
-            'indigenous': {
-                'individualistic': 0.5,
-                'collectivistic': 0.7,
-                'traditional': 0.6
-            },
-            'traditional': {
-                'individualistic': 0.4,
-                'collectivistic': 0.8,
-                'indigenous': 0.6
-            }
-        };
-        
-        return culturalCompatibilityMatrix[culture1]?.[culture2] || 0.5;
-    }
+            return { id, value, ...details, fallback_used: fallbacks.length > 0, fallbacks };
+        }
+
+        explainComposite(id, value, details, weightedChildren) {
+            const children = weightedChildren.map(([node, weight]) => ({ id: node.id, value: node.value, weight, ...node }));
+            return { id, value, ...details, fallback_used: children.some(child => child.fallback_used), children };
+        }
+
+        assessCrossAgentCoordination(agent1Data, agent2Data, taskContext = {}, options = {}) {
+            const validation1 = this.atcfCalculator.validator.assertValid(agent1Data);
+            const validation2 = this.atcfCalculator.validator.assertValid(agent2Data);
+            agent1Data = validation1.profile;
+            agent2Data = validation2.profile;
+
+            const atcf1 = this.atcfCalculator.calculateCulturallyAdaptedATCF(agent1Data, undefined, options);
+            const atcf2 = this.atcfCalculator.calculateCulturallyAdaptedATCF(agent2Data, undefined, options);
+
+            const assessment = this.assessPairWithATCF(agent1Data, agent2Data, atcf1, atcf2, taskContext, options);
+            assessment.validation = {
+                agent1: { warnings: validation1.warnings },
+                agent2: { warnings: validation2.warnings }
+            };
+
+            return assessment;
+        }
+
+        assessPairWithATCF(agent1Data, agent2Data, atcf1, atcf2, taskContext = {}, options = {}) {
+            const taskModel = this.buildTaskModel(taskContext);
+            const taskWeights = this.calculateTaskWeights(taskModel);
+            // options.capacity (0-1) scales every sub-score but the ATCF: a pair working below capacity, under stress
+            // say, bridges its frameworks and applies its skills less well
+            const capacity = options.capacity ?? 1;
+            this.fallbackLog = [];
+
+            const prfNode = this.explainPRFCompatibility(
+                agent1Data.broa_data, 
+                agent2Data.broa_data
+            );
+            const prfCompatibility = prfNode.value;
+
+            const overlapNode = this.explainCapabilityOverlap(
+                agent1Data.capabilities || [],
+                agent2Data.capabilities || [],
+                taskModel.capability_requirements
+            );
+            const capabilityOverlap = overlapNode.value;
+
+            const culturalNode = this.explainCulturalCoordination(
+                agent1Data.cultural_background,
+                agent2Data.cultural_background
+            );
+            const culturalCoordination = culturalNode.value;
+
+            const capabilityCoverage = this.calculateCapabilityCoverage([
+                { id: agent1Data.id || 'agent1', capabilities: agent1Data.capabilities || [] },
+                { id: agent2Data.id || 'agent2', capabilities: agent2Data.capabilities || [] }
+            ], taskModel.capability_requirements);
+
+            const capabilityScore = capabilityCoverage
+                ? 0.4 * capabilityOverlap + 0.6 * capabilityCoverage.coverage_score
+                : capabilityOverlap;
+
+            const decisionStyles = [agent1Data.broa_data?.rules?.decision_making, agent2Data.broa_data?.rules?.decision_making];
+            const decisionNode = this.explainLeaf('decision_style_fit', () => this.calculateDecisionStyleFit(
+                decisionStyles,
+                taskModel.decision_style
+            ), {
+                formula: 'mean decision_making matrix score of each agent\'s style against the task style',
+                inputs: { agent1: decisionStyles[0] ?? null, agent2: decisionStyles[1] ?? null, task: taskModel.decision_style }
+            });
+            const decisionFit = decisionNode.value;
+
+            const basePotential = this.combineSubScores({
+                atcf: Math.min(atcf1.total_score, atcf2.total_score),
+                prf: capacity * prfCompatibility,
+                capability: capacity * capabilityScore,
+                cultural: capacity * culturalCoordination,
+                decision_fit: capacity * (decisionFit ?? 0)
+            }, taskWeights);
+
+            const accommodationFit = this.calculateAccommodationFit([
+                { id: agent1Data.id || 'agent1', profile: agent1Data },
+                { id: agent2Data.id || 'agent2', profile: agent2Data }
+            ], taskModel.accommodations);
+            const coordinationPotential = basePotential * (accommodationFit ? accommodationFit.factor : 1);
+            if (accommodationFit) {
+                accommodationFit.potential_with_accommodations = Math.max(0, Math.min(1, basePotential));
+            }
+
+            const fallbacks = this.fallbackLog;
+            this.fallbackLog = null;
+
+            const result = {
+                coordination_potential: Math.max(0, Math.min(1, coordinationPotential)),
+                individual_atcf: { agent1: atcf1, agent2: atcf2 },
+                prf_compatibility: prfCompatibility,
+                capability_overlap: capabilityOverlap,
+                capability_coverage: capabilityCoverage,
+                cultural_coordination: culturalCoordination,
+                decision_style_fit: decisionFit,
+                ...(capacity < 1 && { capacity }),
+                accommodations: accommodationFit,
+                task_model: taskModel,
+                task_weights: taskWeights,
+                fallbacks: {
+                    count: fallbacks.length + atcf1.fallbacks.count + atcf2.fallbacks.count,
+                    details: fallbacks
+                },
+                recommendation: this.generateCoordinationRecommendation(coordinationPotential),
+                intervention_strategies: this.identifyInterventionStrategies(
+                    coordinationPotential, prfCompatibility, capabilityOverlap, culturalCoordination, capabilityCoverage, accommodationFit
+                )
+            };
+
+            if (options.directional) {
+                result.directional = this.calculateAdaptationBurden(agent1Data, agent2Data, atcf1, atcf2, taskModel);
+            }
+
+            if (options.explain) {
+                const capabilityNode = capabilityCoverage
+                    ? this.explainComposite('capability', capabilityScore, {
+                        formula: '0.4·capability_overlap + 0.6·capability_coverage'
+                    }, [
+                        [overlapNode, 0.4],
+                        [this.explainLeaf('capability_coverage', () => capabilityCoverage.coverage_score, {
+                            formula: 'weighted share of required capabilities held by either agent, scaled by proficiency against the required level',
+                            inputs: {
+                                required: taskModel.capability_requirements,
+                                missing: capabilityCoverage.missing,
+                                below_level: capabilityCoverage.below_level
+                            }
+                        }), 0.6]
+                    ])
+                    : this.explainComposite('capability', capabilityScore, {
+                        formula: 'capability_overlap (no required capabilities given)'
+                    }, [[overlapNode, 1]]);
+
+                // Capacity is folded into the non-ATCF weights so the children still sum to the potential
+                const children = [
+                    [this.explainATCFFloor(atcf1, atcf2), taskWeights.atcf],
+                    [prfNode, capacity * taskWeights.prf],
+                    [capabilityNode, capacity * taskWeights.capability],
+                    [culturalNode, capacity * taskWeights.cultural]
+                ];
+                if (taskWeights.decision_fit > 0) {
+                    children.push([decisionNode, capacity * taskWeights.decision_fit]);
+                }
+
+                const scaled = capacity < 1 ? ' (non-ATCF sub-scores × capacity)' : '';
+                result.explanation = this.explainComposite('coordination_potential', result.coordination_potential, {
+                    formula: accommodationFit
+                        ? `Σ task_weight·sub_score${scaled} × accommodation factor, clamped to [0, 1]`
+                        : `Σ task_weight·sub_score${scaled}, clamped to [0, 1]`,
+                    inputs: {
+                        agent1_id: agent1Data.id ?? null,
+                        agent2_id: agent2Data.id ?? null,
+                        task_model: taskModel,
+                        ...(capacity < 1 && { capacity }),
+                        ...(accommodationFit && { accommodation_factor: accommodationFit.factor })
+                    }
+                }, children);
+            }
+
+            return result;
+        }
+
+        explainATCFFloor(atcf1, atcf2) {
+            const agentNode = (atcf, id) => atcf.explanation
+                ? { ...atcf.explanation, id }
+                : { id, value: atcf.total_score, formula: 'ATCF total_score', fallback_used: atcf.fallbacks.count > 0, fallbacks: atcf.fallbacks.details };
+            const limiting = atcf1.total_score <= atcf2.total_score ? 0 : 1;
+
+            // min() has no weights: the agent with the lower score carries all of it
+            return this.explainComposite('atcf', Math.min(atcf1.total_score, atcf2.total_score), {
+                formula: 'min(ATCF agent1, ATCF agent2)'
+            }, [
+                [agentNode(atcf1, 'atcf_agent1'), limiting === 0 ? 1 : 0],
+                [agentNode(atcf2, 'atcf_agent2'), limiting === 1 ? 1 : 0]
+            ]);
+        }
+
+        combineSubScores(subScores, taskWeights) {
+            return (
+                taskWeights.atcf * subScores.atcf +
+                taskWeights.prf * subScores.prf +
+                taskWeights.capability * subScores.capability +
+                taskWeights.cultural * subScores.cultural +
+                taskWeights.decision_fit * subScores.decision_fit
+            );
+        }
+
+        buildTaskModel(taskContext = {}) {
+            const levelMap = { none: 0, low: 0.25, medium: 0.5, high: 0.75, critical: 1 };
+            const toLevel = value => {
+                if (typeof value === 'number') return Math.max(0, Math.min(1, value));
+                return levelMap[value] ?? 0;
+            };
+
+            const requirements = Array.isArray(taskContext.required_capabilities)
+                ? this.capabilityTaxonomy.normalizeRequirements(taskContext.required_capabilities)
+                : [];
 
-    generateCoordinationRecommendation(coordinationPotential) {
-        if (coordinationPotential >= 0.8) {
             return {
-                level: 'excellent',
-                description: 'Excellent coordination potential',
-                action: 'Proceed with standard coordination protocols',
-                confidence: 'high'
+                task: taskContext.task || null,
+                required_capabilities: requirements.map(requirement => requirement.name),
+                capability_requirements: requirements,
+                time_pressure: toLevel(taskContext.time_pressure),
+                decision_style: taskContext.decision_style || null,
+                consensus_criticality: toLevel(taskContext.consensus_criticality),
+                accommodations: this.accommodationRegistry.normalizeProvided(taskContext.accommodations ?? []),
+                // Working norms decide who adapts to whom in directional mode; the task's decision style is one of them
+                norms: {
+                    ...(taskContext.decision_style && { decision_making: taskContext.decision_style }),
+                    ...(taskContext.norms && typeof taskContext.norms === 'object' ? taskContext.norms : {})
+                }
+            };
+        }
+
+        calculateTaskWeights(taskModel) {
+            const pressure = taskModel.time_pressure;
+            const consensus = taskModel.consensus_criticality;
+            const base = this.coordinationWeights;
+
+            // Time pressure favours individually stable agents with the right skills;
+            // consensus-critical work favours shared frameworks and cultural fit
+            const weights = {
+                atcf: base.atcf + 0.1 * pressure,
+                prf: Math.max(0, base.prf - 0.05 * pressure + 0.1 * consensus),
+                capability: base.capability + 0.1 * pressure,
+                cultural: Math.max(0, base.cultural - 0.05 * pressure + 0.05 * consensus),
+                decision_fit: taskModel.decision_style ? base.decision_fit + 0.05 * consensus : 0
             };
-        } else if (coordinationPotential >= 0.7) {
+
+            const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+            for (const key in weights) {
+                weights[key] = weights[key] / total;
+            }
+
+            return weights;
+        }
+
+        calculateCapabilityCoverage(members, requiredCapabilities) {
+            if (!requiredCapabilities || requiredCapabilities.length === 0) return null;
+
+            const capabilityTaxonomy = this.capabilityTaxonomy;
+            const requirements = capabilityTaxonomy.normalizeRequirements(requiredCapabilities);
+            const holders = members.map(member => ({
+                id: member.id,
+                capabilities: capabilityTaxonomy.normalizeCapabilities(member.capabilities || [])
+            }));
+
+            const coveredBy = {};
+            const matches = {};
+            const details = {};
+            for (const requirement of requirements) {
+                const covers = holders
+                    .map(member => ({ member: member.id, cover: capabilityTaxonomy.coverRequirement(requirement, member.capabilities) }))
+                    .filter(entry => entry.cover);
+
+                coveredBy[requirement.name] = covers.map(entry => entry.member);
+                // Only covers that didn't name the capability exactly need explaining
+                const inexact = covers.filter(entry => entry.cover.relation !== 'exact');
+                if (inexact.length > 0) {
+                    matches[requirement.name] = inexact.map(({ member, cover }) => ({
+                        member, term: cover.capability, score: cover.score, relation: cover.relation, concept: cover.concept
+                    }));
+                }
+
+                const best = covers.reduce((top, entry) => (!top || entry.cover.value > top.cover.value ? entry : top), null);
+                details[requirement.name] = {
+                    level: requirement.level,
+                    weight: requirement.weight,
+                    value: best ? best.cover.value : 0,
+                    best: best ? { member: best.member, ...best.cover } : null
+                };
+            }
+
+            const names = requirements.map(requirement => requirement.name);
+            const totalWeight = requirements.reduce((sum, requirement) => sum + requirement.weight, 0);
+            const isFull = name => details[name].value >= 1 - 1e-9;
+
             return {
-                level: 'good',
-                description: 'Good coordination potential',
-                action: 'Focus on capability-based coordination protocols',
-                confidence: 'high'
+                coverage_score: requirements.reduce((sum, requirement) => sum + requirement.weight * details[requirement.name].value, 0) / totalWeight,
+                covered: names.filter(isFull),
+                below_level: names.filter(name => details[name].value > 0 && !isFull(name)),
+                missing: names.filter(name => details[name].value === 0),
+                duplicated: names.filter(name => coveredBy[name].length > 1),
+                // Level requirements met only by claims without enough supporting evidence
+                unverified: requirements
+                    .filter(requirement => requirement.level !== null && details[requirement.name].best &&
+                        details[requirement.name].best.confidence < capabilityTaxonomy.minConfidence)
+                    .map(requirement => requirement.name),
+                covered_by: coveredBy,
+                requirements: details,
+                concept_matches: matches
             };
-        } else if (coordinationPotential >= 0.5) {
+        }
+
+        // The least accommodated member sets the fit, as the weakest ATCF sets the floor
+        calculateAccommodationFit(members, provided = []) {
+            const assessed = members.map(member => {
+                const { source, profile, needs } = this.accommodationRegistry.resolveNeeds(member.profile);
+                return { id: member.id, source, profile, needs, ...this.accommodationRegistry.assessNeeds(needs, provided) };
+            });
+            if (assessed.every(member => member.needs.length === 0)) return null;
+
+            const needed = new Map();
+            for (const member of assessed) {
+                for (const need of member.unmet) {
+                    const entry = needed.get(need.key);
+                    if (!entry) {
+                        needed.set(need.key, { key: need.key, name: need.name, category: need.category, description: need.description, priority: need.priority, weight: need.weight, for: [member.id] });
+                        continue;
+                    }
+                    entry.for.push(member.id);
+                    if (need.weight > entry.weight) Object.assign(entry, { priority: need.priority, weight: need.weight });
+                }
+            }
+
+            const fit = Math.min(...assessed.map(member => member.fit));
             return {
-                level: 'moderate',
-                description: 'Moderate coordination potential',
-                action: 'Implement cultural adaptation strategies and ATCF enhancement',
-                confidence: 'medium'
+                fit,
+                factor: 1 - this.accommodationPenalty * (1 - fit),
+                provided,
+                members: assessed.map(member => ({
+                    id: member.id,
+                    source: member.source,
+                    profile: member.profile,
+                    fit: member.fit,
+                    needs: member.needs.map(need => need.key),
+                    met: member.met.map(need => need.key),
+                    unmet: member.unmet.map(need => need.key)
+                })),
+                needed: [...needed.values()].sort((a, b) => b.weight - a.weight || b.for.length - a.for.length)
             };
-        } else if (coordinationPotential >= 0.3) {
+        }
+
+        describeNeededAccommodations(accommodationFit) {
+            return accommodationFit.needed
+                .map(need => `${need.name.toLowerCase()} (${need.for.join(', ')})`)
+                .join(', ');
+        }
+
+        calculateDecisionStyleFit(decisionStyles, taskDecisionStyle) {
+            if (!taskDecisionStyle) return null;
+
+            const fits = decisionStyles
+                .filter(Boolean)
+                .map(style => this.assessDecisionCompatibility(style, taskDecisionStyle));
+
+            return fits.length > 0
+                ? fits.reduce((a, b) => a + b, 0) / fits.length
+                : this.useFallback('calculateDecisionStyleFit', 0.5, 'no decision styles');
+        }
+
+        // Directional view of one pair: how much each agent has to adapt to the other, and who needs which support
+        calculateAdaptationBurden(agent1Data, agent2Data, atcf1, atcf2, taskModel = this.buildTaskModel()) {
+            const agents = [[agent1Data, atcf1], [agent2Data, atcf2]].map(([agentData, atcfResult], index) => ({
+                id: agentData.id || `agent${index + 1}`,
+                name: agentData.name || agentData.id || `Agent ${index + 1}`,
+                broa: agentData.broa_data || {},
+                // Meta-constructor capacity is how readily an agent reshapes its own rules and ontology
+                flexibility: atcfResult.components.MCC
+            }));
+
+            const node = this.explainLeaf('adaptation_burden', () => this.compareAdaptationDimensions(agents, taskModel.norms || {}));
+            const dimensions = node.value;
+
+            const totals = [0, 1].map(index => dimensions.reduce((sum, entry) => sum + entry.gaps[index] * entry.shares[index], 0));
+            const directions = [0, 1].map(index => {
+                const partner = agents[1 - index];
+                const effort = 1 - 0.5 * agents[index].flexibility;
+                const entries = dimensions.map(entry => ({
+                    dimension: entry.dimension,
+                    own_style: entry.styles[index],
+                    partner_style: entry.styles[1 - index],
+                    norm: entry.norm,
+                    gap: entry.gaps[index],
+                    share: entry.shares[index],
+                    burden: entry.gaps[index] * entry.shares[index] * effort
+                }));
+                const heaviest = entries.reduce((top, entry) => (!top || entry.burden > top.burden ? entry : top), null);
+
+                return {
+                    agent: agents[index].id,
+                    name: agents[index].name,
+                    adapts_to: partner.id,
+                    adaptation_burden: entries.length > 0 ? entries.reduce((sum, entry) => sum + entry.burden, 0) / entries.length : 0,
+                    adaptation_share: totals[0] + totals[1] > 0 ? totals[index] / (totals[0] + totals[1]) : 0.5,
+                    flexibility: agents[index].flexibility,
+                    heaviest_dimension: heaviest && heaviest.burden > 0 ? heaviest.dimension : null,
+                    dimensions: entries
+                };
+            });
+
+            const equity = this.assessAdaptationEquity(directions);
+
             return {
-                level: 'low',
-                description: 'Low coordination potential',
-                action: 'Intensive capability development and cultural bridge-building recommended',
-                confidence: 'medium'
+                agent1_to_agent2: directions[0],
+                agent2_to_agent1: directions[1],
+                equity,
+                recommendations: this.identifyEquityStrategies(directions, equity),
+                fallbacks: node.fallbacks
             };
-        } else {
+        }
+
+        // Per dimension: each agent's gap to the partner (read from its own matrix row) and its share of closing it
+        compareAdaptationDimensions(agents, norms) {
+            const dimensions = [];
+
+            for (const [section, dimension] of adaptationDimensions) {
+                const styles = agents.map(agent => agent.broa[section]?.[dimension]);
+                if (!styles[0] || !styles[1]) continue;
+
+                const gap = (own, partner) => own === partner
+                    ? 0
+                    : 1 - this.lookupCompatibility(dimension, own, partner, 'calculateAdaptationBurden');
+                const norm = norms[dimension] || null;
+
+                // Whoever sits further from the working norm does more of the moving; without a norm both meet halfway
+                let shares = [0.5, 0.5];
+                if (norm) {
+                    const distances = styles.map(style => gap(style, norm));
+                    const total = distances[0] + distances[1];
+                    if (total > 0) shares = distances.map(distance => distance / total);
+                }
+
+                dimensions.push({
+                    dimension,
+                    styles,
+                    norm,
+                    gaps: [gap(styles[0], styles[1]), gap(styles[1], styles[0])],
+                    shares
+                });
+            }
+
+            const beliefs = agents.map(agent => agent.broa.beliefs);
+            const shared = beliefs[0] && beliefs[1] ? Object.keys(beliefs[0]).filter(key => key in beliefs[1]) : [];
+            if (shared.length > 0) {
+                const difference = shared.reduce((sum, key) => sum + Math.abs(beliefs[0][key] - beliefs[1][key]), 0) / shared.length;
+                dimensions.push({ dimension: 'beliefs', styles: [null, null], norm: null, gaps: [difference, difference], shares: [0.5, 0.5] });
+            }
+
+            return dimensions;
+        }
+
+        assessAdaptationEquity(directions) {
+            const burdens = directions.map(direction => direction.adaptation_burden);
+            const total = burdens[0] + burdens[1];
+            const gap = Math.abs(burdens[0] - burdens[1]);
+            const heavier = burdens[0] >= burdens[1] ? directions[0] : directions[1];
+            const moreBurdened = gap > this.equityTolerance ? heavier : null;
+
             return {
-                level: 'very_low',
-                description: 'Very low coordination potential',
-                action: 'Consider alternative partnerships or extensive preparatory work',
-                confidence: 'low'
+                burden_gap: gap,
+                // 1 when both agents adapt equally, 0 when one agent does all of it
+                balance: total > 0 ? 1 - gap / total : 1,
+                more_burdened: moreBurdened ? moreBurdened.agent : null,
+                summary: moreBurdened
+                    ? `${moreBurdened.name} carries ${Math.round(moreBurdened.adaptation_share * 100)}% of the adaptation, mostly on ${moreBurdened.heaviest_dimension}`
+                    : 'Adaptation is shared about evenly'
             };
         }
-    }
 
-    identifyInterventionStrategies(coordinationPotential, prfCompatibility, capabilityOverlap, culturalCoordination) {
-        const strategies = [];
+        // System-level changes come first: the burdened agent should not be the only one expected to adapt
+        identifyEquityStrategies(directions, equity) {
+            const strategies = [];
+
+            for (const direction of directions) {
+                const burdened = equity.more_burdened === direction.agent;
+                const heaviest = direction.dimensions
+                    .filter(entry => entry.burden >= this.adaptationSupportThreshold)
+                    .sort((a, b) => b.burden - a.burden)
+                    .slice(0, 2);
 
-        if (prfCompatibility < 0.6) {
-            strategies.push({
-                type: 'prf_alignment',
-                priority: 'high',
-                strategy: 'Implement belief-bridging exercises and rule harmonization protocols',
-                timeline: '2-4 weeks',
-                expected_improvement: 0.2
+                for (const entry of heaviest) {
+                    if (entry.norm && entry.share >= 0.75) {
+                        strategies.push({
+                            type: 'norm_review',
+                            priority: burdened ? 'high' : 'medium',
+                            scope: 'system',
+                            agent: direction.agent,
+                            dimension: entry.dimension,
+                            strategy: `The ${entry.dimension} norm '${entry.norm}' puts ${Math.round(entry.share * 100)}% of the adaptation on ${direction.name}: rotate it or accept ${styleLabel(entry.own_style)} as an equal alternative`,
+                            timeline: '1-3 weeks',
+                            expected_improvement: 0.05
+                        });
+                        continue;
+                    }
+
+                    strategies.push({
+                        type: 'adaptation_support',
+                        priority: burdened ? 'high' : 'medium',
+                        scope: 'agent',
+                        agent: direction.agent,
+                        dimension: entry.dimension,
+                        strategy: `Support ${direction.name} with ${adaptationSupports[entry.dimension](entry.own_style, entry.partner_style)}`,
+                        timeline: '1-4 weeks',
+                        expected_improvement: 0.05
+                    });
+                }
+            }
+
+            if (equity.more_burdened) {
+                const direction = directions.find(entry => entry.agent === equity.more_burdened);
+                strategies.push({
+                    type: 'accommodation_investment',
+                    priority: 'high',
+                    scope: 'system',
+                    agent: direction.agent,
+                    strategy: `Invest in shared accommodations such as alternative communication protocols and flexible time allocation instead of relying on ${direction.name} to do most of the adapting`,
+                    timeline: '2-6 weeks',
+                    expected_improvement: 0.1
+                });
+            }
+
+            return this.sortStrategiesByPriority(strategies);
+        }
+
+        // Mean burden each member carries across their pairs; pairs must have been assessed in directional mode
+        calculateTeamAdaptationEquity(members, pairAssessments) {
+            const profiles = members.map(member => {
+                const burdens = [];
+                for (const pair of pairAssessments) {
+                    const position = pair.members.indexOf(member.id);
+                    if (position === -1) continue;
+                    burdens.push(pair.directional[position === 0 ? 'agent1_to_agent2' : 'agent2_to_agent1'].adaptation_burden);
+                }
+
+                return {
+                    id: member.id,
+                    name: member.name,
+                    mean_burden: burdens.reduce((a, b) => a + b, 0) / burdens.length,
+                    max_burden: Math.max(...burdens)
+                };
             });
+
+            const means = profiles.map(profile => profile.mean_burden);
+            const highest = Math.max(...means);
+            const lowest = Math.min(...means);
+            const mostBurdened = highest - lowest > this.equityTolerance
+                ? profiles.find(profile => profile.mean_burden === highest)
+                : null;
+
+            return {
+                members: profiles,
+                balance: highest + lowest > 0 ? 1 - (highest - lowest) / (highest + lowest) : 1,
+                most_burdened: mostBurdened ? mostBurdened.id : null,
+                recommendations: mostBurdened ? [{
+                    type: 'accommodation_investment',
+                    priority: 'high',
+                    scope: 'team',
+                    target_members: [mostBurdened.id],
+                    strategy: `Adopt team-wide accommodations such as alternative communication protocols and flexible time allocation so ${mostBurdened.name} is not the member who adapts to everyone`,
+                    timeline: '2-6 weeks',
+                    expected_improvement: 0.1
+                }] : []
+            };
         }
 
-        if (capabilityOverlap < 0.5) {
-            strategies.push({
-                type: 'capability_development',
-                priority: 'medium',
-                strategy: 'Focus on complementary capability training and cross-skilling',
-                timeline: '4-8 weeks',
-                expected_improvement: 0.25
+        assessTeamCoordination(agents, taskContext = {}, options = {}) {
+            if (!Array.isArray(agents) || agents.length < 2) {
+                throw new Error('Team coordination assessment requires at least two agents');
+            }
+
+            agents = agents.map(agentData => this.atcfCalculator.validator.assertValid(agentData).profile);
+
+            // options.memberATCF supplies already computed ATCF results, one per agent, in place of scoring the profiles;
+            // options.memberCapacity gives each agent's working capacity (0-1), and a pair works at the lower of its two
+            const members = agents.map((agentData, index) => ({
+                id: agentData.id || `member_${index + 1}`,
+                name: agentData.name || agentData.id || `Member ${index + 1}`,
+                cultural_background: agentData.cultural_background,
+                atcf: options.memberATCF?.[index] ?? this.atcfCalculator.calculateCulturallyAdaptedATCF(agentData, undefined, options)
+            }));
+
+            const matrix = members.map(() => members.map(() => null));
+            const pairAssessments = [];
+
+            for (let i = 0; i < agents.length; i++) {
+                matrix[i][i] = 1;
+                for (let j = i + 1; j < agents.length; j++) {
+                    const pairOptions = options.memberCapacity
+                        ? { ...options, capacity: Math.min(options.memberCapacity[i] ?? 1, options.memberCapacity[j] ?? 1) }
+                        : options;
+                    const assessment = this.assessPairWithATCF(
+                        agents[i], agents[j], members[i].atcf, members[j].atcf, taskContext, pairOptions
+                    );
+                    matrix[i][j] = assessment.coordination_potential;
+                    matrix[j][i] = assessment.coordination_potential;
+
+                    pairAssessments.push({
+                        members: [members[i].id, members[j].id],
+                        coordination_potential: assessment.coordination_potential,
+                        prf_compatibility: assessment.prf_compatibility,
+                        capability_overlap: assessment.capability_overlap,
+                        cultural_coordination: assessment.cultural_coordination,
+                        intervention_strategies: assessment.intervention_strategies,
+                        ...(assessment.capacity !== undefined && { capacity: assessment.capacity }),
+                        ...(assessment.directional && { directional: assessment.directional }),
+                        ...(assessment.explanation && { explanation: assessment.explanation })
+                    });
+                }
+            }
+
+            const teamTaskModel = this.buildTaskModel(taskContext);
+            const teamCoverage = this.calculateCapabilityCoverage(
+                agents.map((agentData, index) => ({
+                    id: members[index].id,
+                    capabilities: agentData.capabilities || []
+                })),
+                teamTaskModel.capability_requirements
+            );
+            const teamAccommodations = this.calculateAccommodationFit(
+                agents.map((agentData, index) => ({ id: members[index].id, profile: agentData })),
+                teamTaskModel.accommodations
+            );
+
+            const teamMetrics = this.calculateTeamMetrics(members, pairAssessments);
+            const memberProfiles = this.buildMemberProfiles(members, matrix);
+            const weakestLinks = this.identifyWeakestLinks(pairAssessments);
+            const bottleneckMembers = this.identifyBottleneckMembers(memberProfiles, weakestLinks, teamMetrics);
+
+            const result = {
+                team_size: members.length,
+                team_coordination_potential: teamMetrics.team_coordination_potential,
+                team_metrics: teamMetrics,
+                capability_coverage: teamCoverage,
+                accommodations: teamAccommodations,
+                pairwise_matrix: {
+                    member_ids: members.map(member => member.id),
+                    scores: matrix
+                },
+                pair_assessments: pairAssessments,
+                members: memberProfiles,
+                weakest_links: weakestLinks,
+                bottleneck_members: bottleneckMembers,
+                recommendation: this.generateCoordinationRecommendation(teamMetrics.team_coordination_potential),
+                intervention_strategies: this.identifyTeamInterventionStrategies(
+                    teamMetrics, pairAssessments, bottleneckMembers, teamCoverage, teamAccommodations
+                )
+            };
+
+            if (options.directional) {
+                result.adaptation_equity = this.calculateTeamAdaptationEquity(members, pairAssessments);
+            }
+
+            if (options.explain) {
+                result.explanation = this.explainTeamPotential(teamMetrics, pairAssessments);
+            }
+
+            return result;
+        }
+
+        explainTeamPotential(teamMetrics, pairAssessments) {
+            const weakest = pairAssessments.findIndex(pair => pair.coordination_potential === teamMetrics.min_coordination);
+
+            // Each pair's share of 0.7·mean, plus the 0.3·min weight on the weakest pair
+            return this.explainComposite('team_coordination_potential', teamMetrics.team_coordination_potential, {
+                formula: '0.7·mean pair potential + 0.3·weakest pair potential, clamped to [0, 1]',
+                inputs: { mean_coordination: teamMetrics.mean_coordination, min_coordination: teamMetrics.min_coordination }
+            }, pairAssessments.map((pair, index) => [
+                { ...pair.explanation, id: pair.members.join('+') },
+                0.7 / pairAssessments.length + (index === weakest ? 0.3 : 0)
+            ]));
+        }
+
+        calculatePRFCompatibility(broa1, broa2) {
+            return this.explainPRFCompatibility(broa1, broa2).value;
+        }
+
+        explainPRFCompatibility(broa1, broa2) {
+            if (!broa1 || !broa2) {
+                return this.explainLeaf('prf_compatibility', () => this.useFallback('calculatePRFCompatibility', 0.5, 'missing BROA data'));
+            }
+
+            const parts = [
+                this.explainBeliefCompatibility(broa1.beliefs, broa2.beliefs),
+                this.explainRuleCompatibility(broa1.rules, broa2.rules),
+                this.explainOntologyCompatibility(broa1.ontology, broa2.ontology),
+                this.explainAuthenticityCompatibility(broa1.authenticity, broa2.authenticity)
+            ];
+
+            return this.explainComposite('prf_compatibility', (parts[0].value + parts[1].value + parts[2].value + parts[3].value) / 4, {
+                formula: 'mean of belief, rule, ontology and authenticity compatibility'
+            }, parts.map(part => [part, 0.25]));
+        }
+
+        calculateBeliefCompatibility(beliefs1, beliefs2) {
+            return this.explainBeliefCompatibility(beliefs1, beliefs2).value;
+        }
+
+        explainBeliefCompatibility(beliefs1, beliefs2) {
+            if (!beliefs1 || !beliefs2) {
+                return this.explainLeaf('belief_compatibility', () => this.useFallback('calculateBeliefCompatibility', 0.5, 'missing beliefs'));
+            }
+
+            const commonBeliefs = Object.keys(beliefs1).filter(key => key in beliefs2);
+            if (commonBeliefs.length === 0) {
+                return this.explainLeaf('belief_compatibility', () => this.useFallback('calculateBeliefCompatibility', 0.3, 'no shared belief dimensions'), {
+                    inputs: { agent1: Object.keys(beliefs1), agent2: Object.keys(beliefs2) }
+                });
+            }
+
+            let totalCompatibility = 0;
+            const beliefs = commonBeliefs.map(belief => {
+                const diff = Math.abs(beliefs1[belief] - beliefs2[belief]);
+                const compatibility = 1 - diff;
+                totalCompatibility += compatibility;
+                return this.explainLeaf(belief, () => compatibility, {
+                    formula: '1 - |agent1 - agent2|',
+                    inputs: { agent1: beliefs1[belief], agent2: beliefs2[belief] }
+                });
+            });
+
+            return this.explainComposite('belief_compatibility', totalCompatibility / commonBeliefs.length, {
+                formula: 'mean over shared belief dimensions'
+            }, beliefs.map(node => [node, 1 / commonBeliefs.length]));
+        }
+
+        calculateRuleCompatibility(rules1, rules2) {
+            return this.explainRuleCompatibility(rules1, rules2).value;
+        }
+
+        explainRuleCompatibility(rules1, rules2) {
+            if (!rules1 || !rules2) {
+                return this.explainLeaf('rule_compatibility', () => this.useFallback('calculateRuleCompatibility', 0.5, 'missing rules'));
+            }
+
+            const parts = [
+                this.explainLookup('decision_making', rules1.decision_making, rules2.decision_making, 'assessDecisionCompatibility'),
+                this.explainLookup('conflict_resolution', rules1.conflict_resolution, rules2.conflict_resolution, 'assessConflictCompatibility'),
+                this.explainLookup('goal_setting', rules1.goal_setting, rules2.goal_setting, 'assessGoalCompatibility')
+            ];
+
+            return this.explainComposite('rule_compatibility', (parts[0].value + parts[1].value + parts[2].value) / 3, {
+                formula: 'mean of decision_making, conflict_resolution and goal_setting matrix scores'
+            }, parts.map(part => [part, 1 / 3]));
+        }
+
+        lookupCompatibility(matrixName, style1, style2, source) {
+            return this.compatibilityRegistry.lookup(matrixName, style1, style2) ??
+                this.useFallback(source, 0.5, `undefined style pair: ${style1} / ${style2}`);
+        }
+
+        explainLookup(matrixName, style1, style2, source) {
+            return this.explainLeaf(matrixName, () => this.lookupCompatibility(matrixName, style1, style2, source), {
+                formula: `${matrixName} compatibility matrix`,
+                inputs: { matrix: matrixName, agent1: style1 ?? null, agent2: style2 ?? null }
             });
         }
 
-        if (culturalCoordination < 0.6) {
-            strategies.push({
-                type: 'cultural_bridging',
-                priority: 'high',
-                strategy: 'Implement cultural competency training and adaptation protocols',
-                timeline: '3-6 weeks',
-                expected_improvement: 0.3
+        assessDecisionCompatibility(style1, style2) {
+            return this.lookupCompatibility('decision_making', style1, style2, 'assessDecisionCompatibility');
+        }
+
+        assessConflictCompatibility(style1, style2) {
+            return this.lookupCompatibility('conflict_resolution', style1, style2, 'assessConflictCompatibility');
+        }
+
+        assessGoalCompatibility(style1, style2) {
+            return this.lookupCompatibility('goal_setting', style1, style2, 'assessGoalCompatibility');
+        }
+
+        calculateOntologyCompatibility(ontology1, ontology2) {
+            return this.explainOntologyCompatibility(ontology1, ontology2).value;
+        }
+
+        explainOntologyCompatibility(ontology1, ontology2) {
+            if (!ontology1 || !ontology2) {
+                return this.explainLeaf('ontology_compatibility', () => this.useFallback('calculateOntologyCompatibility', 0.5, 'missing ontology'));
+            }
+
+            const parts = [
+                this.explainLookup('agency_conception', ontology1.agency_conception, ontology2.agency_conception, 'assessAgencyCompatibility'),
+                this.explainLookup('time_orientation', ontology1.time_orientation, ontology2.time_orientation, 'assessTimeCompatibility'),
+                this.explainLookup('relationship_model', ontology1.relationship_model, ontology2.relationship_model, 'assessRelationshipCompatibility')
+            ];
+
+            return this.explainComposite('ontology_compatibility', (parts[0].value + parts[1].value + parts[2].value) / 3, {
+                formula: 'mean of agency_conception, time_orientation and relationship_model matrix scores'
+            }, parts.map(part => [part, 1 / 3]));
+        }
+
+        assessAgencyCompatibility(agency1, agency2) {
+            return this.lookupCompatibility('agency_conception', agency1, agency2, 'assessAgencyCompatibility');
+        }
+
+        assessTimeCompatibility(time1, time2) {
+            return this.lookupCompatibility('time_orientation', time1, time2, 'assessTimeCompatibility');
+        }
+
+        assessRelationshipCompatibility(model1, model2) {
+            return this.lookupCompatibility('relationship_model', model1, model2, 'assessRelationshipCompatibility');
+        }
+
+        calculateAuthenticityCompatibility(auth1, auth2) {
+            return this.explainAuthenticityCompatibility(auth1, auth2).value;
+        }
+
+        explainAuthenticityCompatibility(auth1, auth2) {
+            if (!auth1 || !auth2) {
+                return this.explainLeaf('authenticity_compatibility', () => this.useFallback('calculateAuthenticityCompatibility', 0.5, 'missing authenticity'));
+            }
+
+            const kernelComparison = this.compareConcepts(auth1.identity_kernel, auth2.identity_kernel);
+            const parts = [
+                this.explainLeaf('identity_kernel_overlap', () => kernelComparison.score, {
+                    formula: 'concept-weighted Jaccard similarity of identity kernels',
+                    inputs: {
+                        agent1: auth1.identity_kernel ?? null,
+                        agent2: auth2.identity_kernel ?? null,
+                        matches: kernelComparison.matches
+                    }
+                }),
+                this.explainLeaf('value_alignment', () => this.calculateScoreSimilarity(
+                    auth1.value_alignment, auth2.value_alignment
+                ), {
+                    formula: '1 - |agent1 - agent2|',
+                    inputs: { agent1: auth1.value_alignment ?? null, agent2: auth2.value_alignment ?? null }
+                }),
+                this.explainLeaf('self_consistency', () => this.calculateScoreSimilarity(
+                    auth1.self_consistency, auth2.self_consistency
+                ), {
+                    formula: '1 - |agent1 - agent2|',
+                    inputs: { agent1: auth1.self_consistency ?? null, agent2: auth2.self_consistency ?? null }
+                })
+            ];
+
+            return this.explainComposite('authenticity_compatibility', (parts[0].value + parts[1].value + parts[2].value) / 3, {
+                formula: 'mean of identity kernel overlap, value_alignment and self_consistency similarity'
+            }, parts.map(part => [part, 1 / 3]));
+        }
+
+        calculateScoreSimilarity(score1, score2) {
+            if (typeof score1 !== 'number' || typeof score2 !== 'number') {
+                return this.useFallback('calculateScoreSimilarity', 0.5, 'missing authenticity score');
+            }
+
+            return 1 - Math.abs(score1 - score2);
+        }
+
+        calculateIdentityKernelOverlap(kernel1, kernel2) {
+            return this.compareConcepts(kernel1, kernel2).score;
+        }
+
+        compareConcepts(terms1, terms2) {
+            if (!terms1 || !terms2 || terms1.length === 0 || terms2.length === 0) {
+                return { score: 0, intersection: 0, union: 0, matches: [] };
+            }
+            return this.conceptSimilarity.compareSets(terms1, terms2);
+        }
+
+        calculateCapabilityOverlap(capabilities1, capabilities2, requirements = []) {
+            if (!capabilities1 || !capabilities2 || capabilities1.length === 0 || capabilities2.length === 0) {
+                return this.useFallback('calculateCapabilityOverlap', 0.3, 'missing capabilities');
+            }
+
+            // Near-synonymous or parent/child capabilities count as partly shared rather than complementary;
+            // so does the same capability held at very different proficiency
+            const { intersection, union } = this.capabilityTaxonomy.compareCapabilities(capabilities1, capabilities2, requirements);
+
+            const overlapRatio = intersection / union;
+            const complementarityRatio = (union - intersection) / union;
+
+            return 0.4 * overlapRatio + 0.6 * Math.min(1, complementarityRatio * 2);
+        }
+
+        explainCapabilityOverlap(capabilities1, capabilities2, requirements = []) {
+            return this.explainLeaf('capability_overlap', () => this.calculateCapabilityOverlap(capabilities1, capabilities2, requirements), {
+                formula: '0.4·shared/union + 0.6·min(1, 2·unshared/union), shared weighted by concept or hierarchy similarity '
+                    + 'and proficiency agreement, task-relevant capabilities weighted up',
+                inputs: {
+                    agent1: capabilities1,
+                    agent2: capabilities2,
+                    matches: this.capabilityTaxonomy.compareCapabilities(capabilities1, capabilities2, requirements).matches
+                }
             });
         }
 
-        if (coordinationPotential < 0.5) {
-            strategies.push({
-                type: 'comprehensive_coordination',
-                priority: 'critical',
-                strategy: 'Multi-modal coordination enhancement program including ATCF therapy',
-                timeline: '8-12 weeks',
-                expected_improvement: 0.4
+        explainCulturalCoordination(culture1, culture2) {
+            return this.explainLeaf('cultural', () => this.calculateCulturalCoordination(culture1, culture2), {
+                formula: culture1 && culture1 === culture2
+                    ? 'same-culture coordination'
+                    : 'cultural coordination matrix, blended backgrounds weighted by share',
+                inputs: { agent1: culture1 ?? null, agent2: culture2 ?? null }
             });
         }
 
-        return strategies.sort((a, b) => {
+        calculateCulturalCoordination(culture1, culture2) {
+            if (!culture1 || !culture2) {
+                return this.useFallback('calculateCulturalCoordination', 0.5, 'missing cultural background');
+            }
+
+            if (culture1 === culture2) return this.atcfCalculator.culturalRegistry.sameCultureCoordination;
+
+            const { score, undefined_pairs: undefinedPairs } = this.atcfCalculator.culturalRegistry.getCoordination(
+                culture1, culture2
+            );
+
+            if (score === undefined) {
+                return this.useFallback('calculateCulturalCoordination', 0.5, 'undefined culture pair');
+            }
+            if (undefinedPairs.length > 0) {
+                this.useFallback(
+                    'calculateCulturalCoordination',
+                    score,
+                    `blend excludes undefined culture pairs: ${undefinedPairs.map(pair => pair.join(' / ')).join(', ')}`
+                );
+            }
+
+            return score;
+        }
+
+        generateCoordinationRecommendation(coordinationPotential) {
+            if (coordinationPotential >= 0.8) {
+                return {
+                    level: 'excellent',
+                    description: 'Excellent coordination potential',
+                    action: 'Proceed with standard coordination protocols',
+                    confidence: 'high'
+                };
+            } else if (coordinationPotential >= 0.7) {
+                return {
+                    level: 'good',
+                    description: 'Good coordination potential',
+                    action: 'Focus on capability-based coordination protocols',
+                    confidence: 'high'
+                };
+            } else if (coordinationPotential >= 0.5) {
+                return {
+                    level: 'moderate',
+                    description: 'Moderate coordination potential',
+                    action: 'Implement cultural adaptation strategies and ATCF enhancement',
+                    confidence: 'medium'
+                };
+            } else if (coordinationPotential >= 0.3) {
+                return {
+                    level: 'low',
+                    description: 'Low coordination potential',
+                    action: 'Intensive capability development and cultural bridge-building recommended',
+                    confidence: 'medium'
+                };
+            } else {
+                return {
+                    level: 'very_low',
+                    description: 'Very low coordination potential',
+                    action: 'Consider alternative partnerships or extensive preparatory work',
+                    confidence: 'low'
+                };
+            }
+        }
+
+        identifyInterventionStrategies(coordinationPotential, prfCompatibility, capabilityOverlap, culturalCoordination, capabilityCoverage = null, accommodationFit = null) {
+            const strategies = [];
+
+            if (prfCompatibility < 0.6) {
+                strategies.push({
+                    type: 'prf_alignment',
+                    priority: 'high',
+                    strategy: 'Implement belief-bridging exercises and rule harmonization protocols',
+                    timeline: '2-4 weeks',
+                    expected_improvement: 0.2
+                });
+            }
+
+            if (capabilityOverlap < 0.5) {
+                strategies.push({
+                    type: 'capability_development',
+                    priority: 'medium',
+                    strategy: 'Focus on complementary capability training and cross-skilling',
+                    timeline: '4-8 weeks',
+                    expected_improvement: 0.25
+                });
+            }
+
+            if (capabilityCoverage && capabilityCoverage.missing.length > 0) {
+                strategies.push({
+                    type: 'capability_gap',
+                    priority: capabilityCoverage.coverage_score < 0.5 ? 'critical' : 'high',
+                    strategy: `Recruit or train for missing task capabilities: ${capabilityCoverage.missing.join(', ')}`,
+                    timeline: '2-8 weeks',
+                    expected_improvement: 0.15
+                });
+            }
+
+            if (capabilityCoverage && capabilityCoverage.below_level.length > 0) {
+                strategies.push({
+                    type: 'capability_depth',
+                    priority: 'medium',
+                    strategy: `Deepen proficiency in task capabilities held below the required level: ${this.describeBelowLevel(capabilityCoverage)}`,
+                    timeline: '4-12 weeks',
+                    expected_improvement: 0.1
+                });
+            }
+
+            if (accommodationFit && accommodationFit.needed.length > 0) {
+                strategies.push({
+                    type: 'accommodation_provision',
+                    priority: accommodationFit.needed.some(need => need.priority === 'essential') ? 'high' : 'medium',
+                    strategy: `Provide the accommodations this pair needs to reach its potential: ${this.describeNeededAccommodations(accommodationFit)}`,
+                    timeline: '1-2 weeks',
+                    expected_improvement: accommodationFit.potential_with_accommodations - coordinationPotential
+                });
+            }
+
+            if (culturalCoordination < 0.6) {
+                strategies.push({
+                    type: 'cultural_bridging',
+                    priority: 'high',
+                    strategy: 'Implement cultural competency training and adaptation protocols',
+                    timeline: '3-6 weeks',
+                    expected_improvement: 0.3
+                });
+            }
+
+            if (coordinationPotential < 0.5) {
+                strategies.push({
+                    type: 'comprehensive_coordination',
+                    priority: 'critical',
+                    strategy: 'Multi-modal coordination enhancement program including ATCF therapy',
+                    timeline: '8-12 weeks',
+                    expected_improvement: 0.4
+                });
+            }
+
+            return this.sortStrategiesByPriority(strategies);
+        }
+
+        sortStrategiesByPriority(strategies) {
             const priorityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-            return priorityOrder[b.priority] - priorityOrder[a.priority];
-        });
+            return strategies.sort((a, b) => priorityOrder[b.priority] - priorityOrder[a.priority]);
+        }
+
+        calculateTeamMetrics(members, pairAssessments) {
+            const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+            const scores = pairAssessments.map(pair => pair.coordination_potential);
+            const atcfScores = members.map(member => member.atcf.total_score);
+
+            const meanCoordination = mean(scores);
+            const minCoordination = Math.min(...scores);
+            const variance = scores.reduce((sum, score) => sum + Math.pow(score - meanCoordination, 2), 0) / scores.length;
+
+            // A team coordinates no better than its average pair, and its weakest pair drags it further down
+            const teamPotential = 0.7 * meanCoordination + 0.3 * minCoordination;
+
+            return {
+                team_coordination_potential: Math.max(0, Math.min(1, teamPotential)),
+                mean_coordination: meanCoordination,
+                min_coordination: minCoordination,
+                max_coordination: Math.max(...scores),
+                coordination_std_dev: Math.sqrt(variance),
+                mean_prf_compatibility: mean(pairAssessments.map(pair => pair.prf_compatibility)),
+                mean_capability_overlap: mean(pairAssessments.map(pair => pair.capability_overlap)),
+                mean_cultural_coordination: mean(pairAssessments.map(pair => pair.cultural_coordination)),
+                mean_atcf: mean(atcfScores),
+                min_atcf: Math.min(...atcfScores),
+                pairs_below_threshold: scores.filter(score => score < this.coordinationThreshold).length,
+                pair_count: scores.length
+            };
+        }
+
+        buildMemberProfiles(members, matrix) {
+            return members.map((member, index) => {
+                const partnerScores = matrix[index].filter((_, j) => j !== index);
+
+                return {
+                    id: member.id,
+                    name: member.name,
+                    cultural_background: member.cultural_background,
+                    atcf_score: member.atcf.total_score,
+                    mean_coordination: partnerScores.reduce((a, b) => a + b, 0) / partnerScores.length,
+                    min_coordination: Math.min(...partnerScores),
+                    pairs_below_threshold: partnerScores.filter(score => score < this.coordinationThreshold).length
+                };
+            });
+        }
+
+        identifyWeakestLinks(pairAssessments, maxLinks = 3) {
+            const sorted = [...pairAssessments].sort((a, b) => a.coordination_potential - b.coordination_potential);
+            const belowThreshold = sorted.filter(pair => pair.coordination_potential < this.coordinationThreshold);
+            const links = belowThreshold.length > 0 ? belowThreshold.slice(0, maxLinks) : sorted.slice(0, 1);
+
+            return links.map(pair => {
+                const drivers = {
+                    prf_compatibility: pair.prf_compatibility,
+                    capability_overlap: pair.capability_overlap,
+                    cultural_coordination: pair.cultural_coordination
+                };
+                const primaryGap = Object.entries(drivers).sort((a, b) => a[1] - b[1])[0][0];
+
+                return {
+                    members: pair.members,
+                    coordination_potential: pair.coordination_potential,
+                    below_threshold: pair.coordination_potential < this.coordinationThreshold,
+                    primary_gap: primaryGap
+                };
+            });
+        }
+
+        identifyBottleneckMembers(memberProfiles, weakestLinks, teamMetrics) {
+            const weakLinkCounts = {};
+            for (const link of weakestLinks.filter(link => link.below_threshold)) {
+                for (const memberId of link.members) {
+                    weakLinkCounts[memberId] = (weakLinkCounts[memberId] || 0) + 1;
+                }
+            }
+
+            const cutoff = teamMetrics.mean_coordination - teamMetrics.coordination_std_dev;
+
+            return memberProfiles
+                .filter(member =>
+                    member.mean_coordination < cutoff ||
+                    (weakLinkCounts[member.id] || 0) >= 2 ||
+                    (member.atcf_score === teamMetrics.min_atcf && member.atcf_score < 0.5)
+                )
+                .map(member => ({
+                    id: member.id,
+                    name: member.name,
+                    mean_coordination: member.mean_coordination,
+                    atcf_score: member.atcf_score,
+                    weak_links: weakLinkCounts[member.id] || 0,
+                    reason: member.atcf_score < 0.5
+                        ? 'Low individual ATCF limits every pairing this member is part of'
+                        : 'Consistently weaker coordination with the rest of the team'
+                }))
+                .sort((a, b) => a.mean_coordination - b.mean_coordination);
+        }
+
+        describeBelowLevel(coverage) {
+            return coverage.below_level.map(name => {
+                const { level, best } = coverage.requirements[name];
+                // Without a required level the shortfall is a broader capability standing in for a specific one
+                return level === null
+                    ? `${name} (only the broader ${best.capability} held)`
+                    : `${name} (${level} needed, best held is ${best.capability} at ${best.level})`;
+            }).join(', ');
+        }
+
+        identifyTeamInterventionStrategies(teamMetrics, pairAssessments, bottleneckMembers, teamCoverage = null, teamAccommodations = null) {
+            const strategies = [];
+            const pairCounts = {};
+
+            for (const pair of pairAssessments) {
+                // Capability gaps, depth and accommodations are judged against the whole team, not per pair
+                for (const strategy of pair.intervention_strategies.filter(s => !teamJudgedStrategies.includes(s.type))) {
+                    if (!pairCounts[strategy.type]) {
+                        pairCounts[strategy.type] = { template: strategy, pairs: [] };
+                    }
+                    pairCounts[strategy.type].pairs.push(pair.members);
+                }
+            }
+
+            // Strategies needed by at least half of all pairs are better delivered to the whole team
+            for (const { template, pairs } of Object.values(pairCounts)) {
+                const share = pairs.length / pairAssessments.length;
+                if (share >= 0.5) {
+                    strategies.push({
+                        ...template,
+                        scope: 'team',
+                        affected_pairs: pairs.length,
+                        strategy: `Team-wide: ${template.strategy}`
+                    });
+                } else {
+                    strategies.push({
+                        ...template,
+                        scope: 'pairs',
+                        affected_pairs: pairs.length,
+                        target_pairs: pairs
+                    });
+                }
+            }
+
+            if (teamCoverage && teamCoverage.missing.length > 0) {
+                strategies.push({
+                    type: 'capability_gap',
+                    priority: teamCoverage.coverage_score < 0.5 ? 'critical' : 'high',
+                    scope: 'team',
+                    strategy: `Recruit or train for task capabilities no member covers: ${teamCoverage.missing.join(', ')}`,
+                    timeline: '2-8 weeks',
+                    expected_improvement: 0.15
+                });
+            }
+
+            if (teamCoverage && teamCoverage.below_level.length > 0) {
+                strategies.push({
+                    type: 'capability_depth',
+                    priority: 'medium',
+                    scope: 'team',
+                    strategy: `Deepen proficiency in task capabilities no member holds at the required level: ${this.describeBelowLevel(teamCoverage)}`,
+                    timeline: '4-12 weeks',
+                    expected_improvement: 0.1
+                });
+            }
+
+            if (teamAccommodations && teamAccommodations.needed.length > 0) {
+                // Mean gain over all pairs, counting pairs that need nothing as gaining nothing
+                const gains = pairAssessments.flatMap(pair => pair.intervention_strategies
+                    .filter(strategy => strategy.type === 'accommodation_provision')
+                    .map(strategy => strategy.expected_improvement));
+                strategies.push({
+                    type: 'accommodation_provision',
+                    priority: teamAccommodations.needed.some(need => need.priority === 'essential') ? 'high' : 'medium',
+                    scope: 'team',
+                    target_members: teamAccommodations.members.filter(member => member.unmet.length > 0).map(member => member.id),
+                    strategy: `Provide the accommodations members need to reach the team's potential: ${this.describeNeededAccommodations(teamAccommodations)}`,
+                    timeline: '1-2 weeks',
+                    expected_improvement: gains.reduce((a, b) => a + b, 0) / pairAssessments.length
+                });
+            }
+
+            if (bottleneckMembers.length > 0) {
+                strategies.push({
+                    type: 'bottleneck_support',
+                    priority: 'high',
+                    scope: 'members',
+                    target_members: bottleneckMembers.map(member => member.id),
+                    strategy: 'Provide targeted coaching and liaison roles for members who limit team-wide coordination',
+                    timeline: '2-6 weeks',
+                    expected_improvement: 0.15
+                });
+            }
+
+            if (teamMetrics.coordination_std_dev > 0.1) {
+                strategies.push({
+                    type: 'subgroup_integration',
+                    priority: 'medium',
+                    scope: 'team',
+                    strategy: 'Rotate working pairs and establish shared team protocols to reduce subgroup fragmentation',
+                    timeline: '4-8 weeks',
+                    expected_improvement: 0.1
+                });
+            }
+
+            return this.sortStrategiesByPriority(strategies);
+        }
     }
-}
 
-window.CoordinationAssessment = CoordinationAssessment;
\ No newline at end of file
+    return { CoordinationAssessment, defaultCoordinationWeights };
+}));
@@ -0,0 +1,327 @@
+// assets/js/counterfactual.js
+// Counterfactual Analysis: smallest realistic profile changes that lift ATCF or coordination scores past a target
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./coordination'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (coordination) {
+    // Relative effort of each kind of change; adjust_value is per 0.1 of movement, raise_proficiency per level
+    const defaultChangeEffort = {
+        adjust_value: 0.5,
+        add_goal: 1,
+        set_timeline: 1,
+        raise_proficiency: 1,
+        add_identity_element: 1.5,
+        shift_rule: 1.5,
+        add_capability: 2,
+        shift_ontology: 2.5
+    };
+
+    class CounterfactualAnalyzer {
+        constructor(coordinationAssessment = new coordination.CoordinationAssessment(), options = {}) {
+            this.coordinationAssessment = coordinationAssessment;
+            this.atcfCalculator = coordinationAssessment.atcfCalculator;
+            this.maxChanges = options.maxChanges || 2;
+            this.beamWidth = options.beamWidth || 8;
+            this.limit = options.limit || 5;
+            this.valueStep = options.valueStep || 0.1;
+            this.maxValueShift = options.maxValueShift ?? 0.3;
+            this.minImprovement = options.minImprovement ?? 0.001;
+            this.changeEffort = { ...defaultChangeEffort, ...options.changeEffort };
+        }
+
+        suggestATCFImprovements(agentData, options = {}) {
+            const profile = this.atcfCalculator.validator.assertValid(agentData).profile;
+            const timeWindow = options.timeWindow || { current: Date.now() };
+            const target = options.target ?? 0.7;
+
+            const score = changes => this.atcfCalculator.calculateCulturallyAdaptedATCF(
+                this.applyChanges({ agent: profile }, changes).agent, timeWindow
+            ).total_score;
+
+            const baseline = score([]);
+            const candidates = this.generateATCFCandidates(profile, 'agent');
+            const search = this.search(baseline, candidates, score, target, options);
+
+            return {
+                baseline_score: baseline,
+                target,
+                already_met: baseline >= target,
+                suggestions: search.suggestions.map(suggestion => ({
+                    ...suggestion,
+                    changes: suggestion.changes.map(({ agent, ...change }) => change),
+                    projected_level: this.atcfCalculator.interpretATCFScore(suggestion.projected_score).level
+                })),
+                candidates_considered: candidates.length,
+                evaluations: search.evaluations
+            };
+        }
+
+        suggestCoordinationImprovements(agent1Data, agent2Data, taskContext = {}, options = {}) {
+            const validator = this.atcfCalculator.validator;
+            const profiles = {
+                agent1: validator.assertValid(agent1Data).profile,
+                agent2: validator.assertValid(agent2Data).profile
+            };
+            const timeWindow = options.timeWindow || { current: Date.now() };
+            const target = options.target ?? this.coordinationAssessment.coordinationThreshold;
+            const adjustable = options.adjustable || ['agent1', 'agent2'];
+
+            // ATCF only needs recomputing for the agent a candidate actually changes
+            const baselineATCF = {
+                agent1: this.atcfCalculator.calculateCulturallyAdaptedATCF(profiles.agent1, timeWindow),
+                agent2: this.atcfCalculator.calculateCulturallyAdaptedATCF(profiles.agent2, timeWindow)
+            };
+            const score = changes => {
+                const modified = this.applyChanges(profiles, changes);
+                const atcf = agentKey => changes.some(change => change.agent === agentKey)
+                    ? this.atcfCalculator.calculateCulturallyAdaptedATCF(modified[agentKey], timeWindow)
+                    : baselineATCF[agentKey];
+
+                return this.coordinationAssessment.assessPairWithATCF(
+                    modified.agent1, modified.agent2, atcf('agent1'), atcf('agent2'), taskContext
+                ).coordination_potential;
+            };
+
+            const baseline = score([]);
+            const taskModel = this.coordinationAssessment.buildTaskModel(taskContext);
+            const candidates = adjustable.flatMap(agentKey => {
+                const partnerKey = agentKey === 'agent1' ? 'agent2' : 'agent1';
+                return [
+                    ...this.generatePairCandidates(profiles[agentKey], profiles[partnerKey], agentKey, taskModel),
+                    ...this.generateATCFCandidates(profiles[agentKey], agentKey)
+                ];
+            });
+            const search = this.search(baseline, candidates, score, target, options);
+
+            return {
+                baseline_score: baseline,
+                target,
+                already_met: baseline >= target,
+                suggestions: search.suggestions.map(suggestion => ({
+                    ...suggestion,
+                    projected_level: this.coordinationAssessment.generateCoordinationRecommendation(suggestion.projected_score).level
+                })),
+                candidates_considered: candidates.length,
+                evaluations: search.evaluations
+            };
+        }
+
+        generateATCFCandidates(profile, agentKey) {
+            const candidates = [];
+            const label = this.getAgentLabel(profile, agentKey);
+
+            const raisable = [
+                ['broa_data.authenticity.value_alignment', 'value alignment'],
+                ['future_projections.alignment_with_identity', 'goal alignment with identity'],
+                ['self_modification_data.coherence_maintenance_capacity', 'coherence maintenance capacity']
+            ];
+            for (const [path, description] of raisable) {
+                const current = this.getPath(profile, path);
+                if (typeof current !== 'number') continue;
+                candidates.push(...this.valueShifts(profile, agentKey, path, 1, `${label}: raise ${description}`));
+            }
+
+            const kernel = profile.identity_kernel || [];
+            const goals = profile.future_projections?.goals || [];
+            for (const element of kernel) {
+                if (this.atcfCalculator.conceptSimilarity.matches(element, goals)) continue;
+
+                candidates.push(this.createChange(agentKey, 'add_goal', 'future_projections.goals', goals, [...goals, element],
+                    `${label}: add a goal expressing identity element '${element}'`));
+            }
+
+            const timelines = ['1_year', '3_years', '5_years', '10_years', '20_years'];
+            const bestTimeline = timelines.reduce((best, timeline) =>
+                this.atcfCalculator.assessTimelineRealism(timeline) > this.atcfCalculator.assessTimelineRealism(best) ? timeline : best
+            );
+            const currentTimeline = profile.future_projections?.timeline;
+            if (profile.future_projections && currentTimeline !== bestTimeline) {
+                candidates.push(this.createChange(agentKey, 'set_timeline', 'future_projections.timeline', currentTimeline ?? null, bestTimeline,
+                    `${label}: plan over a ${bestTimeline.replace('_', ' ')} horizon`));
+            }
+
+            return candidates;
+        }
+
+        generatePairCandidates(profile, partner, agentKey, taskModel) {
+            const candidates = [];
+            const label = this.getAgentLabel(profile, agentKey);
+            const registry = this.coordinationAssessment.compatibilityRegistry;
+
+            const concepts = this.coordinationAssessment.conceptSimilarity;
+            const capabilityTaxonomy = this.coordinationAssessment.capabilityTaxonomy;
+            const capabilities = profile.capabilities || [];
+            const names = capabilityTaxonomy.names(capabilities);
+            const partnerNames = capabilityTaxonomy.names(partner.capabilities || []);
+            const missingForTask = taskModel.required_capabilities.filter(capability =>
+                !concepts.matches(capability, names) && !concepts.matches(capability, partnerNames)
+            );
+            for (const capability of new Set([...missingForTask, ...partnerNames])) {
+                if (concepts.matches(capability, names)) continue;
+                candidates.push(this.createChange(agentKey, 'add_capability', 'capabilities', capabilities, [...capabilities, capability],
+                    `${label}: develop capability '${capability}'`));
+            }
+
+            // A capability held below the task's required level can be deepened rather than added
+            const held = capabilityTaxonomy.normalizeCapabilities(capabilities);
+            for (const requirement of taskModel.capability_requirements.filter(entry => entry.proficiency !== null)) {
+                const cover = capabilityTaxonomy.coverRequirement(requirement, held);
+                if (!cover || cover.proficiency >= requirement.proficiency) continue;
+
+                const raised = capabilities.map(entry => {
+                    const capability = typeof entry === 'string' ? { name: entry } : entry;
+                    return capability.name === cover.capability ? { ...capability, level: requirement.level } : entry;
+                });
+                candidates.push(this.createChange(agentKey, 'raise_proficiency', 'capabilities', capabilities, raised,
+                    `${label}: deepen '${cover.capability}' from ${cover.level} to ${requirement.level}`,
+                    Math.max(1, capabilityTaxonomy.levelSteps(cover.proficiency, requirement.proficiency))));
+            }
+
+            const styleDimensions = [
+                ['rules', 'decision_making', 'shift_rule'],
+                ['rules', 'conflict_resolution', 'shift_rule'],
+                ['rules', 'goal_setting', 'shift_rule'],
+                ['ontology', 'agency_conception', 'shift_ontology'],
+                ['ontology', 'time_orientation', 'shift_ontology'],
+                ['ontology', 'relationship_model', 'shift_ontology']
+            ];
+            for (const [section, dimension, type] of styleDimensions) {
+                const current = profile.broa_data?.[section]?.[dimension];
+                const partnerStyle = partner.broa_data?.[section]?.[dimension];
+                if (!current || !partnerStyle) continue;
+
+                // Only styles the matrix rates better against the partner than the current one
+                const currentFit = registry.lookup(dimension, current, partnerStyle) ?? 0;
+                for (const style of registry.getStyles(dimension)) {
+                    if (style === current || (registry.lookup(dimension, style, partnerStyle) ?? 0) <= currentFit) continue;
+                    candidates.push(this.createChange(agentKey, type, `broa_data.${section}.${dimension}`, current, style,
+                        `${label}: move ${dimension.replace(/_/g, ' ')} from ${current.replace(/_/g, ' ')} to ${style.replace(/_/g, ' ')}`));
+                }
+            }
+
+            for (const [belief, value] of Object.entries(profile.broa_data?.beliefs || {})) {
+                const partnerValue = partner.broa_data?.beliefs?.[belief];
+                if (typeof partnerValue !== 'number' || partnerValue === value) continue;
+                candidates.push(...this.valueShifts(profile, agentKey, `broa_data.beliefs.${belief}`, partnerValue,
+                    `${label}: move ${belief} belief toward partner`));
+            }
+
+            const kernel = profile.broa_data?.authenticity?.identity_kernel;
+            for (const element of partner.broa_data?.authenticity?.identity_kernel || []) {
+                if (!kernel || concepts.matches(element, kernel)) continue;
+                candidates.push(this.createChange(agentKey, 'add_identity_element', 'broa_data.authenticity.identity_kernel', kernel, [...kernel, element],
+                    `${label}: strengthen shared identity element '${element}'`));
+            }
+
+            return candidates;
+        }
+
+        valueShifts(profile, agentKey, path, towards, description) {
+            const current = this.getPath(profile, path);
+            const direction = Math.sign(towards - current);
+            const shifts = [];
+
+            for (let shift = this.valueStep; shift <= this.maxValueShift + 1e-9; shift += this.valueStep) {
+                const value = direction > 0
+                    ? Math.min(towards, current + shift)
+                    : Math.max(towards, current - shift);
+                if (shifts.some(change => change.to === value) || value === current) continue;
+
+                shifts.push(this.createChange(agentKey, 'adjust_value', path, current, value,
+                    `${description} (${current.toFixed(2)} → ${value.toFixed(2)})`,
+                    Math.abs(value - current) / 0.1));
+            }
+
+            return shifts;
+        }
+
+        createChange(agent, type, path, from, to, description, units = 1) {
+            return { agent, type, path, from, to, description, effort: Math.round(this.changeEffort[type] * units * 100) / 100 };
+        }
+
+        search(baseline, candidates, evaluate, target, options = {}) {
+            const maxChanges = options.maxChanges || this.maxChanges;
+            const limit = options.limit || this.limit;
+            const reached = [];
+            const improving = [];
+            let frontier = [{ indexes: [], score: baseline }];
+            let evaluations = 0;
+
+            for (let depth = 1; depth <= maxChanges && frontier.length > 0; depth++) {
+                const next = [];
+
+                for (const state of frontier) {
+                    const start = state.indexes.length > 0 ? state.indexes[state.indexes.length - 1] + 1 : 0;
+                    for (let index = start; index < candidates.length; index++) {
+                        const candidate = candidates[index];
+                        // One change per field per agent; later entries would overwrite earlier ones
+                        if (state.indexes.some(i => candidates[i].agent === candidate.agent && candidates[i].path === candidate.path)) continue;
+
+                        const indexes = [...state.indexes, index];
+                        const score = evaluate(indexes.map(i => candidates[i]));
+                        evaluations++;
+                        if (score - state.score < this.minImprovement) continue;
+
+                        const entry = { indexes, score };
+                        (score >= target ? reached : next).push(entry);
+                    }
+                }
+
+                improving.push(...next);
+                frontier = next.sort((a, b) => b.score - a.score).slice(0, this.beamWidth);
+            }
+
+            const toSuggestion = entry => {
+                const changes = entry.indexes.map(index => candidates[index]);
+                return {
+                    changes,
+                    projected_score: entry.score,
+                    improvement: entry.score - baseline,
+                    reaches_target: entry.score >= target,
+                    effort: Math.round(changes.reduce((sum, change) => sum + change.effort, 0) * 100) / 100
+                };
+            };
+
+            // Cheapest route past the target first; otherwise the biggest gains
+            const ranked = [
+                ...reached.map(toSuggestion).sort((a, b) => a.effort - b.effort || b.projected_score - a.projected_score),
+                ...improving.map(toSuggestion).sort((a, b) => b.projected_score - a.projected_score || a.effort - b.effort)
+            ];
+
+            return {
+                suggestions: ranked.slice(0, limit).map((suggestion, index) => ({ rank: index + 1, ...suggestion })),
+                evaluations
+            };
+        }
+
+        applyChanges(profiles, changes) {
+            if (changes.length === 0) return profiles;
+
+            const copy = JSON.parse(JSON.stringify(profiles));
+            for (const change of changes) {
+                const keys = change.path.split('.');
+                const parent = keys.slice(0, -1).reduce((node, key) => {
+                    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+                    return node[key];
+                }, copy[change.agent]);
+                parent[keys[keys.length - 1]] = JSON.parse(JSON.stringify(change.to));
+            }
+
+            return copy;
+        }
+
+        getPath(profile, path) {
+            return path.split('.').reduce((node, key) => node?.[key], profile);
+        }
+
+        getAgentLabel(profile, agentKey) {
+            return profile.name || profile.id || agentKey;
+        }
+    }
+
+    return { CounterfactualAnalyzer, defaultChangeEffort };
+}));
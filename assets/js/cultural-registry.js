@@ -0,0 +1,215 @@
+// assets/js/cultural-registry.js
+// Cultural Framework Registry with support for blended (multicultural) backgrounds
+//
+// A cultural background is either a registered framework key ('collectivistic')
+// or a blend of weights ({ collectivistic: 0.6, individualistic: 0.4 }).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('../../data'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (data) {
+    class CulturalFrameworkRegistry {
+        constructor(frameworks = data.FrameworkData?.culturalFrameworks || {}, options = {}) {
+            this.frameworks = {};
+            this.sameCultureCoordination = options.sameCultureCoordination ?? 0.8;
+
+            for (const [key, framework] of Object.entries(frameworks)) {
+                this.registerFramework(key, framework);
+            }
+        }
+
+        registerFramework(key, framework) {
+            if (!key || typeof key !== 'string') {
+                throw new Error('Cultural framework key must be a non-empty string');
+            }
+            this.validateFramework(key, framework);
+
+            this.frameworks[key] = {
+                name: framework.name || key,
+                values: { ...(framework.values || {}) },
+                atcf_modifiers: { ...framework.atcf_modifiers },
+                coordination: {}
+            };
+
+            // Complete pairwise entries in both directions without overwriting explicit values
+            for (const [otherKey, value] of Object.entries(framework.coordination || {})) {
+                this.setCoordination(key, otherKey, value, false);
+                const other = this.frameworks[otherKey];
+                if (other && other.coordination[key] === undefined) {
+                    other.coordination[key] = value;
+                }
+            }
+            for (const [otherKey, other] of Object.entries(this.frameworks)) {
+                const ownEntries = this.frameworks[key].coordination;
+                if (otherKey !== key && other.coordination[key] !== undefined && ownEntries[otherKey] === undefined) {
+                    ownEntries[otherKey] = other.coordination[key];
+                }
+            }
+
+            return this;
+        }
+
+        validateFramework(key, framework) {
+            if (!framework || typeof framework !== 'object') {
+                throw new Error(`Cultural framework '${key}' must be an object`);
+            }
+
+            const modifiers = framework.atcf_modifiers || {};
+            for (const weight of ['alpha', 'beta', 'gamma', 'delta']) {
+                if (typeof modifiers[weight] !== 'number' || !(modifiers[weight] > 0)) {
+                    throw new Error(`Cultural framework '${key}' needs a positive atcf_modifiers.${weight}`);
+                }
+            }
+
+            for (const [name, value] of Object.entries(framework.values || {})) {
+                if (typeof value !== 'number' || value < 0 || value > 1) {
+                    throw new Error(`Cultural framework '${key}' value '${name}' must be between 0 and 1`);
+                }
+            }
+        }
+
+        setCoordination(culture1, culture2, value, symmetric = true) {
+            if (typeof value !== 'number' || value < 0 || value > 1) {
+                throw new Error(`Cultural coordination ${culture1}/${culture2} must be between 0 and 1`);
+            }
+            if (!this.frameworks[culture1]) {
+                throw new Error(`Unknown cultural framework '${culture1}'`);
+            }
+
+            this.frameworks[culture1].coordination[culture2] = value;
+            if (symmetric && this.frameworks[culture2]) {
+                this.frameworks[culture2].coordination[culture1] = value;
+            }
+            return this;
+        }
+
+        setATCFModifiers(key, modifiers) {
+            if (!this.frameworks[key]) {
+                throw new Error(`Unknown cultural framework '${key}'`);
+            }
+            this.validateFramework(key, { atcf_modifiers: modifiers });
+
+            this.frameworks[key].atcf_modifiers = { ...modifiers };
+            return this;
+        }
+
+        hasFramework(key) {
+            return Boolean(this.frameworks[key]);
+        }
+
+        getFramework(key) {
+            return this.frameworks[key] ? JSON.parse(JSON.stringify(this.frameworks[key])) : null;
+        }
+
+        listFrameworks() {
+            return Object.entries(this.frameworks).map(([key, framework]) => ({ key, name: framework.name }));
+        }
+
+        resolveBlend(background) {
+            if (!background) return null;
+
+            const entries = typeof background === 'string'
+                ? [[background, 1]]
+                : Object.entries(background);
+
+            const known = entries.filter(([key, weight]) => this.frameworks[key] && weight > 0);
+            const total = known.reduce((sum, [, weight]) => sum + weight, 0);
+            if (total === 0) return null;
+
+            return known.map(([key, weight]) => ({ key, weight: weight / total }));
+        }
+
+        getPrimaryCulture(background) {
+            if (typeof background === 'string') return background;
+
+            const blend = this.resolveBlend(background);
+            if (!blend) return null;
+
+            return blend.reduce((primary, entry) => entry.weight > primary.weight ? entry : primary).key;
+        }
+
+        describeBackground(background) {
+            if (typeof background === 'string') return background;
+
+            const blend = this.resolveBlend(background);
+            if (!blend) return 'unspecified';
+
+            return blend
+                .sort((a, b) => b.weight - a.weight)
+                .map(entry => `${Math.round(entry.weight * 100)}% ${entry.key}`)
+                .join(' / ');
+        }
+
+        getATCFModifiers(background) {
+            const blend = this.resolveBlend(background);
+            if (!blend) return null;
+
+            const modifiers = { alpha: 0, beta: 0, gamma: 0, delta: 0 };
+            for (const { key, weight } of blend) {
+                for (const component of Object.keys(modifiers)) {
+                    modifiers[component] += weight * this.frameworks[key].atcf_modifiers[component];
+                }
+            }
+            return modifiers;
+        }
+
+        getValues(background) {
+            const blend = this.resolveBlend(background);
+            if (!blend) return null;
+
+            const values = {};
+            const weights = {};
+            for (const { key, weight } of blend) {
+                for (const [name, value] of Object.entries(this.frameworks[key].values)) {
+                    values[name] = (values[name] || 0) + weight * value;
+                    weights[name] = (weights[name] || 0) + weight;
+                }
+            }
+
+            // Renormalize values that only some of the blended frameworks define
+            for (const name of Object.keys(values)) {
+                values[name] = values[name] / weights[name];
+            }
+            return values;
+        }
+
+        getPairCoordination(culture1, culture2) {
+            if (culture1 === culture2) return this.sameCultureCoordination;
+            return this.frameworks[culture1]?.coordination[culture2];
+        }
+
+        getCoordination(background1, background2) {
+            const blend1 = this.resolveBlend(background1);
+            const blend2 = this.resolveBlend(background2);
+            if (!blend1 || !blend2) {
+                return { score: undefined, undefined_pairs: [] };
+            }
+
+            let score = 0;
+            let definedWeight = 0;
+            const undefinedPairs = [];
+
+            for (const entry1 of blend1) {
+                for (const entry2 of blend2) {
+                    const value = this.getPairCoordination(entry1.key, entry2.key);
+                    if (value === undefined) {
+                        undefinedPairs.push([entry1.key, entry2.key]);
+                        continue;
+                    }
+                    score += entry1.weight * entry2.weight * value;
+                    definedWeight += entry1.weight * entry2.weight;
+                }
+            }
+
+            return {
+                score: definedWeight > 0 ? score / definedWeight : undefined,
+                undefined_pairs: undefinedPairs
+            };
+        }
+    }
+
+    return { CulturalFrameworkRegistry };
+}));
@@ -0,0 +1,119 @@
+// assets/js/cultural-validation.js
+// Cultural Validation: score one profile under every registered cultural framework and flag interpretation flips
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./atcf-calculator'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (atcf) {
+    const weightComponents = { alpha: 'HC', beta: 'PI', gamma: 'PC', delta: 'MCC' };
+
+    class CulturalValidationExplorer {
+        constructor(atcfCalculator = new atcf.ATCFCalculator()) {
+            this.atcfCalculator = atcfCalculator;
+            this.culturalRegistry = atcfCalculator.culturalRegistry;
+        }
+
+        // The unadapted score is the reference: any level change under a framework comes from cultural weighting alone
+        compareAcrossCultures(agentData, options = {}) {
+            const profile = this.atcfCalculator.validator.assertValid(agentData).profile;
+            const timeWindow = options.timeWindow || { current: Date.now() };
+            const keys = options.frameworks || this.culturalRegistry.listFrameworks().map(framework => framework.key);
+
+            const baseline = this.atcfCalculator.calculateATCF(profile, timeWindow);
+            const frameworks = keys.map(key => {
+                const framework = this.culturalRegistry.getFramework(key);
+                if (!framework) {
+                    throw new Error(`Unknown cultural framework '${key}'`);
+                }
+
+                const result = this.atcfCalculator.calculateCulturallyAdaptedATCF({ ...profile, cultural_background: key }, timeWindow);
+                return this.describeResult(key, framework.name, result, baseline);
+            });
+
+            const ownResult = this.atcfCalculator.calculateCulturallyAdaptedATCF(profile, timeWindow);
+            const ownContext = this.describeResult(
+                'own', this.culturalRegistry.describeBackground(profile.cultural_background), ownResult, baseline
+            );
+
+            const flips = frameworks
+                .filter(entry => entry.level_changed)
+                .map(entry => ({
+                    framework: entry.key,
+                    from: baseline.interpretation.level,
+                    to: entry.level,
+                    score_change: entry.score_change,
+                    driver: entry.largest_weight_change
+                }));
+            const scores = frameworks.map(entry => entry.total_score);
+            const levels = [...new Set(frameworks.map(entry => entry.level))];
+
+            return {
+                agent: {
+                    id: profile.id ?? null,
+                    name: profile.name ?? null,
+                    cultural_background: profile.cultural_background ?? null,
+                    primary_culture: this.culturalRegistry.getPrimaryCulture(profile.cultural_background) ?? null
+                },
+                baseline: {
+                    weights: baseline.weights,
+                    components: baseline.components,
+                    total_score: baseline.total_score,
+                    level: baseline.interpretation.level
+                },
+                own_context: ownContext,
+                frameworks,
+                score_range: {
+                    min: Math.min(...scores),
+                    max: Math.max(...scores),
+                    spread: Math.max(...scores) - Math.min(...scores)
+                },
+                levels,
+                level_flips: flips,
+                flagged: flips.length > 0,
+                summary: this.summarize(baseline.interpretation.level, flips, frameworks.length)
+            };
+        }
+
+        describeResult(key, name, result, baseline) {
+            const weights = result.cultural_adaptation.adapted_weights;
+            const weightChanges = {};
+            const contributions = {};
+            for (const [weight, component] of Object.entries(weightComponents)) {
+                weightChanges[weight] = weights[weight] - baseline.weights[weight];
+                contributions[component] = weights[weight] * result.components[component];
+            }
+            const largest = Object.keys(weightChanges).reduce((a, b) =>
+                Math.abs(weightChanges[b]) > Math.abs(weightChanges[a]) ? b : a
+            );
+
+            return {
+                key,
+                name,
+                weights,
+                weight_changes: weightChanges,
+                largest_weight_change: { weight: largest, component: weightComponents[largest], change: weightChanges[largest] },
+                components: result.components,
+                contributions,
+                total_score: result.total_score,
+                score_change: result.total_score - baseline.total_score,
+                level: result.interpretation.level,
+                level_changed: result.interpretation.level !== baseline.interpretation.level,
+                recommendation: result.interpretation.recommendation
+            };
+        }
+
+        summarize(baselineLevel, flips, frameworkCount) {
+            if (flips.length === 0) {
+                return `Interpretation stays '${baselineLevel}' under all ${frameworkCount} cultural frameworks`;
+            }
+
+            const changes = flips.map(flip => `'${flip.to}' under ${flip.framework}`).join(', ');
+            return `Interpretation changes from '${baselineLevel}' to ${changes} through cultural weighting alone`;
+        }
+    }
+
+    return { CulturalValidationExplorer };
+}));
@@ -0,0 +1,290 @@
+// assets/js/intervention-tracker.js
+// Intervention Tracking: plans, pre/post assessments and strategy effectiveness against expected_improvement
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./coordination'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (coordination) {
+    class InterventionTracker {
+        constructor(coordinationAssessment = new coordination.CoordinationAssessment(), options = {}) {
+            this.coordinationAssessment = coordinationAssessment;
+            this.atcfCalculator = coordinationAssessment.atcfCalculator;
+            this.plans = new Map();
+            this.nextPlanNumber = 1;
+            this.strategyStatuses = ['planned', 'adopted', 'completed', 'abandoned'];
+            this.partialThreshold = options.partialThreshold ?? 0.5;
+            this.minCases = options.minCases ?? 3;
+        }
+
+        createPlan(subject, strategies, options = {}) {
+            const ids = (Array.isArray(subject) ? subject : [subject]).filter(Boolean);
+            if (ids.length < 1 || ids.length > 2) {
+                throw new Error('An intervention plan targets one agent id or a pair of agent ids');
+            }
+            if (!Array.isArray(strategies) || strategies.length === 0) {
+                throw new Error('An intervention plan needs at least one strategy');
+            }
+            strategies.forEach((strategy, index) => {
+                if (!strategy || typeof strategy.type !== 'string') {
+                    throw new Error(`Strategy ${index} must have a type`);
+                }
+                if (typeof strategy.expected_improvement !== 'number' || !Number.isFinite(strategy.expected_improvement)) {
+                    throw new Error(`Strategy '${strategy.type}' must have a numeric expected_improvement`);
+                }
+            });
+
+            let id = options.id;
+            while (!id || (!options.id && this.plans.has(id))) {
+                id = `plan_${this.nextPlanNumber++}`;
+            }
+            if (this.plans.has(id)) {
+                throw new Error(`Intervention plan '${id}' already exists`);
+            }
+
+            const plan = {
+                id,
+                subject: { type: ids.length === 1 ? 'agent' : 'pair', ids },
+                metric: options.metric || (ids.length === 1 ? 'total_score' : 'coordination_potential'),
+                created_at: options.timestamp ?? Date.now(),
+                strategies: strategies.map(strategy => ({
+                    ...strategy,
+                    status: strategy.status || 'planned',
+                    status_history: []
+                })),
+                assessments: []
+            };
+
+            this.plans.set(id, plan);
+            return plan;
+        }
+
+        getPlan(planId) {
+            const plan = this.plans.get(planId);
+            if (!plan) {
+                throw new Error(`Unknown intervention plan '${planId}'`);
+            }
+            return plan;
+        }
+
+        listPlans(filter = {}) {
+            return [...this.plans.values()].filter(plan =>
+                (!filter.agentId || plan.subject.ids.includes(filter.agentId)) &&
+                (!filter.strategyType || plan.strategies.some(strategy => strategy.type === filter.strategyType))
+            );
+        }
+
+        setStrategyStatus(planId, strategyType, status, timestamp = Date.now()) {
+            if (!this.strategyStatuses.includes(status)) {
+                throw new Error(`Strategy status must be one of: ${this.strategyStatuses.join(', ')}`);
+            }
+
+            const strategy = this.getPlan(planId).strategies.find(entry => entry.type === strategyType);
+            if (!strategy) {
+                throw new Error(`Plan '${planId}' has no '${strategyType}' strategy`);
+            }
+
+            strategy.status_history.push({ from: strategy.status, to: status, timestamp });
+            strategy.status = status;
+            return strategy;
+        }
+
+        adoptStrategy(planId, strategyType, timestamp = Date.now()) {
+            return this.setStrategyStatus(planId, strategyType, 'adopted', timestamp);
+        }
+
+        recordAssessment(planId, phase, result, timestamp) {
+            if (!['pre', 'post'].includes(phase)) {
+                throw new Error("Assessment phase must be 'pre' or 'post'");
+            }
+
+            const plan = this.getPlan(planId);
+            const score = result?.[plan.metric];
+            if (typeof score !== 'number') {
+                throw new Error(`Assessment result has no numeric '${plan.metric}'`);
+            }
+
+            const entry = {
+                phase,
+                timestamp: timestamp ?? result.assessment_timestamp ?? Date.now(),
+                score,
+                components: this.extractComponents(result)
+            };
+
+            plan.assessments.push(entry);
+            plan.assessments.sort((a, b) => a.timestamp - b.timestamp);
+            return entry;
+        }
+
+        assessAndRecord(planId, phase, agents, taskContext = {}, timeWindow = { current: Date.now() }) {
+            const plan = this.getPlan(planId);
+            const profiles = Array.isArray(agents) ? agents : [agents];
+            if (profiles.length !== plan.subject.ids.length) {
+                throw new Error(`Plan '${planId}' needs ${plan.subject.ids.length} agent profile(s) per assessment`);
+            }
+
+            const result = plan.subject.type === 'agent'
+                ? this.atcfCalculator.calculateCulturallyAdaptedATCF(profiles[0], timeWindow)
+                : this.coordinationAssessment.assessCrossAgentCoordination(profiles[0], profiles[1], taskContext);
+
+            this.recordAssessment(planId, phase, result, timeWindow.current);
+            return result;
+        }
+
+        extractComponents(result) {
+            if (result.components) return { ...result.components };
+
+            const components = {};
+            for (const key of ['prf_compatibility', 'capability_overlap', 'cultural_coordination', 'decision_style_fit']) {
+                if (typeof result[key] === 'number') components[key] = result[key];
+            }
+            if (result.capability_coverage) components.capability_coverage = result.capability_coverage.coverage_score;
+            return components;
+        }
+
+        evaluatePlan(planId) {
+            const plan = this.getPlan(planId);
+            const post = [...plan.assessments].reverse().find(entry => entry.phase === 'post');
+            const pre = post && [...plan.assessments].reverse().find(entry => entry.phase === 'pre' && entry.timestamp <= post.timestamp);
+
+            if (!pre || !post) {
+                return {
+                    plan_id: plan.id,
+                    evaluated: false,
+                    reason: !post ? 'no post-assessment recorded' : 'no pre-assessment before the post-assessment'
+                };
+            }
+
+            const applied = plan.strategies.filter(strategy => ['adopted', 'completed'].includes(strategy.status));
+            const actualChange = post.score - pre.score;
+            const expectedChange = applied.reduce((sum, strategy) => sum + strategy.expected_improvement, 0);
+            // Scores are capped at 1, so a high baseline can't realise the full expected gain
+            const achievableChange = Math.min(expectedChange, 1 - pre.score);
+
+            const componentChanges = {};
+            for (const [key, value] of Object.entries(post.components)) {
+                if (typeof pre.components[key] === 'number') componentChanges[key] = value - pre.components[key];
+            }
+
+            return {
+                plan_id: plan.id,
+                evaluated: true,
+                subject: plan.subject,
+                metric: plan.metric,
+                pre_score: pre.score,
+                post_score: post.score,
+                actual_change: actualChange,
+                expected_change: expectedChange,
+                achievable_change: achievableChange,
+                realization: achievableChange > 0 ? actualChange / achievableChange : null,
+                outcome: this.classifyOutcome(actualChange, achievableChange),
+                days_elapsed: (post.timestamp - pre.timestamp) / (1000 * 60 * 60 * 24),
+                component_changes: componentChanges,
+                strategies: applied.map(strategy => {
+                    // Shared gains are split in proportion to what each strategy promised
+                    const share = expectedChange > 0 ? strategy.expected_improvement / expectedChange : 1 / applied.length;
+                    return {
+                        type: strategy.type,
+                        status: strategy.status,
+                        expected_improvement: strategy.expected_improvement,
+                        attributed_change: actualChange * share,
+                        sole_strategy: applied.length === 1
+                    };
+                }),
+                not_applied: plan.strategies
+                    .filter(strategy => !applied.includes(strategy))
+                    .map(strategy => ({ type: strategy.type, status: strategy.status }))
+            };
+        }
+
+        classifyOutcome(actualChange, achievableChange) {
+            if (actualChange < 0) return 'worsened';
+            if (achievableChange <= 0) return actualChange > 0 ? 'improved_without_intervention' : 'no_change';
+
+            const realization = actualChange / achievableChange;
+            if (realization >= 1) return 'met';
+            if (realization >= this.partialThreshold) return 'partial';
+            return 'not_met';
+        }
+
+        aggregateByStrategy() {
+            const evaluations = [...this.plans.keys()]
+                .map(planId => this.evaluatePlan(planId))
+                .filter(evaluation => evaluation.evaluated);
+            const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+            const byType = {};
+            for (const evaluation of evaluations) {
+                for (const strategy of evaluation.strategies) {
+                    if (!byType[strategy.type]) byType[strategy.type] = [];
+                    byType[strategy.type].push({ ...strategy, plan_id: evaluation.plan_id, outcome: evaluation.outcome });
+                }
+            }
+
+            const strategies = Object.entries(byType).map(([type, cases]) => {
+                const changes = cases.map(entry => entry.attributed_change);
+                const meanChange = mean(changes);
+                const meanExpected = mean(cases.map(entry => entry.expected_improvement));
+                const soleCases = cases.filter(entry => entry.sole_strategy);
+                const variance = changes.reduce((sum, change) => sum + Math.pow(change - meanChange, 2), 0) / changes.length;
+
+                let verdict = 'insufficient_data';
+                if (cases.length >= this.minCases) {
+                    const realization = meanExpected > 0 ? meanChange / meanExpected : 0;
+                    if (realization >= 1) verdict = 'delivers';
+                    else if (realization >= this.partialThreshold) verdict = 'partially_delivers';
+                    else verdict = 'underdelivers';
+                }
+
+                return {
+                    type,
+                    cases: cases.length,
+                    mean_expected_improvement: meanExpected,
+                    mean_attributed_change: meanChange,
+                    std_dev: Math.sqrt(variance),
+                    realization: meanExpected > 0 ? meanChange / meanExpected : null,
+                    met_rate: cases.filter(entry => entry.outcome === 'met').length / cases.length,
+                    sole_strategy_cases: soleCases.length,
+                    sole_strategy_mean_change: mean(soleCases.map(entry => entry.attributed_change)),
+                    verdict,
+                    plan_ids: cases.map(entry => entry.plan_id)
+                };
+            }).sort((a, b) => b.cases - a.cases);
+
+            // Plans where nothing was adopted show how much scores move on their own
+            const controls = evaluations.filter(evaluation => evaluation.strategies.length === 0);
+
+            return {
+                evaluated_plans: evaluations.length,
+                strategies,
+                no_intervention: {
+                    cases: controls.length,
+                    mean_change: mean(controls.map(evaluation => evaluation.actual_change))
+                }
+            };
+        }
+
+        exportPlans() {
+            return JSON.parse(JSON.stringify([...this.plans.values()]));
+        }
+
+        importPlans(plans) {
+            if (!Array.isArray(plans)) {
+                throw new Error('Intervention plans must be an array');
+            }
+
+            for (const plan of plans) {
+                if (!plan?.id || !plan.subject?.ids || !Array.isArray(plan.strategies) || !Array.isArray(plan.assessments)) {
+                    throw new Error(`Invalid intervention plan: ${plan?.id ?? JSON.stringify(plan)}`);
+                }
+                this.plans.set(plan.id, JSON.parse(JSON.stringify(plan)));
+            }
+
+            return this.plans.size;
+        }
+    }
+
+    return { InterventionTracker };
+}));
@@ -0,0 +1,274 @@
+// assets/js/longitudinal-tracker.js
+// Longitudinal ATCF Tracking: trends, change points and identity drift
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./atcf-calculator'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (atcf) {
+    class ATCFLongitudinalTracker {
+        constructor(atcfCalculator = new atcf.ATCFCalculator(), options = {}) {
+            this.atcfCalculator = atcfCalculator;
+            this.assessments = new Map();
+            this.components = ['HC', 'PI', 'PC', 'MCC'];
+            this.dropThreshold = options.dropThreshold ?? 0.1;
+            this.changePointThreshold = options.changePointThreshold ?? 0.1;
+            this.driftThreshold = options.driftThreshold ?? 0.34;
+            this.stableSlope = options.stableSlope ?? 0.01; // score change per 30 days
+        }
+
+        assessAndRecord(agentData, timeWindow = { current: Date.now() }) {
+            const result = this.atcfCalculator.calculateCulturallyAdaptedATCF(agentData, timeWindow);
+            this.recordAssessment(agentData.id, result);
+            return result;
+        }
+
+        recordAssessment(agentId, atcfResult) {
+            if (!agentId) {
+                throw new Error('An agent id is required to record an assessment');
+            }
+            if (!atcfResult || typeof atcfResult.assessment_timestamp !== 'number') {
+                throw new Error('ATCF result must include a numeric assessment_timestamp');
+            }
+
+            const history = this.assessments.get(agentId) || [];
+            history.push(atcfResult);
+            history.sort((a, b) => a.assessment_timestamp - b.assessment_timestamp);
+            this.assessments.set(agentId, history);
+
+            return history.length;
+        }
+
+        getHistory(agentId) {
+            return [...(this.assessments.get(agentId) || [])];
+        }
+
+        getSeries(agentId, component) {
+            return this.getHistory(agentId).map(result => ({
+                timestamp: result.assessment_timestamp,
+                value: component === 'total' ? result.total_score : result.components[component]
+            }));
+        }
+
+        calculateTrends(agentId) {
+            const trends = {};
+            for (const component of [...this.components, 'total']) {
+                trends[component] = this.calculateTrend(this.getSeries(agentId, component));
+            }
+            return trends;
+        }
+
+        calculateTrend(series) {
+            if (series.length < 2) {
+                return { direction: 'insufficient_data', slope_per_30_days: 0, r_squared: 0, change: 0, points: series.length };
+            }
+
+            const dayMs = 1000 * 60 * 60 * 24;
+            const origin = series[0].timestamp;
+            const xs = series.map(point => (point.timestamp - origin) / dayMs);
+            const ys = series.map(point => point.value);
+
+            const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+            const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+
+            let sxy = 0;
+            let sxx = 0;
+            let syy = 0;
+            for (let i = 0; i < xs.length; i++) {
+                sxy += (xs[i] - meanX) * (ys[i] - meanY);
+                sxx += Math.pow(xs[i] - meanX, 2);
+                syy += Math.pow(ys[i] - meanY, 2);
+            }
+
+            const slopePerDay = sxx === 0 ? 0 : sxy / sxx;
+            const slope = slopePerDay * 30;
+            const rSquared = sxx === 0 || syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+
+            let direction = 'stable';
+            if (slope > this.stableSlope) direction = 'improving';
+            else if (slope < -this.stableSlope) direction = 'declining';
+
+            return {
+                direction,
+                slope_per_30_days: slope,
+                r_squared: rSquared,
+                change: ys[ys.length - 1] - ys[0],
+                first: ys[0],
+                latest: ys[ys.length - 1],
+                points: series.length
+            };
+        }
+
+        detectSignificantDrops(agentId) {
+            const drops = [];
+
+            for (const component of [...this.components, 'total']) {
+                const series = this.getSeries(agentId, component);
+                for (let i = 1; i < series.length; i++) {
+                    const change = series[i].value - series[i - 1].value;
+                    if (change <= -this.dropThreshold) {
+                        drops.push({
+                            component,
+                            from_timestamp: series[i - 1].timestamp,
+                            to_timestamp: series[i].timestamp,
+                            previous: series[i - 1].value,
+                            current: series[i].value,
+                            change,
+                            severity: change <= -2 * this.dropThreshold ? 'high' : 'moderate'
+                        });
+                    }
+                }
+            }
+
+            return drops.sort((a, b) => a.change - b.change);
+        }
+
+        detectChangePoints(agentId, minSegment = 2) {
+            const changePoints = [];
+
+            for (const component of [...this.components, 'total']) {
+                const series = this.getSeries(agentId, component);
+                const changePoint = this.findMeanShift(series, minSegment);
+                if (changePoint) {
+                    changePoints.push({ component, ...changePoint });
+                }
+            }
+
+            return changePoints;
+        }
+
+        findMeanShift(series, minSegment) {
+            if (series.length < 2 * minSegment) return null;
+
+            const values = series.map(point => point.value);
+            const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+            const sse = arr => {
+                const m = mean(arr);
+                return arr.reduce((sum, value) => sum + Math.pow(value - m, 2), 0);
+            };
+
+            const totalSSE = sse(values);
+            let best = null;
+
+            for (let k = minSegment; k <= values.length - minSegment; k++) {
+                const before = values.slice(0, k);
+                const after = values.slice(k);
+                const splitSSE = sse(before) + sse(after);
+                if (!best || splitSSE < best.splitSSE) {
+                    best = { index: k, splitSSE, meanBefore: mean(before), meanAfter: mean(after) };
+                }
+            }
+
+            const shift = best.meanAfter - best.meanBefore;
+            if (Math.abs(shift) < this.changePointThreshold) return null;
+
+            return {
+                timestamp: series[best.index].timestamp,
+                index: best.index,
+                mean_before: best.meanBefore,
+                mean_after: best.meanAfter,
+                shift,
+                direction: shift > 0 ? 'increase' : 'decrease',
+                variance_explained: totalSSE === 0 ? 0 : 1 - best.splitSSE / totalSSE
+            };
+        }
+
+        detectIdentityDrift(identityHistory) {
+            if (!identityHistory || identityHistory.length < 2) {
+                return { drift_detected: false, drift_score: 0, snapshots: [], reason: 'insufficient_history' };
+            }
+
+            const ordered = [...identityHistory].sort((a, b) => a.timestamp - b.timestamp);
+            const baseline = ordered[0].identity_kernel || [];
+            const dayMs = 1000 * 60 * 60 * 24;
+
+            const snapshots = ordered.map((point, index) => {
+                const kernel = point.identity_kernel || [];
+                const previous = index > 0 ? ordered[index - 1].identity_kernel || [] : kernel;
+                const change = this.compareKernels(previous, kernel);
+
+                return {
+                    timestamp: point.timestamp,
+                    similarity_to_baseline: this.atcfCalculator.calculateIdentitySimilarity(baseline, kernel),
+                    similarity_to_previous: change.score,
+                    added: change.added,
+                    removed: change.removed,
+                    reworded: change.reworded
+                };
+            });
+
+            const latest = snapshots[snapshots.length - 1];
+            const driftScore = 1 - latest.similarity_to_baseline;
+            const spanDays = (latest.timestamp - ordered[0].timestamp) / dayMs;
+            const latestKernel = ordered[ordered.length - 1].identity_kernel || [];
+
+            return {
+                drift_detected: driftScore >= this.driftThreshold,
+                drift_score: driftScore,
+                drift_rate_per_30_days: spanDays > 0 ? (driftScore / spanDays) * 30 : 0,
+                baseline_kernel: baseline,
+                current_kernel: latestKernel,
+                retained_elements: this.compareKernels(baseline, latestKernel).retained,
+                snapshots
+            };
+        }
+
+        // Added and removed elements come from the same concept matching as the similarity score,
+        // so a synonym swap is reported as reworded rather than as one element lost and another gained
+        compareKernels(previous, kernel) {
+            const comparison = this.atcfCalculator.compareIdentityKernels(previous, kernel);
+            const [removed, added] = comparison.unmatched || [previous, kernel];
+
+            return {
+                score: comparison.score,
+                added,
+                removed,
+                retained: comparison.matches.map(match => match.left),
+                reworded: comparison.matches
+                    .filter(match => match.relation !== 'exact')
+                    .map(match => ({ from: match.left, to: match.right, score: match.score, relation: match.relation }))
+            };
+        }
+
+        labelFollowUp(baselineTimestamp, timestamp) {
+            const days = (timestamp - baselineTimestamp) / (1000 * 60 * 60 * 24);
+            const followUps = [
+                { label: 'baseline', days: 0 },
+                { label: '1_day', days: 1 },
+                { label: '1_week', days: 7 },
+                { label: '1_month', days: 30 },
+                { label: '3_months', days: 90 },
+                { label: '6_months', days: 180 }
+            ];
+
+            return followUps.reduce((closest, followUp) =>
+                Math.abs(followUp.days - days) < Math.abs(closest.days - days) ? followUp : closest
+            ).label;
+        }
+
+        generateReport(agentId, identityHistory = null) {
+            const history = this.getHistory(agentId);
+            const baselineTimestamp = history.length > 0 ? history[0].assessment_timestamp : null;
+
+            return {
+                agent_id: agentId,
+                assessment_count: history.length,
+                timeline: history.map(result => ({
+                    timestamp: result.assessment_timestamp,
+                    follow_up: this.labelFollowUp(baselineTimestamp, result.assessment_timestamp),
+                    total_score: result.total_score,
+                    components: { ...result.components },
+                    interpretation: result.interpretation.level
+                })),
+                trends: this.calculateTrends(agentId),
+                significant_drops: this.detectSignificantDrops(agentId),
+                change_points: this.detectChangePoints(agentId),
+                identity_drift: identityHistory ? this.detectIdentityDrift(identityHistory) : null
+            };
+        }
+    }
+
+    return { ATCFLongitudinalTracker };
+}));
@@ -0,0 +1,288 @@
+// assets/js/prf-extractor.js
+// PRF Extraction: builds broa_data from Likert survey responses and tagged interaction logs
+//
+// Survey items map onto a broa_data field; belief and authenticity items give a
+// 0-1 score, style items endorse one rule or ontology style. Log events carry tags
+// such as 'rules.decision_making:consensus_based' or 'beliefs.autonomy:high'.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const defaultPRFInstrument = {
+        scale: { min: 1, max: 5 },
+        items: {
+            autonomy_1: { field: 'beliefs.autonomy', text: 'I prefer to decide for myself how to approach my work' },
+            autonomy_2: { field: 'beliefs.autonomy', reverse: true, text: 'I am most comfortable when others set the direction' },
+            cooperation_1: { field: 'beliefs.cooperation', text: 'Working with others usually produces better results than working alone' },
+            cooperation_2: { field: 'beliefs.cooperation', reverse: true, text: 'I would rather finish tasks on my own than coordinate with a group' },
+            hierarchy_1: { field: 'beliefs.hierarchy', text: 'Clear lines of authority make groups work better' },
+            hierarchy_2: { field: 'beliefs.hierarchy', reverse: true, text: 'Everyone in a group should have an equal say regardless of role' },
+            tradition_1: { field: 'beliefs.tradition', text: 'Established ways of doing things deserve respect' },
+            tradition_2: { field: 'beliefs.tradition', reverse: true, text: 'Customs should change whenever a better approach appears' },
+
+            value_alignment_1: { field: 'authenticity.value_alignment', text: 'My everyday actions reflect what I value most' },
+            value_alignment_2: { field: 'authenticity.value_alignment', reverse: true, text: 'I often act in ways that conflict with my values' },
+            self_consistency_1: { field: 'authenticity.self_consistency', text: 'I behave the same way across different groups and settings' },
+            self_consistency_2: { field: 'authenticity.self_consistency', reverse: true, text: 'People who know me in different settings would describe me differently' },
+
+            decision_individual: { field: 'rules.decision_making', style: 'individual_focused', text: 'I make the final call on decisions that affect my work' },
+            decision_consensus: { field: 'rules.decision_making', style: 'consensus_based', text: 'Decisions should wait until everyone involved agrees' },
+            decision_hierarchical: { field: 'rules.decision_making', style: 'hierarchical', text: 'Decisions are best made by the person with the most authority' },
+            decision_collaborative: { field: 'rules.decision_making', style: 'collaborative', text: 'I like to shape decisions together with the people affected' },
+
+            conflict_direct: { field: 'rules.conflict_resolution', style: 'direct_communication', text: 'When I disagree, I say so openly and directly' },
+            conflict_harmony: { field: 'rules.conflict_resolution', style: 'harmony_preservation', text: 'I avoid open disagreement to keep relationships smooth' },
+            conflict_authority: { field: 'rules.conflict_resolution', style: 'authority_based', text: 'Disagreements should be settled by someone in charge' },
+            conflict_mediated: { field: 'rules.conflict_resolution', style: 'mediated_discussion', text: 'A neutral person helps most when people disagree' },
+
+            goal_personal: { field: 'rules.goal_setting', style: 'personal_achievement', text: 'My goals are mainly about what I want to accomplish' },
+            goal_collective: { field: 'rules.goal_setting', style: 'collective_benefit', text: 'My goals are mainly about what benefits my group or community' },
+            goal_hierarchical: { field: 'rules.goal_setting', style: 'hierarchical_alignment', text: 'My goals should follow what leaders or elders set out' },
+            goal_collaborative: { field: 'rules.goal_setting', style: 'collaborative_outcome', text: 'I set goals jointly with the people I work with' },
+
+            agency_independent: { field: 'ontology.agency_conception', style: 'independent', text: 'I see myself as the author of my own actions' },
+            agency_interdependent: { field: 'ontology.agency_conception', style: 'interdependent', text: 'What I do is shaped by my relationships with others' },
+            agency_hierarchical: { field: 'ontology.agency_conception', style: 'hierarchical', text: 'My role in a structure defines what I am able to do' },
+            agency_collective: { field: 'ontology.agency_conception', style: 'collective', text: 'I act first as a member of my group' },
+
+            time_future: { field: 'ontology.time_orientation', style: 'future_focused', text: 'I plan mostly for where I want to be in the future' },
+            time_present: { field: 'ontology.time_orientation', style: 'present_focused', text: 'I focus on what needs doing right now' },
+            time_past: { field: 'ontology.time_orientation', style: 'past_honoring', text: 'I look to the past to guide what I do' },
+            time_cyclical: { field: 'ontology.time_orientation', style: 'cyclical_continuity', text: 'Life moves in cycles that return to familiar patterns' },
+
+            relationship_voluntary: { field: 'ontology.relationship_model', style: 'voluntary_association', text: 'I choose my relationships freely and can leave them' },
+            relationship_obligation: { field: 'ontology.relationship_model', style: 'embedded_obligation', text: 'My relationships come with duties I cannot simply set aside' },
+            relationship_hierarchical: { field: 'ontology.relationship_model', style: 'hierarchical_structure', text: 'Relationships work best when roles and ranks are clear' },
+            relationship_reciprocal: { field: 'ontology.relationship_model', style: 'reciprocal_exchange', text: 'Good relationships are built on giving and receiving in balance' }
+        }
+    };
+
+    class PRFExtractor {
+        constructor(instrument = defaultPRFInstrument, options = {}) {
+            this.instrument = instrument;
+            this.logEventWeight = options.logEventWeight ?? 0.5;
+            this.saturation = options.saturation ?? 2;
+            this.minConfidence = options.minConfidence ?? 0;
+
+            this.categoricalFields = {
+                decision_making: 'rules',
+                conflict_resolution: 'rules',
+                goal_setting: 'rules',
+                agency_conception: 'ontology',
+                time_orientation: 'ontology',
+                relationship_model: 'ontology'
+            };
+            this.numericSections = ['beliefs', 'authenticity'];
+            this.levelValues = { high: 1, medium: 0.5, low: 0 };
+        }
+
+        extract(input = {}) {
+            const evidence = {};
+            const report = { warnings: [], unmapped: { survey_items: [], log_tags: [] } };
+
+            if (input.survey !== undefined && input.survey !== null) {
+                this.collectSurveyEvidence(input.survey, evidence, report);
+            }
+            if (input.interaction_logs !== undefined && input.interaction_logs !== null) {
+                this.collectLogEvidence(input.interaction_logs, evidence, report);
+            }
+
+            const broaData = {};
+            const confidence = {};
+
+            for (const [field, observations] of Object.entries(evidence)) {
+                const estimate = this.isCategorical(field)
+                    ? this.estimateCategorical(observations)
+                    : this.estimateNumeric(observations);
+                confidence[field] = estimate;
+
+                if (estimate.confidence >= this.minConfidence) {
+                    const [section, key] = field.split('.');
+                    broaData[section] = { ...broaData[section], [key]: estimate.value };
+                }
+            }
+
+            const scores = Object.values(confidence).map(entry => entry.confidence);
+
+            return {
+                broa_data: broaData,
+                confidence,
+                overall_confidence: scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0,
+                missing_fields: this.getInstrumentFields().filter(field => !evidence[field]),
+                unmapped: report.unmapped,
+                warnings: report.warnings
+            };
+        }
+
+        collectSurveyEvidence(survey, evidence, report) {
+            if (!survey || typeof survey !== 'object' || Array.isArray(survey)) {
+                throw new Error('survey must be an object of item responses');
+            }
+
+            const responses = survey.responses || survey;
+            const scale = { ...this.instrument.scale, ...survey.scale };
+            const range = scale.max - scale.min;
+
+            for (const [itemId, raw] of Object.entries(responses)) {
+                const item = this.instrument.items[itemId];
+                if (!item) {
+                    if (itemId !== 'scale') report.unmapped.survey_items.push(itemId);
+                    continue;
+                }
+                if (raw === null || raw === undefined || raw === '') continue;
+
+                const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    report.warnings.push({
+                        path: `survey.${itemId}`,
+                        code: 'non_numeric',
+                        message: `survey.${itemId} is non-numeric and was excluded`
+                    });
+                    continue;
+                }
+                if (value < scale.min || value > scale.max) {
+                    report.warnings.push({
+                        path: `survey.${itemId}`,
+                        code: 'out_of_range',
+                        message: `survey.${itemId} is outside the ${scale.min}-${scale.max} scale and was excluded`
+                    });
+                    continue;
+                }
+
+                const normalized = (value - scale.min) / range;
+                this.addObservation(evidence, item.field, {
+                    source: 'survey',
+                    style: item.style,
+                    value: item.reverse ? 1 - normalized : normalized,
+                    weight: 1
+                });
+            }
+        }
+
+        collectLogEvidence(events, evidence, report) {
+            if (!Array.isArray(events)) {
+                throw new Error('interaction_logs must be an array of events');
+            }
+
+            events.forEach((event, index) => {
+                const tags = event?.tags || (event?.tag ? [event.tag] : []);
+                const weight = (typeof event?.weight === 'number' ? event.weight : 1) * this.logEventWeight;
+
+                if (!Array.isArray(tags) || tags.length === 0) {
+                    report.warnings.push({
+                        path: `interaction_logs[${index}]`,
+                        code: 'invalid_item',
+                        message: `interaction_logs[${index}] has no tags and was excluded`
+                    });
+                    return;
+                }
+
+                for (const tag of tags) {
+                    const observation = this.parseTag(tag);
+                    if (!observation) {
+                        report.unmapped.log_tags.push(String(tag));
+                        continue;
+                    }
+                    this.addObservation(evidence, observation.field, {
+                        source: 'interaction_logs',
+                        style: observation.style,
+                        value: observation.value,
+                        weight
+                    });
+                }
+            });
+        }
+
+        parseTag(tag) {
+            if (typeof tag !== 'string' || !tag.includes(':')) return null;
+
+            const [rawField, rawValue] = tag.split(':').map(part => part.trim());
+            const fieldName = rawField.includes('.') ? rawField.split('.')[1] : rawField;
+
+            if (this.categoricalFields[fieldName]) {
+                const field = `${this.categoricalFields[fieldName]}.${fieldName}`;
+                if (rawField.includes('.') && rawField !== field) return null;
+                return rawValue ? { field, style: rawValue, value: 1 } : null;
+            }
+
+            const [section] = rawField.split('.');
+            if (!rawField.includes('.') || !this.numericSections.includes(section)) return null;
+
+            const value = this.levelValues[rawValue] ?? Number(rawValue);
+            if (rawValue === '' || !Number.isFinite(value) || value < 0 || value > 1) return null;
+            return { field: rawField, value };
+        }
+
+        addObservation(evidence, field, observation) {
+            if (!evidence[field]) evidence[field] = [];
+            evidence[field].push(observation);
+        }
+
+        estimateNumeric(observations) {
+            const totalWeight = observations.reduce((sum, entry) => sum + entry.weight, 0);
+            const mean = observations.reduce((sum, entry) => sum + entry.weight * entry.value, 0) / totalWeight;
+            const variance = observations.reduce((sum, entry) => sum + entry.weight * Math.pow(entry.value - mean, 2), 0) / totalWeight;
+
+            // Agreement between observations scales how much the evidence volume counts
+            const consistency = Math.max(0, 1 - 2 * Math.sqrt(variance));
+
+            return {
+                value: mean,
+                confidence: this.calculateCoverage(totalWeight) * consistency,
+                observations: observations.length,
+                sources: this.listSources(observations)
+            };
+        }
+
+        estimateCategorical(observations) {
+            const totalWeight = observations.reduce((sum, entry) => sum + entry.weight, 0);
+            const styleScores = {};
+
+            for (const entry of observations) {
+                styleScores[entry.style] = (styleScores[entry.style] || 0) + entry.weight * entry.value;
+            }
+            for (const style of Object.keys(styleScores)) {
+                styleScores[style] = styleScores[style] / totalWeight;
+            }
+
+            const ranked = Object.entries(styleScores).sort((a, b) => b[1] - a[1]);
+            const [topStyle, topScore] = ranked[0];
+            const runnerUp = ranked[1]?.[1] || 0;
+            const distinctiveness = topScore > 0 ? (topScore - runnerUp) / topScore : 0;
+
+            return {
+                value: topStyle,
+                confidence: this.calculateCoverage(totalWeight) * distinctiveness,
+                observations: observations.length,
+                sources: this.listSources(observations),
+                alternatives: Object.fromEntries(ranked)
+            };
+        }
+
+        calculateCoverage(totalWeight) {
+            return 1 - Math.exp(-totalWeight / this.saturation);
+        }
+
+        listSources(observations) {
+            return [...new Set(observations.map(entry => entry.source))];
+        }
+
+        isCategorical(field) {
+            const [section, key] = field.split('.');
+            return this.categoricalFields[key] === section;
+        }
+
+        getInstrumentFields() {
+            return [...new Set(Object.values(this.instrument.items).map(item => item.field))];
+        }
+    }
+
+    return {
+        PRFExtractor,
+        defaultPRFInstrument
+    };
+}));
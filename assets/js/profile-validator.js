@@ -0,0 +1,409 @@
+// assets/js/profile-validator.js
+// Agent Profile Schema and Validation
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        Object.assign(root, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const UNIT_RANGE = [0, 1];
+
+    const agentProfileSchema = {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        cultural_background: { type: 'culturalBackground', recommended: true },
+        broa_data: {
+            type: 'object',
+            recommended: true,
+            properties: {
+                beliefs: { type: 'numberMap', range: UNIT_RANGE, recommended: true },
+                rules: {
+                    type: 'object',
+                    recommended: true,
+                    properties: {
+                        decision_making: { type: 'string' },
+                        conflict_resolution: { type: 'string' },
+                        goal_setting: { type: 'string' }
+                    }
+                },
+                ontology: {
+                    type: 'object',
+                    recommended: true,
+                    properties: {
+                        agency_conception: { type: 'string' },
+                        time_orientation: { type: 'string' },
+                        relationship_model: { type: 'string' }
+                    }
+                },
+                authenticity: {
+                    type: 'object',
+                    recommended: true,
+                    properties: {
+                        identity_kernel: { type: 'stringArray' },
+                        value_alignment: { type: 'number', range: UNIT_RANGE, recommended: true },
+                        self_consistency: { type: 'number', range: UNIT_RANGE }
+                    }
+                }
+            }
+        },
+        uev_data: {
+            type: 'object',
+            recommended: true,
+            properties: {
+                global_feeling_tone: { type: 'numberMap', range: UNIT_RANGE, recommended: true },
+                emotional_motivation: { type: 'numberMap', range: UNIT_RANGE, recommended: true },
+                rational_deliberation: { type: 'numberMap', range: UNIT_RANGE, recommended: true },
+                action_readiness: { type: 'numberMap', range: UNIT_RANGE, recommended: true }
+            }
+        },
+        identity_history: {
+            type: 'array',
+            recommended: true,
+            items: {
+                type: 'object',
+                properties: {
+                    timestamp: { type: 'number', required: true },
+                    identity_kernel: { type: 'stringArray', required: true }
+                }
+            }
+        },
+        identity_kernel: { type: 'stringArray', recommended: true },
+        future_projections: {
+            type: 'object',
+            recommended: true,
+            properties: {
+                goals: { type: 'stringArray', recommended: true },
+                timeline: { type: 'string' },
+                alignment_with_identity: { type: 'number', range: UNIT_RANGE }
+            }
+        },
+        self_modification_data: {
+            type: 'object',
+            recommended: true,
+            properties: {
+                modification_history: { type: 'stringArray' },
+                coherence_maintenance_capacity: { type: 'number', range: UNIT_RANGE }
+            }
+        },
+        capabilities: { type: 'capabilityArray' },
+        neurodiversity: { type: 'string' },
+        // Accommodation keys and priorities are checked against the accommodation registry when scored
+        accommodations: {
+            type: 'object',
+            properties: {
+                time_allocation: { type: 'accommodationArray' },
+                communication_format: { type: 'accommodationArray' },
+                sensory: { type: 'accommodationArray' },
+                meeting: { type: 'accommodationArray' }
+            }
+        }
+    };
+
+    class ProfileValidationError extends Error {
+        constructor(validation) {
+            const [first] = validation.errors;
+            const more = validation.errors.length > 1 ? ` (+${validation.errors.length - 1} more)` : '';
+            super(`Invalid agent profile: ${first.message}${more}`);
+            this.name = 'ProfileValidationError';
+            this.errors = validation.errors;
+            this.warnings = validation.warnings;
+        }
+    }
+
+    class AgentProfileValidator {
+        constructor(schema = agentProfileSchema, options = {}) {
+            this.schema = schema;
+            // Capability levels and evidence sources are only checked by name once a taxonomy is attached
+            this.capabilityTaxonomy = options.capabilityTaxonomy || null;
+        }
+
+        validate(agentData) {
+            const report = { errors: [], warnings: [] };
+
+            if (!this.isPlainObject(agentData)) {
+                report.errors.push({
+                    path: '',
+                    code: 'invalid_type',
+                    message: 'agent profile must be an object'
+                });
+                return { valid: false, ...report, profile: null };
+            }
+
+            const profile = this.sanitizeObject(agentData, this.schema, '', report);
+            return { valid: report.errors.length === 0, ...report, profile };
+        }
+
+        assertValid(agentData) {
+            const validation = this.validate(agentData);
+            if (!validation.valid) {
+                throw new ProfileValidationError(validation);
+            }
+            return validation;
+        }
+
+        sanitizeObject(value, properties, path, report, asItem = false) {
+            // Fields outside the schema are passed through untouched
+            const result = { ...value };
+
+            for (const [key, rule] of Object.entries(properties)) {
+                const fieldPath = path ? `${path}.${key}` : key;
+
+                if (value[key] === undefined || value[key] === null) {
+                    delete result[key];
+                    if (rule.required) {
+                        report[asItem ? 'warnings' : 'errors'].push({
+                            path: fieldPath,
+                            code: 'missing',
+                            message: `${fieldPath} is required`
+                        });
+                    } else if (rule.recommended) {
+                        report.warnings.push({
+                            path: fieldPath,
+                            code: 'missing',
+                            message: `${fieldPath} is missing; a default score will be used`
+                        });
+                    }
+                    continue;
+                }
+
+                const sanitized = this.sanitizeValue(value[key], rule, fieldPath, report, asItem);
+                if (sanitized === undefined) {
+                    delete result[key];
+                } else {
+                    result[key] = sanitized;
+                }
+            }
+
+            return result;
+        }
+
+        sanitizeValue(value, rule, path, report, asItem) {
+            // Inside array items a bad field only drops the item, so it is reported as a warning
+            const typeIssues = asItem ? report.warnings : report.errors;
+
+            switch (rule.type) {
+                case 'string':
+                    if (typeof value !== 'string') {
+                        typeIssues.push({ path, code: 'invalid_type', message: `${path} must be a string` });
+                        return undefined;
+                    }
+                    return value;
+
+                case 'number':
+                    if (!this.isNumeric(value)) {
+                        report.warnings.push({
+                            path,
+                            code: 'non_numeric',
+                            message: `${path} is non-numeric and was excluded`
+                        });
+                        return undefined;
+                    }
+                    return this.clampToRange(value, rule.range, path, report);
+
+                case 'culturalBackground':
+                    if (typeof value === 'string') return value;
+                    if (!this.isPlainObject(value)) {
+                        typeIssues.push({
+                            path,
+                            code: 'invalid_type',
+                            message: `${path} must be a framework key or an object of blend weights`
+                        });
+                        return undefined;
+                    }
+                    return Object.fromEntries(Object.entries(value).filter(([key, weight]) => {
+                        if (this.isNumeric(weight) && weight >= 0) return true;
+                        report.warnings.push({
+                            path: `${path}.${key}`,
+                            code: 'non_numeric',
+                            message: `${path}.${key} is not a valid blend weight and was excluded`
+                        });
+                        return false;
+                    }));
+
+                case 'numberMap':
+                    if (!this.isPlainObject(value)) {
+                        typeIssues.push({ path, code: 'invalid_type', message: `${path} must be an object of numeric scores` });
+                        return undefined;
+                    }
+                    return Object.fromEntries(Object.entries(value)
+                        .filter(([key, entry]) => {
+                            if (this.isNumeric(entry)) return true;
+                            report.warnings.push({
+                                path: `${path}.${key}`,
+                                code: 'non_numeric',
+                                message: `${path}.${key} is non-numeric and was excluded`
+                            });
+                            return false;
+                        })
+                        .map(([key, entry]) => [key, this.clampToRange(entry, rule.range, `${path}.${key}`, report)]));
+
+                case 'stringArray':
+                    if (!Array.isArray(value)) {
+                        typeIssues.push({ path, code: 'invalid_type', message: `${path} must be an array of strings` });
+                        return undefined;
+                    }
+                    return value.filter((entry, index) => {
+                        if (typeof entry === 'string') return true;
+                        report.warnings.push({
+                            path: `${path}[${index}]`,
+                            code: 'invalid_item',
+                            message: `${path}[${index}] is not a string and was excluded`
+                        });
+                        return false;
+                    });
+
+                case 'capabilityArray':
+                    if (!Array.isArray(value)) {
+                        typeIssues.push({ path, code: 'invalid_type', message: `${path} must be an array of capability names or objects` });
+                        return undefined;
+                    }
+                    return value.filter((entry, index) => {
+                        if (typeof entry === 'string') return true;
+                        if (this.isCapabilityObject(entry)) {
+                            this.checkCapabilityVocabulary(entry, `${path}[${index}]`, typeIssues);
+                            return true;
+                        }
+                        report.warnings.push({
+                            path: `${path}[${index}]`,
+                            code: 'invalid_item',
+                            message: `${path}[${index}] is not a capability name or { name, level, evidence } object and was excluded`
+                        });
+                        return false;
+                    });
+
+                case 'accommodationArray':
+                    if (!Array.isArray(value)) {
+                        typeIssues.push({ path, code: 'invalid_type', message: `${path} must be an array of accommodation keys or objects` });
+                        return undefined;
+                    }
+                    return value.filter((entry, index) => {
+                        if (typeof entry === 'string' || this.isAccommodationObject(entry)) return true;
+                        report.warnings.push({
+                            path: `${path}[${index}]`,
+                            code: 'invalid_item',
+                            message: `${path}[${index}] is not an accommodation key or { key, priority } object and was excluded`
+                        });
+                        return false;
+                    });
+
+                case 'array':
+                    if (!Array.isArray(value)) {
+                        typeIssues.push({ path, code: 'invalid_type', message: `${path} must be an array` });
+                        return undefined;
+                    }
+                    return value
+                        .map((entry, index) => this.sanitizeItem(entry, rule.items, `${path}[${index}]`, report))
+                        .filter(entry => entry !== undefined);
+
+                case 'object':
+                    if (!this.isPlainObject(value)) {
+                        typeIssues.push({ path, code: 'invalid_type', message: `${path} must be an object` });
+                        return undefined;
+                    }
+                    return this.sanitizeObject(value, rule.properties || {}, path, report, asItem);
+
+                default:
+                    return value;
+            }
+        }
+
+        sanitizeItem(entry, itemRule, path, report) {
+            if (itemRule.type !== 'object') {
+                return this.sanitizeValue(entry, itemRule, path, report, true);
+            }
+
+            if (!this.isPlainObject(entry)) {
+                report.warnings.push({ path, code: 'invalid_item', message: `${path} is not an object and was excluded` });
+                return undefined;
+            }
+
+            const itemReport = { errors: [], warnings: [] };
+            const sanitized = this.sanitizeObject(entry, itemRule.properties, path, itemReport, true);
+            report.warnings.push(...itemReport.warnings);
+
+            const missingRequired = Object.entries(itemRule.properties)
+                .some(([key, rule]) => rule.required && sanitized[key] === undefined);
+
+            if (missingRequired) {
+                report.warnings.push({ path, code: 'invalid_item', message: `${path} is incomplete and was excluded` });
+                return undefined;
+            }
+
+            return sanitized;
+        }
+
+        clampToRange(value, range, path, report) {
+            if (!range) return value;
+
+            const [min, max] = range;
+            if (value < min || value > max) {
+                const clamped = Math.max(min, Math.min(max, value));
+                report.warnings.push({
+                    path,
+                    code: 'out_of_range',
+                    message: `${path} is outside [${min}, ${max}] and was clamped to ${clamped}`
+                });
+                return clamped;
+            }
+
+            return value;
+        }
+
+        // Level names and evidence sources are checked against the capability taxonomy when scored
+        isCapabilityObject(entry) {
+            if (!this.isPlainObject(entry) || typeof entry.name !== 'string' || entry.name.length === 0) return false;
+
+            const level = entry.level;
+            const validLevel = level === undefined || level === null || typeof level === 'string' ||
+                (this.isNumeric(level) && level >= 0 && level <= 1);
+            const validEvidence = entry.evidence === undefined || (Array.isArray(entry.evidence) && entry.evidence.every(item =>
+                typeof item === 'string' || (this.isPlainObject(item) && typeof item.source === 'string')
+            ));
+            return validLevel && validEvidence;
+        }
+
+        checkCapabilityVocabulary(entry, path, issues) {
+            const taxonomy = this.capabilityTaxonomy;
+            if (!taxonomy) return;
+
+            if (typeof entry.level === 'string' && !(entry.level in taxonomy.proficiencyLevels)) {
+                issues.push({
+                    path: `${path}.level`,
+                    code: 'unknown_level',
+                    message: `${path}.level '${entry.level}' is not a proficiency level; expected one of: ${Object.keys(taxonomy.proficiencyLevels).join(', ')}`
+                });
+            }
+            (entry.evidence || []).forEach((item, index) => {
+                const source = typeof item === 'string' ? item : item.source;
+                if (!(source in taxonomy.evidenceSources)) {
+                    issues.push({
+                        path: `${path}.evidence[${index}]`,
+                        code: 'unknown_evidence_source',
+                        message: `${path}.evidence[${index}] '${source}' is not an evidence source; expected one of: ${Object.keys(taxonomy.evidenceSources).join(', ')}`
+                    });
+                }
+            });
+        }
+
+        isAccommodationObject(entry) {
+            return this.isPlainObject(entry) && typeof entry.key === 'string' && entry.key.length > 0 &&
+                (entry.priority === undefined || entry.priority === null || typeof entry.priority === 'string');
+        }
+
+        isNumeric(value) {
+            return typeof value === 'number' && Number.isFinite(value);
+        }
+
+        isPlainObject(value) {
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+    }
+
+    return {
+        AgentProfileValidator,
+        ProfileValidationError,
+        agentProfileSchema
+    };
+}));
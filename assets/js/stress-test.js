@@ -0,0 +1,325 @@
+// assets/js/stress-test.js
+// Stress Test Simulation: crisis stressors use up UEV deliberation and readiness and add time pressure; coordination is re-scored per stress level
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./coordination'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (coordination) {
+    const stressLevels = { none: 0, low: 0.25, medium: 0.5, high: 0.75, critical: 1 };
+
+    // Drop in each UEV value per unit of stress for a fully sensitive agent; stress never raises a value
+    const defaultStressEffects = {
+        deadline: {
+            rational_deliberation: { options: 0.5, consequences: 0.4, analysis: 0.3, values: 0.1 },
+            action_readiness: { temporal: 0.4, social: 0.3, physical: 0.1 }
+        },
+        uncertainty: {
+            rational_deliberation: { consequences: 0.4, analysis: 0.2, options: 0.2, values: 0.1 },
+            action_readiness: { focus: 0.4, temporal: 0.3, social: 0.1, physical: 0.1 }
+        },
+        resource_scarcity: {
+            rational_deliberation: { options: 0.4, values: 0.2, analysis: 0.1, consequences: 0.1 },
+            action_readiness: { physical: 0.4, social: 0.3, focus: 0.2, temporal: 0.2 }
+        }
+    };
+
+    // Each stressor's support when it drives most of the degradation
+    const stressorStrategies = {
+        deadline: {
+            type: 'time_buffer',
+            strategy: 'Build time buffers and pre-agreed decision rules into crisis plans; deadline pressure drives most of the degradation'
+        },
+        uncertainty: {
+            type: 'uncertainty_briefing',
+            strategy: 'Share risk assessments and explicit contingency plans early; uncertainty drives most of the degradation'
+        },
+        resource_scarcity: {
+            type: 'resource_reserve',
+            strategy: 'Hold a reserve of people and time for crises; resource scarcity drives most of the degradation'
+        }
+    };
+
+    class StressTestSimulator {
+        constructor(coordinationAssessment = new coordination.CoordinationAssessment(), options = {}) {
+            this.coordinationAssessment = coordinationAssessment;
+            this.atcfCalculator = coordinationAssessment.atcfCalculator;
+            this.effects = options.effects || defaultStressEffects;
+            this.levels = options.levels || [0, 0.25, 0.5, 0.75, 1];
+            // A pair breaks down when stress takes it below the coordination threshold, or costs it more than
+            // breakdownDrop of its unstressed score
+            this.breakdownThreshold = options.breakdownThreshold ?? coordinationAssessment.coordinationThreshold;
+            this.breakdownDrop = options.breakdownDrop ?? 0.05;
+            // Share of an agent's lost deliberation and readiness that also comes off its pairs' non-ATCF sub-scores
+            this.pairStrain = options.pairStrain ?? 0.5;
+        }
+
+        // Levels scale every stressor together from none (0) to the full scenario (1). Each level is scored under the
+        // given task context, with the deadline raising its time pressure
+        simulate(agents, stressors = {}, options = {}) {
+            if (!Array.isArray(agents) || agents.length < 2) {
+                throw new Error('Stress test simulation requires at least two agents');
+            }
+
+            const profiles = agents.map(agentData => this.atcfCalculator.validator.assertValid(agentData).profile);
+            const scenario = this.normalizeStressors(stressors);
+            const levels = this.normalizeLevels(options.levels || this.levels);
+            const threshold = options.breakdownThreshold ?? this.breakdownThreshold;
+            const maxDrop = options.breakdownDrop ?? this.breakdownDrop;
+            const taskContext = options.taskContext || {};
+
+            const baseATCF = profiles.map(profile => this.atcfCalculator.calculateCulturallyAdaptedATCF(profile));
+            const sensitivities = profiles.map((profile, index) => this.calculateSensitivity(profile, baseATCF[index]));
+            const scenarios = levels.map(level =>
+                this.runScenario(profiles, baseATCF, sensitivities, this.scaleStressors(scenario, level), taskContext));
+            const runs = scenarios.map(run => run.team);
+            const baseline = runs[0];
+            const last = runs.length - 1;
+
+            const teamCurve = runs.map((run, index) => ({
+                level: levels[index],
+                stressors: this.scaleStressors(scenario, levels[index]),
+                time_pressure: scenarios[index].time_pressure,
+                team_coordination_potential: run.team_coordination_potential,
+                mean_atcf: run.team_metrics.mean_atcf,
+                pairs_below_threshold: run.pair_assessments.filter(pair => pair.coordination_potential < threshold).length,
+                degradation: baseline.team_coordination_potential - run.team_coordination_potential
+            }));
+
+            const pairCurves = baseline.pair_assessments.map((pair, pairIndex) => {
+                const scores = runs.map(run => run.pair_assessments[pairIndex].coordination_potential);
+                const belowAtBaseline = scores[0] < threshold;
+                const breakdown = scores.findIndex((score, index) =>
+                    index > 0 && ((!belowAtBaseline && score < threshold) || scores[0] - score > maxDrop));
+                return {
+                    members: pair.members,
+                    scores,
+                    capacity: runs.map(run => run.pair_assessments[pairIndex].capacity ?? 1),
+                    degradation: scores[0] - scores[last],
+                    breakdown_level: breakdown === -1 ? null : levels[breakdown],
+                    below_at_baseline: belowAtBaseline
+                };
+            });
+
+            const memberCurves = baseline.members.map((member, index) => ({
+                id: member.id,
+                name: member.name,
+                sensitivity: sensitivities[index],
+                present_integration: scenarios.map(run => run.atcf[index].components.PI),
+                atcf: runs.map(run => run.members[index].atcf_score),
+                degradation: baseline.members[index].atcf_score - runs[last].members[index].atcf_score
+            }));
+
+            const breakdownOrder = pairCurves
+                .filter(pair => pair.breakdown_level !== null)
+                .sort((a, b) => a.breakdown_level - b.breakdown_level || b.degradation - a.degradation);
+            const firstBreakdowns = breakdownOrder.filter(pair => pair.breakdown_level === breakdownOrder[0].breakdown_level);
+            const stressorImpact = this.measureStressorImpact(profiles, baseATCF, sensitivities, scenario, taskContext, baseline);
+            const mostDegraded = pairCurves.reduce((worst, pair) => (pair.degradation > worst.degradation ? pair : worst));
+            const names = Object.fromEntries(baseline.members.map(member => [member.id, member.name]));
+            const pairName = pair => pair.members.map(id => names[id]).join(' + ');
+
+            return {
+                stressors: scenario,
+                levels,
+                breakdown_threshold: threshold,
+                breakdown_drop: maxDrop,
+                team_curve: teamCurve,
+                pair_curves: pairCurves,
+                member_curves: memberCurves,
+                breakdown_order: breakdownOrder.map(pair => ({ members: pair.members, breakdown_level: pair.breakdown_level })),
+                first_breakdowns: firstBreakdowns.map(pair => pair.members),
+                most_degraded_pair: mostDegraded.degradation > 0 ? mostDegraded.members : null,
+                stressor_impact: stressorImpact,
+                recommendations: this.identifyStressStrategies(firstBreakdowns, memberCurves, stressorImpact, profiles, pairName),
+                summary: this.summarize(teamCurve, firstBreakdowns, stressorImpact, pairName)
+            };
+        }
+
+        normalizeStressors(stressors) {
+            const scenario = {};
+            for (const stressor of Object.keys(this.effects)) {
+                const value = stressors[stressor] ?? 0;
+                const intensity = typeof value === 'number' ? value : stressLevels[value];
+                if (intensity === undefined || !Number.isFinite(intensity) || intensity < 0 || intensity > 1) {
+                    throw new Error(`Stressor '${stressor}' must be a number in [0, 1] or one of: ${Object.keys(stressLevels).join(', ')}`);
+                }
+                scenario[stressor] = intensity;
+            }
+
+            const unknown = Object.keys(stressors).filter(stressor => !(stressor in this.effects));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown stressor '${unknown[0]}'; expected one of: ${Object.keys(this.effects).join(', ')}`);
+            }
+            return scenario;
+        }
+
+        // The unstressed run is always the first level: degradation is measured from it
+        normalizeLevels(levels) {
+            if (!Array.isArray(levels) || levels.some(level => typeof level !== 'number' || level < 0 || level > 1)) {
+                throw new Error('Stress levels must be numbers in [0, 1]');
+            }
+            return [...new Set([0, ...levels])].sort((a, b) => a - b);
+        }
+
+        scaleStressors(scenario, level) {
+            return Object.fromEntries(Object.entries(scenario).map(([stressor, intensity]) => [stressor, intensity * level]));
+        }
+
+        // How hard each stressor hits this agent, from 0 (unaffected) to 1
+        calculateSensitivity(profile, atcf = this.atcfCalculator.calculateCulturallyAdaptedATCF(profile)) {
+            const uev = profile.uev_data || {};
+            const score = value => (typeof value === 'number' ? value : 0.5);
+            const deliberation = uev.rational_deliberation || {};
+            const readiness = uev.action_readiness || {};
+            const needs = this.coordinationAssessment.accommodationRegistry.resolveNeeds(profile).needs;
+            const needsTime = needs.some(need => need.category === 'time_allocation') ? 1 : 0;
+
+            // Meta-constructor capacity buffers every stressor: flexible agents re-plan instead of stalling
+            const buffer = 1 - 0.5 * atcf.components.MCC;
+
+            return {
+                deadline: (0.4 + 0.3 * score(deliberation.analysis) + 0.3 * needsTime) * buffer,
+                uncertainty: (0.4 + 0.3 * score(deliberation.consequences) + 0.3 * score(uev.global_feeling_tone?.arousal)) * buffer,
+                resource_scarcity: (0.4 + 0.3 * (1 - score(readiness.physical)) + 0.3 * (1 - score(readiness.social))) * buffer
+            };
+        }
+
+        applyStress(profile, sensitivity, stress) {
+            if (!profile.uev_data) return profile;
+
+            const uev = { ...profile.uev_data };
+            for (const section of ['rational_deliberation', 'action_readiness']) {
+                if (!uev[section]) continue;
+                uev[section] = Object.fromEntries(Object.entries(uev[section]).map(([key, value]) => {
+                    const drop = Object.keys(stress).reduce((sum, stressor) =>
+                        sum + stress[stressor] * sensitivity[stressor] * Math.max(0, this.effects[stressor][section]?.[key] ?? 0), 0);
+                    return [key, Math.max(0, Math.min(1, value - drop))];
+                }));
+            }
+            return { ...profile, uev_data: uev };
+        }
+
+        // Share of an agent's deliberation and readiness left after stress, from 0 to 1
+        retainedCapacity(profile, stressed) {
+            const total = data => ['rational_deliberation', 'action_readiness']
+                .flatMap(section => Object.values(data.uev_data?.[section] || {}))
+                .reduce((sum, value) => sum + value, 0);
+            const before = total(profile);
+            return before > 0 ? total(stressed) / before : 1;
+        }
+
+        // The stressed profile is re-scored, and its present integration then falls with the share of deliberation and
+        // readiness the stress used up. The calculator's UEV terms read correlation and spread, which can rise when
+        // values drop, so the re-scored PI never counts for more than the unstressed one
+        stressATCF(baseATCF, stressedProfile, retained) {
+            const atcf = this.atcfCalculator.calculateCulturallyAdaptedATCF(stressedProfile);
+            const pi = Math.min(atcf.components.PI, baseATCF.components.PI) * retained;
+            const totalScore = Math.max(0, Math.min(1, atcf.total_score - atcf.weights.beta * (atcf.components.PI - pi)));
+            return {
+                ...atcf,
+                total_score: totalScore,
+                components: { ...atcf.components, PI: pi },
+                interpretation: this.atcfCalculator.interpretATCFScore(totalScore)
+            };
+        }
+
+        runScenario(profiles, baseATCF, sensitivities, stress, taskContext) {
+            const stressed = profiles.map((profile, index) => this.applyStress(profile, sensitivities[index], stress));
+            const retained = profiles.map((profile, index) => this.retainedCapacity(profile, stressed[index]));
+            const atcf = stressed.map((profile, index) => this.stressATCF(baseATCF[index], profile, retained[index]));
+            const timePressure = Math.max(this.coordinationAssessment.buildTaskModel(taskContext).time_pressure, stress.deadline ?? 0);
+
+            return {
+                profiles: stressed,
+                atcf,
+                time_pressure: timePressure,
+                team: this.coordinationAssessment.assessTeamCoordination(stressed, { ...taskContext, time_pressure: timePressure }, {
+                    memberATCF: atcf,
+                    memberCapacity: retained.map(share => 1 - this.pairStrain * (1 - share))
+                })
+            };
+        }
+
+        // Team degradation from each stressor alone at full scenario intensity
+        measureStressorImpact(profiles, baseATCF, sensitivities, scenario, taskContext, baseline) {
+            const impact = {};
+            for (const [stressor, intensity] of Object.entries(scenario)) {
+                if (intensity === 0) {
+                    impact[stressor] = 0;
+                    continue;
+                }
+                const alone = { ...this.scaleStressors(scenario, 0), [stressor]: intensity };
+                const { team } = this.runScenario(profiles, baseATCF, sensitivities, alone, taskContext);
+                impact[stressor] = baseline.team_coordination_potential - team.team_coordination_potential;
+            }
+            return impact;
+        }
+
+        dominantStressor(stressorImpact) {
+            const [stressor, impact] = Object.entries(stressorImpact).reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+            return impact > 0 ? stressor : null;
+        }
+
+        identifyStressStrategies(firstBreakdowns, memberCurves, stressorImpact, profiles, pairName) {
+            const strategies = [];
+
+            if (firstBreakdowns.length > 0) {
+                strategies.push({
+                    type: 'crisis_protocol',
+                    priority: 'high',
+                    scope: 'pairs',
+                    target_pairs: firstBreakdowns.map(pair => pair.members),
+                    strategy: `Agree rapid coordination protocols before crisis work for the pairs that break down first: ${firstBreakdowns.map(pairName).join(', ')}`,
+                    timeline: '1-2 weeks'
+                });
+            }
+
+            const dominant = this.dominantStressor(stressorImpact);
+            if (dominant && stressorStrategies[dominant]) {
+                strategies.push({
+                    type: stressorStrategies[dominant].type,
+                    priority: 'medium',
+                    scope: 'team',
+                    strategy: stressorStrategies[dominant].strategy,
+                    timeline: '2-4 weeks'
+                });
+            }
+
+            // Accommodations the most stress-sensitive member already needs are the ones to switch on automatically
+            const mostAffected = memberCurves.reduce((worst, member) => (member.degradation > worst.degradation ? member : worst));
+            const needs = this.coordinationAssessment.accommodationRegistry
+                .resolveNeeds(profiles[memberCurves.indexOf(mostAffected)]).needs;
+            if (mostAffected.degradation > 0 && needs.length > 0) {
+                strategies.push({
+                    type: 'stress_accommodation',
+                    priority: 'medium',
+                    scope: 'members',
+                    target_members: [mostAffected.id],
+                    strategy: `Set up accommodations that switch on under stress for ${mostAffected.name}: ${needs.map(need => need.name.toLowerCase()).join(', ')}`,
+                    timeline: '1-3 weeks'
+                });
+            }
+
+            return strategies;
+        }
+
+        summarize(teamCurve, firstBreakdowns, stressorImpact, pairName) {
+            const full = teamCurve[teamCurve.length - 1];
+            const start = teamCurve[0].team_coordination_potential.toFixed(3);
+            const drop = full.degradation > 0
+                ? `Team coordination drops from ${start} to ${full.team_coordination_potential.toFixed(3)} under the full scenario (-${full.degradation.toFixed(3)})`
+                : `Team coordination holds at ${start} under the full scenario`;
+            const dominant = full.degradation > 0 ? this.dominantStressor(stressorImpact) : null;
+            const driver = dominant ? `, mostly from ${dominant.replace(/_/g, ' ')}` : '';
+            const breakdown = firstBreakdowns.length > 0
+                ? `; ${firstBreakdowns.map(pairName).join(', ')} break down first, at ${Math.round(firstBreakdowns[0].breakdown_level * 100)}% stress`
+                : '; no pair breaks down';
+            return `${drop}${driver}${breakdown}`;
+        }
+    }
+
+    return { StressTestSimulator, defaultStressEffects };
+}));
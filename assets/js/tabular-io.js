@@ -0,0 +1,485 @@
+// assets/js/tabular-io.js
+// CSV/spreadsheet import and export for agent profiles and analysis results
+//
+// Profile columns are flat dotted paths with short section prefixes:
+//   broa.beliefs.autonomy, broa.rules.decision_making, uev.action_readiness.focus,
+//   future.goals, self_modification.coherence_maintenance_capacity,
+//   history.1.timestamp / history.1.identity_kernel, culture.collectivistic
+// List cells are ';'-separated; blends may also be written 'collectivistic:0.6;individualistic:0.4'.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./profile-validator'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (profileValidator) {
+    class TabularAgentIO {
+        constructor(options = {}) {
+            this.schema = options.schema || profileValidator.agentProfileSchema;
+            this.validator = options.validator || new profileValidator.AgentProfileValidator(this.schema);
+            this.listSeparator = options.listSeparator || ';';
+
+            this.sectionAliases = {
+                broa: 'broa_data',
+                uev: 'uev_data',
+                future: 'future_projections',
+                self_modification: 'self_modification_data'
+            };
+        }
+
+        // ---- CSV text ----
+
+        parseCSV(text) {
+            const rows = [];
+            let row = [];
+            let cell = '';
+            let quoted = false;
+            const source = text.replace(/^\uFEFF/, '');
+
+            for (let i = 0; i < source.length; i++) {
+                const char = source[i];
+
+                if (quoted) {
+                    if (char === '"' && source[i + 1] === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (char === '"') {
+                        quoted = false;
+                    } else {
+                        cell += char;
+                    }
+                } else if (char === '"') {
+                    quoted = true;
+                } else if (char === ',') {
+                    row.push(cell);
+                    cell = '';
+                } else if (char === '\n' || char === '\r') {
+                    if (char === '\r' && source[i + 1] === '\n') i++;
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += char;
+                }
+            }
+
+            if (cell !== '' || row.length > 0) {
+                row.push(cell);
+                rows.push(row);
+            }
+
+            return rows;
+        }
+
+        parseTable(text) {
+            const [headers, ...rows] = this.parseCSV(text);
+            if (!headers) return [];
+
+            return rows
+                .map((cells, index) => ({ cells, row: index + 2 }))
+                .filter(entry => entry.cells.some(cell => cell.trim() !== ''))
+                .map(entry => ({
+                    row: entry.row,
+                    values: Object.fromEntries(headers.map((header, column) => [header.trim(), entry.cells[column] ?? '']))
+                }));
+        }
+
+        toCSV(rows, columns = null) {
+            const header = columns || [];
+            if (!columns) {
+                for (const row of rows) {
+                    Object.keys(row).forEach(column => {
+                        if (!header.includes(column)) header.push(column);
+                    });
+                }
+            }
+
+            const escape = value => {
+                if (value === undefined || value === null) return '';
+                const text = String(value);
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+
+            return [header, ...rows.map(row => header.map(column => row[column]))]
+                .map(cells => cells.map(escape).join(','))
+                .join('\n') + '\n';
+        }
+
+        flattenRecord(record, prefix = '', row = {}) {
+            for (const [key, value] of Object.entries(record)) {
+                const column = prefix ? `${prefix}.${key}` : key;
+
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    this.flattenRecord(value, column, row);
+                } else if (Array.isArray(value)) {
+                    row[column] = value.every(entry => entry === null || typeof entry !== 'object')
+                        ? value.join(this.listSeparator)
+                        : JSON.stringify(value);
+                } else {
+                    row[column] = value;
+                }
+            }
+            return row;
+        }
+
+        // ---- Column mapping ----
+
+        toProfilePath(column) {
+            const [prefix, ...rest] = column.split('.');
+            return this.sectionAliases[prefix] ? [this.sectionAliases[prefix], ...rest].join('.') : column;
+        }
+
+        toColumn(profilePath) {
+            const [section, ...rest] = profilePath.split('.');
+            const alias = Object.keys(this.sectionAliases).find(key => this.sectionAliases[key] === section);
+            return alias && rest.length > 0 ? [alias, ...rest].join('.') : profilePath;
+        }
+
+        findSchemaRule(profilePath) {
+            let properties = this.schema;
+            let rule = null;
+
+            for (const key of profilePath.split('.')) {
+                if (rule?.type === 'numberMap' || rule?.type === 'culturalBackground') {
+                    return { type: 'number' };
+                }
+                rule = properties?.[key];
+                if (!rule) return null;
+                properties = rule.properties;
+            }
+
+            return rule;
+        }
+
+        resolveColumn(column) {
+            const history = column.match(/^history\.(\d+)\.(timestamp|identity_kernel)$/);
+            if (history) {
+                return { kind: 'history', index: Number(history[1]), key: history[2] };
+            }
+
+            const blend = column.match(/^culture\.(.+)$/);
+            if (blend) {
+                return { kind: 'blend', key: blend[1] };
+            }
+
+            const path = this.toProfilePath(column);
+            const rule = this.findSchemaRule(path);
+            return { kind: rule ? 'field' : 'extra', path, rule };
+        }
+
+        coerceCell(text, rule, column) {
+            const value = text.trim();
+
+            switch (rule?.type) {
+                case 'number':
+                    // Non-numeric text is kept so the validator reports it alongside other row warnings
+                    return value !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+
+                case 'stringArray':
+                    return this.splitList(value);
+
+                case 'culturalBackground':
+                    return value.includes(':') ? this.parseBlend(value, column) : value;
+
+                case 'capabilityArray':
+                    return value.startsWith('[') ? this.parseJSONCell(value, column) : this.parseCapabilities(value);
+
+                case 'accommodationArray':
+                    return value.startsWith('[') ? this.parseJSONCell(value, column) : this.parseAccommodations(value);
+
+                case 'string':
+                    return value;
+
+                case 'array':
+                case 'object':
+                case 'numberMap':
+                    return this.parseJSONCell(value, column);
+
+                default:
+                    return value;
+            }
+        }
+
+        splitList(value) {
+            return value.split(this.listSeparator).map(entry => entry.trim()).filter(Boolean);
+        }
+
+        parseJSONCell(value, column) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw this.cellError(column, 'invalid_json', `${column} must hold JSON for a nested value`);
+            }
+        }
+
+        // name or name:level per entry; evidence needs the JSON form
+        parseCapabilities(value) {
+            return this.splitList(value).map(entry => {
+                const [name, level] = entry.split(':').map(part => part.trim());
+                if (!level) return name;
+                return { name, level: Number.isFinite(Number(level)) ? Number(level) : level };
+            });
+        }
+
+        formatCapability(entry) {
+            if (typeof entry === 'string') return entry;
+            return entry.level === undefined || entry.level === null ? entry.name : `${entry.name}:${entry.level}`;
+        }
+
+        // key or key:priority per entry
+        parseAccommodations(value) {
+            return this.splitList(value).map(entry => {
+                const [key, priority] = entry.split(':').map(part => part.trim());
+                return priority ? { key, priority } : key;
+            });
+        }
+
+        formatAccommodation(entry) {
+            if (typeof entry === 'string') return entry;
+            return entry.priority === undefined || entry.priority === null ? entry.key : `${entry.key}:${entry.priority}`;
+        }
+
+        parseBlend(value, column) {
+            return Object.fromEntries(this.splitList(value).map(entry => {
+                const [key, weight] = entry.split(':').map(part => part.trim());
+                const number = Number(weight);
+                if (!key || !Number.isFinite(number)) {
+                    throw this.cellError(column, 'invalid_blend', `${column} entry '${entry}' must look like culture:weight`);
+                }
+                return [key, number];
+            }));
+        }
+
+        parseTimestamp(value, column) {
+            const timestamp = /^\d+$/.test(value.trim()) ? Number(value) : Date.parse(value);
+            if (!Number.isFinite(timestamp)) {
+                throw this.cellError(column, 'invalid_timestamp', `${column} value '${value}' is not a timestamp or date`);
+            }
+            return timestamp;
+        }
+
+        cellError(column, code, message) {
+            const error = new Error(message);
+            error.column = column;
+            error.code = code;
+            return error;
+        }
+
+        setPath(target, path, value) {
+            const keys = path.split('.');
+            const parent = keys.slice(0, -1).reduce((node, key) => {
+                if (!node[key] || typeof node[key] !== 'object' || Array.isArray(node[key])) node[key] = {};
+                return node[key];
+            }, target);
+            parent[keys[keys.length - 1]] = value;
+        }
+
+        // ---- Import ----
+
+        rowToProfile(values) {
+            const profile = {};
+            const errors = [];
+            const history = {};
+            const blend = {};
+
+            for (const [column, cell] of Object.entries(values)) {
+                if (!column || cell === undefined || cell.trim() === '') continue;
+
+                try {
+                    const target = this.resolveColumn(column);
+
+                    if (target.kind === 'history') {
+                        history[target.index] = history[target.index] || {};
+                        history[target.index][target.key] = target.key === 'timestamp'
+                            ? this.parseTimestamp(cell, column)
+                            : this.splitList(cell);
+                    } else if (target.kind === 'blend') {
+                        blend[target.key] = this.coerceCell(cell, { type: 'number' }, column);
+                    } else {
+                        this.setPath(profile, target.path, this.coerceCell(cell, target.rule, column));
+                    }
+                } catch (error) {
+                    errors.push({ column: error.column || column, code: error.code || 'invalid_cell', message: error.message });
+                }
+            }
+
+            const historyEntries = Object.keys(history)
+                .sort((a, b) => a - b)
+                .map(index => history[index]);
+            if (historyEntries.length > 0) {
+                profile.identity_history = historyEntries;
+            }
+            if (Object.keys(blend).length > 0) {
+                if (profile.cultural_background !== undefined) {
+                    errors.push({
+                        column: 'cultural_background',
+                        code: 'conflicting_columns',
+                        message: 'cultural_background and culture.* columns cannot both be filled'
+                    });
+                } else {
+                    profile.cultural_background = blend;
+                }
+            }
+
+            return { profile, errors };
+        }
+
+        importProfiles(text, options = {}) {
+            const validate = options.validate ?? true;
+            const table = this.parseTable(text);
+            const columns = table.length > 0 ? Object.keys(table[0].values) : [];
+            const unknownColumns = columns.filter(column => column && this.resolveColumn(column).kind === 'extra');
+
+            const rows = table.map(({ row, values }) => {
+                const { profile, errors } = this.rowToProfile(values);
+                const warnings = [];
+
+                if (validate) {
+                    const validation = this.validator.validate(profile);
+                    errors.push(...validation.errors.map(issue => ({ ...issue, column: this.toColumn(issue.path) })));
+                    warnings.push(...validation.warnings.map(issue => ({ ...issue, column: this.toColumn(issue.path) })));
+                }
+
+                return { row, profile, valid: errors.length === 0, errors, warnings };
+            });
+
+            return {
+                rows,
+                profiles: rows.filter(entry => entry.valid).map(entry => entry.profile),
+                errors: rows.flatMap(entry => entry.errors.map(issue => ({ row: entry.row, ...issue }))),
+                unknown_columns: unknownColumns
+            };
+        }
+
+        // ---- Export ----
+
+        profileToRow(profile) {
+            const row = {};
+
+            const walk = (value, path) => {
+                if (value === undefined || value === null) return;
+
+                if (path === 'cultural_background' && typeof value === 'object') {
+                    row[path] = Object.entries(value).map(([key, weight]) => `${key}:${weight}`).join(this.listSeparator);
+                } else if (path === 'capabilities' && Array.isArray(value) &&
+                    value.every(entry => typeof entry === 'string' || !entry?.evidence?.length)) {
+                    // Entries with evidence fall through to the JSON form below
+                    row[path] = value.map(entry => this.formatCapability(entry)).join(this.listSeparator);
+                } else if (path.startsWith('accommodations.') && Array.isArray(value)) {
+                    row[this.toColumn(path)] = value.map(entry => this.formatAccommodation(entry)).join(this.listSeparator);
+                } else if (path === 'identity_history' && Array.isArray(value)) {
+                    value.forEach((entry, index) => {
+                        row[`history.${index + 1}.timestamp`] = entry.timestamp;
+                        row[`history.${index + 1}.identity_kernel`] = (entry.identity_kernel || []).join(this.listSeparator);
+                    });
+                } else if (Array.isArray(value)) {
+                    row[this.toColumn(path)] = value.every(entry => typeof entry !== 'object')
+                        ? value.join(this.listSeparator)
+                        : JSON.stringify(value);
+                } else if (typeof value === 'object') {
+                    for (const [key, child] of Object.entries(value)) {
+                        walk(child, `${path}.${key}`);
+                    }
+                } else {
+                    row[this.toColumn(path)] = value;
+                }
+            };
+
+            for (const [key, value] of Object.entries(profile)) {
+                walk(value, key);
+            }
+            return row;
+        }
+
+        exportProfiles(profiles) {
+            return this.toCSV(profiles.map(profile => this.profileToRow(profile)));
+        }
+
+        atcfResultRow(result, agent = {}) {
+            return {
+                id: agent.id ?? null,
+                name: agent.name ?? null,
+                total_score: result.total_score,
+                HC: result.components.HC,
+                PI: result.components.PI,
+                PC: result.components.PC,
+                MCC: result.components.MCC,
+                weight_alpha: result.weights.alpha,
+                weight_beta: result.weights.beta,
+                weight_gamma: result.weights.gamma,
+                weight_delta: result.weights.delta,
+                interpretation: result.interpretation.level,
+                fallback_count: result.fallbacks?.count ?? 0,
+                warning_count: result.validation?.warnings.length ?? 0
+            };
+        }
+
+        coordinationRow(result, agent1 = {}, agent2 = {}) {
+            return {
+                agent_1: agent1.id ?? agent1.name ?? null,
+                agent_2: agent2.id ?? agent2.name ?? null,
+                coordination_potential: result.coordination_potential,
+                atcf_1: result.individual_atcf?.agent1.total_score,
+                atcf_2: result.individual_atcf?.agent2.total_score,
+                prf_compatibility: result.prf_compatibility,
+                capability_overlap: result.capability_overlap,
+                capability_coverage: result.capability_coverage?.coverage_score ?? null,
+                missing_capabilities: (result.capability_coverage?.missing || []).join(this.listSeparator),
+                below_level_capabilities: (result.capability_coverage?.below_level || []).join(this.listSeparator),
+                cultural_coordination: result.cultural_coordination,
+                decision_style_fit: result.decision_style_fit ?? null,
+                accommodation_factor: result.accommodations?.factor ?? null,
+                needed_accommodations: (result.accommodations?.needed || []).map(need => need.key).join(this.listSeparator),
+                recommendation: result.recommendation?.level,
+                fallback_count: result.fallbacks?.count ?? 0,
+                intervention_strategies: (result.intervention_strategies || []).map(strategy => strategy.type).join(this.listSeparator)
+            };
+        }
+
+        interventionRows(strategies, context = {}) {
+            return strategies.map((strategy, index) => ({
+                ...context,
+                rank: index + 1,
+                type: strategy.type,
+                scope: strategy.scope ?? null,
+                priority: strategy.priority,
+                strategy: strategy.strategy,
+                timeline: strategy.timeline,
+                expected_improvement: strategy.expected_improvement
+            }));
+        }
+
+        teamTables(teamResult, threshold = 0.7) {
+            return {
+                members: teamResult.members.map(member => this.flattenRecord(member)),
+                pairs: teamResult.pair_assessments.map(pair => ({
+                    member_1: pair.members[0],
+                    member_2: pair.members[1],
+                    coordination_potential: pair.coordination_potential,
+                    prf_compatibility: pair.prf_compatibility,
+                    capability_overlap: pair.capability_overlap,
+                    cultural_coordination: pair.cultural_coordination,
+                    below_threshold: pair.coordination_potential < threshold,
+                    intervention_strategies: pair.intervention_strategies.map(strategy => strategy.type).join(this.listSeparator),
+                    ...(pair.directional && {
+                        burden_1_to_2: pair.directional.agent1_to_agent2.adaptation_burden,
+                        burden_2_to_1: pair.directional.agent2_to_agent1.adaptation_burden,
+                        more_burdened: pair.directional.equity.more_burdened
+                    })
+                })),
+                interventions: [
+                    ...this.interventionRows(teamResult.intervention_strategies, { level: 'team', member_1: null, member_2: null }),
+                    ...teamResult.pair_assessments.flatMap(pair => this.interventionRows(pair.intervention_strategies, {
+                        level: 'pair',
+                        member_1: pair.members[0],
+                        member_2: pair.members[1]
+                    }))
+                ]
+            };
+        }
+    }
+
+    return { TabularAgentIO };
+}));
@@ -0,0 +1,302 @@
+// assets/js/team-formation.js
+// Optimal Team Formation and Partner Matching Engine
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./coordination'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (coordination) {
+    class TeamFormationEngine {
+        constructor(coordinationAssessment = new coordination.CoordinationAssessment()) {
+            this.coordinationAssessment = coordinationAssessment;
+            this.maxExhaustiveEvaluations = 20000;
+            this.beamWidth = 25;
+        }
+
+        findBestPartners(agentData, pool, taskContext = {}, options = {}) {
+            const { limit = 5, exclude = [] } = options;
+            const candidates = this.normalizePool(pool);
+            const agentId = this.getAgentId(agentData, -1);
+            const agent = this.validateEntry(agentData, `Agent '${agentId}'`);
+            const cache = this.createPairCache([agent, ...candidates.map(entry => entry.agent)], taskContext);
+
+            const ranked = candidates
+                .filter(entry => entry.id !== agentId && !exclude.includes(entry.id))
+                .map(entry => {
+                    const assessment = cache.getPair(0, entry.index + 1);
+                    return {
+                        partner_id: entry.id,
+                        partner_name: entry.agent.name || entry.id,
+                        score: assessment.coordination_potential,
+                        breakdown: this.buildPairBreakdown(assessment),
+                        recommendation: assessment.recommendation
+                    };
+                })
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit);
+
+            return {
+                agent_id: agentId,
+                partners: ranked.map((partner, index) => ({ rank: index + 1, ...partner })),
+                candidates_evaluated: candidates.length
+            };
+        }
+
+        formOptimalTeams(pool, teamSize, taskContext = {}, options = {}) {
+            const constraints = this.normalizeConstraints(options);
+            const limit = options.limit || 5;
+            const candidates = this.normalizePool(pool);
+
+            if (!Number.isInteger(teamSize) || teamSize < 2) {
+                throw new Error('Team size must be an integer of at least 2');
+            }
+            if (teamSize > candidates.length) {
+                throw new Error(`Team size ${teamSize} exceeds pool size ${candidates.length}`);
+            }
+
+            const unknownRequired = constraints.mustInclude.filter(id => !candidates.some(entry => entry.id === id));
+            if (unknownRequired.length > 0) {
+                throw new Error(`Required members not found in pool: ${unknownRequired.join(', ')}`);
+            }
+            if (constraints.mustInclude.length > teamSize) {
+                throw new Error('More required members than available team slots');
+            }
+
+            const cache = this.createPairCache(candidates.map(entry => entry.agent), taskContext);
+            const required = candidates.filter(entry => constraints.mustInclude.includes(entry.id));
+            const eligible = candidates.filter(entry =>
+                !constraints.mustInclude.includes(entry.id) && !constraints.exclude.includes(entry.id)
+            );
+
+            const slots = teamSize - required.length;
+            const evaluations = this.countCombinations(eligible.length, slots);
+            const strategy = evaluations <= this.maxExhaustiveEvaluations ? 'exhaustive' : 'beam';
+
+            const teams = strategy === 'exhaustive'
+                ? this.searchExhaustive(required, eligible, slots, constraints)
+                : this.searchBeam(required, eligible, slots, cache, constraints);
+
+            const scored = teams
+                .map(team => this.scoreTeam(team, cache))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit);
+
+            return {
+                team_size: teamSize,
+                search_strategy: strategy,
+                teams_evaluated: teams.length,
+                constraints: {
+                    must_include: constraints.mustInclude,
+                    exclude: constraints.exclude,
+                    max_per_culture: constraints.maxPerCulture
+                },
+                teams: scored.map((team, index) => ({ rank: index + 1, ...team }))
+            };
+        }
+
+        // The whole pool is validated before any search starts, so a bad entry fails fast and by name
+        normalizePool(pool) {
+            const agents = Array.isArray(pool) ? pool : Object.values(pool || {});
+            const seen = new Map();
+            return agents.map((agent, index) => {
+                const id = this.getAgentId(agent, index);
+                // Teams and constraints are keyed by id, so a repeated id would let an agent pair with itself
+                if (seen.has(id)) {
+                    throw new Error(`Pool entry ${index} ('${id}'): duplicate id, already used by pool entry ${seen.get(id)}`);
+                }
+                seen.set(id, index);
+                return { id, agent: this.validateEntry(agent, `Pool entry ${index} ('${id}')`), index };
+            });
+        }
+
+        validateEntry(agentData, label) {
+            try {
+                return this.coordinationAssessment.atcfCalculator.validator.assertValid(agentData).profile;
+            } catch (error) {
+                error.message = `${label}: ${error.message}`;
+                throw error;
+            }
+        }
+
+        normalizeConstraints(options) {
+            const mustInclude = options.mustInclude || [];
+            const exclude = options.exclude || [];
+            const conflicts = mustInclude.filter(id => exclude.includes(id));
+            if (conflicts.length > 0) {
+                throw new Error(`Members both required and excluded: ${conflicts.join(', ')}`);
+            }
+
+            return {
+                mustInclude,
+                exclude,
+                maxPerCulture: options.maxPerCulture ?? null,
+                predicates: options.predicates || []
+            };
+        }
+
+        getAgentId(agent, index) {
+            return agent?.id || `agent_${index + 1}`;
+        }
+
+        createPairCache(agents, taskContext) {
+            const atcfCalculator = this.coordinationAssessment.atcfCalculator;
+            const atcfResults = agents.map(agent => atcfCalculator.calculateCulturallyAdaptedATCF(agent));
+            const pairs = new Map();
+
+            return {
+                agents,
+                atcfResults,
+                getPair: (i, j) => {
+                    const [a, b] = i < j ? [i, j] : [j, i];
+                    const key = `${a}:${b}`;
+                    if (!pairs.has(key)) {
+                        pairs.set(key, this.coordinationAssessment.assessPairWithATCF(
+                            agents[a], agents[b], atcfResults[a], atcfResults[b], taskContext
+                        ));
+                    }
+                    return pairs.get(key);
+                },
+                taskModel: this.coordinationAssessment.buildTaskModel(taskContext)
+            };
+        }
+
+        satisfiesConstraints(team, constraints) {
+            if (constraints.maxPerCulture !== null) {
+                const cultureCounts = {};
+                for (const entry of team) {
+                    const culture = this.coordinationAssessment.atcfCalculator.culturalRegistry
+                        .getPrimaryCulture(entry.agent.cultural_background) || 'unspecified';
+                    cultureCounts[culture] = (cultureCounts[culture] || 0) + 1;
+                    if (cultureCounts[culture] > constraints.maxPerCulture) return false;
+                }
+            }
+
+            return constraints.predicates.every(predicate => predicate(team.map(entry => entry.agent)));
+        }
+
+        searchExhaustive(required, eligible, slots, constraints) {
+            const teams = [];
+
+            const extend = (start, selected) => {
+                if (selected.length === slots) {
+                    const team = [...required, ...selected];
+                    if (this.satisfiesConstraints(team, constraints)) teams.push(team);
+                    return;
+                }
+                for (let i = start; i <= eligible.length - (slots - selected.length); i++) {
+                    selected.push(eligible[i]);
+                    extend(i + 1, selected);
+                    selected.pop();
+                }
+            };
+
+            extend(0, []);
+            return teams;
+        }
+
+        searchBeam(required, eligible, slots, cache, constraints) {
+            let beam = [{ team: [...required], lastIndex: -1 }];
+
+            for (let step = 0; step < slots; step++) {
+                const expansions = [];
+                for (const { team, lastIndex } of beam) {
+                    for (let i = lastIndex + 1; i < eligible.length; i++) {
+                        const candidate = [...team, eligible[i]];
+                        // Only the culture cap can be checked on partial teams; custom predicates see full teams
+                        const partialConstraints = { ...constraints, predicates: [] };
+                        if (!this.satisfiesConstraints(candidate, partialConstraints)) continue;
+                        expansions.push({
+                            team: candidate,
+                            lastIndex: i,
+                            score: candidate.length > 1 ? this.scoreTeam(candidate, cache).score : 0
+                        });
+                    }
+                }
+                beam = expansions.sort((a, b) => b.score - a.score).slice(0, this.beamWidth);
+            }
+
+            return beam
+                .map(entry => entry.team)
+                .filter(team => this.satisfiesConstraints(team, constraints));
+        }
+
+        scoreTeam(team, cache) {
+            const pairAssessments = [];
+            for (let i = 0; i < team.length; i++) {
+                for (let j = i + 1; j < team.length; j++) {
+                    const assessment = cache.getPair(team[i].index, team[j].index);
+                    pairAssessments.push({
+                        members: [team[i].id, team[j].id],
+                        coordination_potential: assessment.coordination_potential,
+                        prf_compatibility: assessment.prf_compatibility,
+                        capability_overlap: assessment.capability_overlap,
+                        cultural_coordination: assessment.cultural_coordination
+                    });
+                }
+            }
+
+            const members = team.map(entry => ({ id: entry.id, atcf: cache.atcfResults[entry.index] }));
+            const metrics = this.coordinationAssessment.calculateTeamMetrics(members, pairAssessments);
+            const coverage = this.coordinationAssessment.calculateCapabilityCoverage(
+                team.map(entry => ({ id: entry.id, capabilities: entry.agent.capabilities || [] })),
+                cache.taskModel.capability_requirements
+            );
+
+            const score = coverage
+                ? 0.75 * metrics.team_coordination_potential + 0.25 * coverage.coverage_score
+                : metrics.team_coordination_potential;
+
+            const weakestPair = pairAssessments.reduce((weakest, pair) =>
+                pair.coordination_potential < weakest.coordination_potential ? pair : weakest
+            );
+
+            return {
+                member_ids: team.map(entry => entry.id),
+                member_names: team.map(entry => entry.agent.name || entry.id),
+                score,
+                breakdown: {
+                    team_coordination_potential: metrics.team_coordination_potential,
+                    mean_coordination: metrics.mean_coordination,
+                    min_coordination: metrics.min_coordination,
+                    mean_prf_compatibility: metrics.mean_prf_compatibility,
+                    mean_capability_overlap: metrics.mean_capability_overlap,
+                    mean_cultural_coordination: metrics.mean_cultural_coordination,
+                    mean_atcf: metrics.mean_atcf,
+                    capability_coverage: coverage ? coverage.coverage_score : null,
+                    missing_capabilities: coverage ? coverage.missing : []
+                },
+                weakest_pair: {
+                    members: weakestPair.members,
+                    coordination_potential: weakestPair.coordination_potential
+                }
+            };
+        }
+
+        buildPairBreakdown(assessment) {
+            return {
+                min_atcf: Math.min(
+                    assessment.individual_atcf.agent1.total_score,
+                    assessment.individual_atcf.agent2.total_score
+                ),
+                prf_compatibility: assessment.prf_compatibility,
+                capability_overlap: assessment.capability_overlap,
+                cultural_coordination: assessment.cultural_coordination,
+                capability_coverage: assessment.capability_coverage ? assessment.capability_coverage.coverage_score : null,
+                missing_capabilities: assessment.capability_coverage ? assessment.capability_coverage.missing : []
+            };
+        }
+
+        countCombinations(n, k) {
+            if (k < 0 || k > n) return 0;
+            let result = 1;
+            for (let i = 1; i <= k; i++) {
+                result = result * (n - k + i) / i;
+            }
+            return Math.round(result);
+        }
+    }
+
+    return { TeamFormationEngine };
+}));
@@ -0,0 +1,302 @@
+// assets/js/therapeutic-workflow.js
+// Therapeutic Workflow: intake ATCF assessment and phase-by-phase tracking through Temporal Coherence Therapy
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./atcf-calculator'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (atcf) {
+    // Four-phase protocol from implementation-guidelines.html; each phase works on one ATCF component
+    const defaultTherapyProtocol = [
+        {
+            key: 'historical_integration',
+            name: 'Historical Integration',
+            sessions: [1, 6],
+            component: 'HC',
+            goal: 'Understand assembly history and identity kernel preservation',
+            activities: [
+                'BROA+ archaeology mapping: explore belief, rule, ontological and authenticity development',
+                'Narrative coherence work: identify meaningful life themes and their adaptive functions',
+                'Identity kernel identification: crystallize core invariant structures',
+                'Timeline creation with decision points: map major life transitions and coping strategies',
+                'Values continuity analysis: identify values that stay consistent across life phases'
+            ],
+            homework: ['Daily coherence journaling', 'Values tracking', 'Identity kernel reflection exercises']
+        },
+        {
+            key: 'present_integration',
+            name: 'Present Integration',
+            sessions: [7, 14],
+            component: 'PI',
+            goal: 'Resolve temporal coherence conflicts in current functioning',
+            activities: [
+                'Identify BROA+ contradictions between beliefs, rules, ontologies and authenticity criteria',
+                'Explore authentic resolution strategies that preserve identity',
+                'Practice integration under stress',
+                'Dialectical thinking and conflict integration exercises',
+                'Mindfulness-based coherence practice'
+            ],
+            homework: ['Daily ATCF monitoring, four check-ins a day', 'Coherence maintenance skill practice']
+        },
+        {
+            key: 'prospective_development',
+            name: 'Prospective Development',
+            sessions: [15, 22],
+            component: 'PC',
+            goal: 'Align future projections with identity kernel integrity',
+            activities: [
+                'Vision creation within authenticity constraints',
+                'Goal-setting for coherence enhancement',
+                'Social coordination skill development',
+                'Identity-preserving change strategies'
+            ],
+            homework: ['Review goals against the identity kernel', 'Practise one coordination skill per week']
+        },
+        {
+            key: 'meta_constructor_enhancement',
+            name: 'Meta-Constructor Enhancement',
+            sessions: [23, 30],
+            component: 'MCC',
+            goal: 'Develop ongoing self-modification capabilities',
+            activities: [
+                'Framework tool utilization: independent ATCF assessment and optimization',
+                'Ongoing ATCF self-assessment and adjustment',
+                'Relationship coordination enhancement',
+                'Crisis coherence maintenance planning'
+            ],
+            homework: ['Weekly ATCF self-assessment', 'Written crisis coherence plan']
+        }
+    ];
+
+    class TherapeuticWorkflow {
+        constructor(atcfCalculator = new atcf.ATCFCalculator(), options = {}) {
+            this.atcfCalculator = atcfCalculator;
+            this.protocol = options.protocol || defaultTherapyProtocol;
+            this.targetScore = options.targetScore ?? 0.7;
+            this.cases = new Map();
+            this.nextCaseNumber = 1;
+        }
+
+        startCase(clientProfile, options = {}) {
+            const profile = this.atcfCalculator.validator.assertValid(clientProfile).profile;
+
+            let id = options.id;
+            while (!id || (!options.id && this.cases.has(id))) {
+                id = `case_${this.nextCaseNumber++}`;
+            }
+            if (this.cases.has(id)) {
+                throw new Error(`Therapy case '${id}' already exists`);
+            }
+
+            const timestamp = options.timestamp ?? Date.now();
+            const caseRecord = {
+                id,
+                client: { id: profile.id ?? null, name: profile.name ?? null },
+                status: 'in_progress',
+                phase_index: 0,
+                started_at: timestamp,
+                assessments: [],
+                referrals: []
+            };
+            this.cases.set(id, caseRecord);
+
+            const intake = this.recordAssessment(caseRecord, 'intake', profile, timestamp);
+            return { case_id: id, intake, guidance: this.getPhaseGuidance(id) };
+        }
+
+        getCase(caseId) {
+            const caseRecord = this.cases.get(caseId);
+            if (!caseRecord) {
+                throw new Error(`Unknown therapy case '${caseId}'`);
+            }
+            return caseRecord;
+        }
+
+        listCases(filter = {}) {
+            return [...this.cases.values()].filter(caseRecord =>
+                (!filter.status || caseRecord.status === filter.status) &&
+                (!filter.clientId || caseRecord.client.id === filter.clientId)
+            );
+        }
+
+        // Re-scores the client at the end of the current phase and moves the case on to the next one
+        completePhase(caseId, clientProfile, options = {}) {
+            const caseRecord = this.getCase(caseId);
+            if (caseRecord.status === 'referred') {
+                throw new Error(`Therapy case '${caseId}' is flagged for referral; clear the referral before continuing`);
+            }
+            if (caseRecord.status === 'completed') {
+                throw new Error(`Therapy case '${caseId}' has completed all ${this.protocol.length} phases`);
+            }
+
+            const profile = this.atcfCalculator.validator.assertValid(clientProfile).profile;
+            const phase = this.protocol[caseRecord.phase_index];
+            const previous = caseRecord.assessments[caseRecord.assessments.length - 1];
+            const intake = caseRecord.assessments[0];
+            const entry = this.recordAssessment(caseRecord, phase.key, profile, options.timestamp ?? Date.now());
+
+            caseRecord.phase_index++;
+            if (caseRecord.status === 'in_progress' && caseRecord.phase_index >= this.protocol.length) {
+                caseRecord.status = 'completed';
+            }
+
+            return {
+                case_id: caseId,
+                phase: phase.key,
+                assessment: entry,
+                change_from_previous: entry.score - previous.score,
+                change_from_intake: entry.score - intake.score,
+                // The component this phase targets should be the one that moved
+                target_component_change: entry.components[phase.component] - previous.components[phase.component],
+                referral: this.getOpenReferral(caseRecord),
+                next: caseRecord.status === 'in_progress' ? this.getPhaseGuidance(caseId) : null
+            };
+        }
+
+        recordAssessment(caseRecord, phaseKey, profile, timestamp) {
+            const result = this.atcfCalculator.calculateATCF(profile, { current: timestamp });
+            const entry = {
+                phase: phaseKey,
+                timestamp,
+                score: result.total_score,
+                level: result.interpretation.level,
+                components: result.components,
+                weakest_component: this.findWeakestComponent(result.components),
+                recommendation: result.interpretation.recommendation
+            };
+
+            caseRecord.assessments.push(entry);
+            this.checkReferral(caseRecord, entry);
+            return entry;
+        }
+
+        findWeakestComponent(components) {
+            // Ties go to the earlier phase, matching the protocol's order of work
+            const weakest = this.protocol.reduce((lowest, phase) =>
+                components[phase.component] < components[lowest.component] ? phase : lowest
+            );
+            return { component: weakest.component, value: components[weakest.component], phase: weakest.key };
+        }
+
+        checkReferral(caseRecord, entry) {
+            if (entry.level !== 'very_low' || this.getOpenReferral(caseRecord)) return;
+
+            caseRecord.referrals.push({
+                flagged_at: entry.timestamp,
+                phase: entry.phase,
+                score: entry.score,
+                reason: 'ATCF in the very_low range: consult a trained practitioner before continuing temporal coherence work',
+                cleared_at: null,
+                note: null
+            });
+            caseRecord.status = 'referred';
+        }
+
+        getOpenReferral(caseRecord) {
+            return caseRecord.referrals.find(referral => referral.cleared_at === null) || null;
+        }
+
+        clearReferral(caseId, note, timestamp = Date.now()) {
+            const caseRecord = this.getCase(caseId);
+            const referral = this.getOpenReferral(caseRecord);
+            if (!referral) {
+                throw new Error(`Therapy case '${caseId}' has no open referral`);
+            }
+
+            referral.cleared_at = timestamp;
+            referral.note = note ?? null;
+            caseRecord.status = caseRecord.phase_index >= this.protocol.length ? 'completed' : 'in_progress';
+            return referral;
+        }
+
+        getPhaseGuidance(caseId) {
+            const caseRecord = this.getCase(caseId);
+            const latest = caseRecord.assessments[caseRecord.assessments.length - 1];
+            const phase = this.protocol[caseRecord.phase_index] || null;
+            const weakestPhase = this.protocol.find(entry => entry.key === latest.weakest_component.phase);
+
+            return {
+                case_id: caseId,
+                status: caseRecord.status,
+                phase: phase && {
+                    key: phase.key,
+                    name: phase.name,
+                    number: caseRecord.phase_index + 1,
+                    sessions: phase.sessions,
+                    component: phase.component,
+                    goal: phase.goal
+                },
+                activities: phase ? phase.activities : [],
+                homework: phase ? phase.homework : [],
+                weakest_component: latest.weakest_component,
+                // Borrow from the phase that owns the weakest component when it isn't the current one
+                focus_activities: weakestPhase !== phase ? weakestPhase.activities : [],
+                referral: this.getOpenReferral(caseRecord)
+            };
+        }
+
+        getProgressSummary(caseId) {
+            const caseRecord = this.getCase(caseId);
+            const intake = caseRecord.assessments[0];
+            const latest = caseRecord.assessments[caseRecord.assessments.length - 1];
+            const components = this.protocol.map(phase => phase.component);
+
+            const componentChanges = Object.fromEntries(components.map(component =>
+                [component, latest.components[component] - intake.components[component]]
+            ));
+            const mostImproved = components.reduce((best, component) =>
+                componentChanges[component] > componentChanges[best] ? component : best
+            );
+
+            return {
+                case_id: caseRecord.id,
+                client: caseRecord.client,
+                status: caseRecord.status,
+                phases_completed: Math.min(caseRecord.phase_index, this.protocol.length),
+                total_phases: this.protocol.length,
+                current_phase: this.protocol[caseRecord.phase_index]?.key ?? null,
+                intake_score: intake.score,
+                latest_score: latest.score,
+                total_change: latest.score - intake.score,
+                level: latest.level,
+                target_score: this.targetScore,
+                target_reached: latest.score >= this.targetScore,
+                component_changes: componentChanges,
+                most_improved_component: componentChanges[mostImproved] > 0 ? mostImproved : null,
+                weakest_component: latest.weakest_component,
+                trajectory: caseRecord.assessments.map(entry => ({
+                    phase: entry.phase,
+                    timestamp: entry.timestamp,
+                    score: entry.score,
+                    level: entry.level,
+                    components: entry.components
+                })),
+                referral: this.getOpenReferral(caseRecord),
+                referral_history: caseRecord.referrals
+            };
+        }
+
+        exportCases() {
+            return JSON.parse(JSON.stringify([...this.cases.values()]));
+        }
+
+        importCases(cases) {
+            if (!Array.isArray(cases)) {
+                throw new Error('Therapy cases must be an array');
+            }
+
+            for (const caseRecord of cases) {
+                if (!caseRecord?.id || !Array.isArray(caseRecord.assessments) || caseRecord.assessments.length === 0 || !Array.isArray(caseRecord.referrals)) {
+                    throw new Error(`Invalid therapy case: ${caseRecord?.id ?? JSON.stringify(caseRecord)}`);
+                }
+                this.cases.set(caseRecord.id, JSON.parse(JSON.stringify(caseRecord)));
+            }
+
+            return this.cases.size;
+        }
+    }
+
+    return { TherapeuticWorkflow, defaultTherapyProtocol };
+}));
@@ -0,0 +1,248 @@
+// assets/js/uncertainty.js
+// Uncertainty Analysis: Monte Carlo intervals and input sensitivity for ATCF and coordination scores
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./coordination'));
+    } else {
+        Object.assign(root, factory(root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (coordination) {
+    class UncertaintyAnalyzer {
+        constructor(coordinationAssessment = new coordination.CoordinationAssessment(), options = {}) {
+            this.coordinationAssessment = coordinationAssessment;
+            this.atcfCalculator = coordinationAssessment.atcfCalculator;
+            this.iterations = options.iterations || 500;
+            this.confidenceLevel = options.confidenceLevel || 0.95;
+            this.defaultError = options.defaultError ?? 0.05;
+            this.sensitivityDelta = options.sensitivityDelta || 0.1;
+            this.seed = options.seed ?? 42;
+        }
+
+        estimateATCF(agentData, options = {}) {
+            const profile = this.atcfCalculator.validator.assertValid(agentData).profile;
+            const timeWindow = options.timeWindow || { current: Date.now() };
+            const measurementError = options.measurementError || {};
+            const iterations = options.iterations || this.iterations;
+            const random = this.createRandom(options.seed ?? this.seed);
+
+            const score = sample => this.atcfCalculator.calculateCulturallyAdaptedATCF(sample, timeWindow);
+            const point = score(profile);
+
+            const samples = { total_score: [], HC: [], PI: [], PC: [], MCC: [] };
+            for (let i = 0; i < iterations; i++) {
+                const result = score(this.perturbProfile(profile, measurementError, random));
+                samples.total_score.push(result.total_score);
+                for (const component of ['HC', 'PI', 'PC', 'MCC']) {
+                    samples[component].push(result.components[component]);
+                }
+            }
+
+            return {
+                point_estimate: point,
+                intervals: this.summarizeSamples(samples),
+                sensitivity: this.rankSensitivity(
+                    this.collectNumericPaths(profile),
+                    path => score(this.setPath(profile, path.field, path.value)).total_score,
+                    profile
+                ),
+                reliability: this.assessReliability(point.fallbacks.count, this.collectNumericPaths(profile).length),
+                iterations,
+                confidence_level: this.confidenceLevel
+            };
+        }
+
+        estimateCoordination(agent1Data, agent2Data, taskContext = {}, options = {}) {
+            const validator = this.atcfCalculator.validator;
+            const profiles = {
+                agent1: validator.assertValid(agent1Data).profile,
+                agent2: validator.assertValid(agent2Data).profile
+            };
+            const measurementError = options.measurementError || {};
+            const iterations = options.iterations || this.iterations;
+            const random = this.createRandom(options.seed ?? this.seed);
+
+            const score = (profile1, profile2) =>
+                this.coordinationAssessment.assessCrossAgentCoordination(profile1, profile2, taskContext);
+            const point = score(profiles.agent1, profiles.agent2);
+
+            const samples = { coordination_potential: [], prf_compatibility: [], capability_overlap: [], cultural_coordination: [] };
+            for (let i = 0; i < iterations; i++) {
+                const result = score(
+                    this.perturbProfile(profiles.agent1, measurementError, random),
+                    this.perturbProfile(profiles.agent2, measurementError, random)
+                );
+                for (const metric of Object.keys(samples)) {
+                    samples[metric].push(result[metric]);
+                }
+            }
+
+            const paths = ['agent1', 'agent2'].flatMap(agentKey =>
+                this.collectNumericPaths(profiles[agentKey]).map(field => ({ agent: agentKey, field }))
+            );
+
+            const sensitivity = this.rankSensitivity(
+                paths,
+                path => {
+                    const modified = { ...profiles, [path.agent]: this.setPath(profiles[path.agent], path.field, path.value) };
+                    return score(modified.agent1, modified.agent2).coordination_potential;
+                },
+                profiles
+            );
+
+            return {
+                point_estimate: point,
+                intervals: this.summarizeSamples(samples),
+                sensitivity,
+                reliability: this.assessReliability(point.fallbacks.count, paths.length),
+                iterations,
+                confidence_level: this.confidenceLevel
+            };
+        }
+
+        createRandom(seed) {
+            // mulberry32: small seeded PRNG so repeated analyses are reproducible
+            let state = seed >>> 0;
+            return () => {
+                state = (state + 0x6D2B79F5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        }
+
+        sampleNormal(random) {
+            const u1 = Math.max(random(), Number.EPSILON);
+            const u2 = random();
+            return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        }
+
+        collectNumericPaths(profile) {
+            const paths = [];
+
+            const walk = (value, path) => {
+                if (typeof value === 'number') {
+                    paths.push(path);
+                } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    for (const [key, child] of Object.entries(value)) {
+                        walk(child, path ? `${path}.${key}` : key);
+                    }
+                }
+            };
+
+            // Only the self-reported measurement sections carry measurement error
+            for (const section of ['broa_data', 'uev_data', 'future_projections', 'self_modification_data']) {
+                walk(profile[section], section);
+            }
+
+            return paths;
+        }
+
+        getMeasurementError(path, measurementError) {
+            if (measurementError[path] !== undefined) return measurementError[path];
+
+            const wildcardMatch = Object.keys(measurementError)
+                .filter(pattern => pattern.endsWith('.*') && path.startsWith(pattern.slice(0, -1)))
+                .sort((a, b) => b.length - a.length)[0];
+
+            return wildcardMatch ? measurementError[wildcardMatch] : this.defaultError;
+        }
+
+        getPath(profile, path) {
+            return path.split('.').reduce((node, key) => node?.[key], profile);
+        }
+
+        setPath(profile, path, value) {
+            const copy = JSON.parse(JSON.stringify(profile));
+            const keys = path.split('.');
+            const parent = keys.slice(0, -1).reduce((node, key) => node[key], copy);
+            parent[keys[keys.length - 1]] = value;
+            return copy;
+        }
+
+        perturbProfile(profile, measurementError, random) {
+            const copy = JSON.parse(JSON.stringify(profile));
+
+            for (const path of this.collectNumericPaths(profile)) {
+                const error = this.getMeasurementError(path, measurementError);
+                if (!error) continue;
+
+                const keys = path.split('.');
+                const parent = keys.slice(0, -1).reduce((node, key) => node[key], copy);
+                const key = keys[keys.length - 1];
+                parent[key] = Math.max(0, Math.min(1, parent[key] + error * this.sampleNormal(random)));
+            }
+
+            return copy;
+        }
+
+        summarizeSamples(samples) {
+            const alpha = (1 - this.confidenceLevel) / 2;
+            const summary = {};
+
+            for (const [metric, values] of Object.entries(samples)) {
+                const sorted = [...values].sort((a, b) => a - b);
+                const mean = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+                const variance = sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / sorted.length;
+                const quantile = q => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(q * (sorted.length - 1))))];
+
+                summary[metric] = {
+                    mean,
+                    std_dev: Math.sqrt(variance),
+                    lower: quantile(alpha),
+                    upper: quantile(1 - alpha),
+                    width: quantile(1 - alpha) - quantile(alpha)
+                };
+            }
+
+            return summary;
+        }
+
+        rankSensitivity(paths, evaluate, profiles) {
+            const delta = this.sensitivityDelta;
+
+            return paths
+                .map(path => {
+                    const entry = typeof path === 'string' ? { field: path } : path;
+                    const profile = entry.agent ? profiles[entry.agent] : profiles;
+                    const baseValue = this.getPath(profile, entry.field);
+
+                    const up = Math.min(1, baseValue + delta);
+                    const down = Math.max(0, baseValue - delta);
+                    if (up === down) return null;
+
+                    const scoreUp = evaluate({ ...entry, value: up });
+                    const scoreDown = evaluate({ ...entry, value: down });
+                    const effect = (scoreUp - scoreDown) / (up - down);
+
+                    return {
+                        ...(entry.agent ? { agent: entry.agent } : {}),
+                        field: entry.field,
+                        value: baseValue,
+                        effect_per_unit: effect,
+                        effect_per_0_1: effect * 0.1
+                    };
+                })
+                .filter(Boolean)
+                .sort((a, b) => Math.abs(b.effect_per_unit) - Math.abs(a.effect_per_unit));
+        }
+
+        assessReliability(fallbackCount, measuredInputs) {
+            let level = 'high';
+            if (fallbackCount > 4) level = 'low';
+            else if (fallbackCount > 0) level = 'medium';
+
+            return {
+                level,
+                fallback_count: fallbackCount,
+                measured_inputs: measuredInputs,
+                note: fallbackCount > 0
+                    ? `${fallbackCount} sub-score(s) used built-in default values instead of measured data`
+                    : 'All sub-scores were computed from measured data'
+            };
+        }
+    }
+
+    return { UncertaintyAnalyzer };
+}));
@@ -0,0 +1,453 @@
+// assets/js/weight-calibration.js
+// Weight Calibration: fit ATCF weights, cultural modifiers and the coordination blend to observed outcomes
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./coordination'), require('./atcf-calculator'));
+    } else {
+        Object.assign(root, factory(root, root));
+    }
+}(typeof self !== 'undefined' ? self : this, function (coordination, atcf) {
+    const atcfComponents = { alpha: 'HC', beta: 'PI', gamma: 'PC', delta: 'MCC' };
+    const blendComponents = ['atcf', 'prf', 'capability', 'cultural'];
+
+    class WeightCalibrator {
+        constructor(coordinationAssessment = new coordination.CoordinationAssessment(), options = {}) {
+            this.coordinationAssessment = coordinationAssessment;
+            this.atcfCalculator = coordinationAssessment.atcfCalculator;
+            this.folds = options.folds || 5;
+            this.minCultureSamples = options.minCultureSamples || 5;
+            // Below this many outcomes a global fit is too easy to overfit, so the defaults are kept
+            this.minSamples = options.minSamples || 10;
+            this.minWeight = options.minWeight ?? 0.02;
+            this.minModifier = options.minModifier ?? 0.2;
+            this.initialStep = options.initialStep || 0.1;
+            this.minStep = options.minStep || 0.005;
+            this.outcomeRange = options.outcomeRange || [0, 1];
+        }
+
+        // dataset: { agents: [{ profile, outcome }], teams: [{ agents: [profile, ...], task_context, outcome }] }
+        calibrate(dataset = {}, options = {}) {
+            const timeWindow = options.timeWindow || { current: Date.now() };
+            const agentSamples = this.prepareAgentSamples(dataset.agents || [], timeWindow);
+            const teamEntries = dataset.teams || [];
+            if (agentSamples.length === 0 && teamEntries.length === 0) {
+                throw new Error('Calibration needs at least one agent or team outcome');
+            }
+
+            const defaultWeights = { ...this.atcfCalculator.weights };
+            const defaultModifiers = this.atcfCalculator.exportWeightConfig().atcf_modifiers;
+            const force = options.force === true;
+            const atcfReport = agentSamples.length > 0
+                ? this.reviewFit(this.calibrateATCF(agentSamples, defaultWeights, defaultModifiers), force)
+                : null;
+            const atcfFit = atcfReport?.accepted ? atcfReport : null;
+            // Culture modifiers are fit relative to the global fit, so they are only exported along with it,
+            // and only when they also beat the registry's modifiers on held-out data
+            const fittedModifiers = atcfFit && this.reviewModifiers(atcfFit, force) ? atcfFit.modifiers : {};
+
+            // Team sub-scores are computed under the exported ATCF weights so both fits ship together
+            const calibrated = new coordination.CoordinationAssessment({
+                atcfCalculator: new atcf.ATCFCalculator(atcfFit?.weights || defaultWeights, {
+                    culturalRegistry: this.atcfCalculator.culturalRegistry
+                }),
+                compatibilityRegistry: this.coordinationAssessment.compatibilityRegistry,
+                coordinationWeights: this.coordinationAssessment.coordinationWeights
+            });
+
+            let coordinationReport = null;
+            this.withModifiers(fittedModifiers, () => {
+                const teamSamples = this.prepareTeamSamples(teamEntries, calibrated, timeWindow);
+                if (teamSamples.length > 0) {
+                    coordinationReport = this.reviewFit(this.calibrateCoordination(teamSamples, calibrated), force);
+                }
+            });
+            const coordinationFit = coordinationReport?.accepted ? coordinationReport : null;
+
+            const config = {
+                atcf_weights: atcfFit?.weights || defaultWeights,
+                atcf_modifiers: { ...defaultModifiers, ...fittedModifiers },
+                coordination_weights: coordinationFit?.weights || { ...this.coordinationAssessment.coordinationWeights },
+                calibration: {
+                    created_at: timeWindow.current,
+                    agent_samples: agentSamples.length,
+                    team_samples: coordinationReport?.samples ?? 0,
+                    atcf_accepted: atcfReport?.accepted ?? null,
+                    modifiers_accepted: atcfReport?.modifiers_accepted ?? null,
+                    coordination_accepted: coordinationReport?.accepted ?? null,
+                    atcf_fit: atcfFit?.fit ?? null,
+                    coordination_fit: coordinationFit?.fit ?? null
+                }
+            };
+
+            // Fails loudly if a fit ever left the constraints the calculators enforce
+            new coordination.CoordinationAssessment({
+                atcfCalculator: new atcf.ATCFCalculator(config.atcf_weights),
+                coordinationWeights: config.coordination_weights
+            });
+
+            return { config, atcf: atcfReport, coordination: coordinationReport };
+        }
+
+        // A fit is exported only with enough samples and a held-out error below the defaults', unless forced
+        reviewFit(report, force = false) {
+            let reason = null;
+            if (report.samples < this.minSamples) {
+                reason = `${report.samples} sample(s), fewer than the ${this.minSamples} required`;
+            } else if (!report.cross_validation?.improves_on_default) {
+                reason = 'no improvement over the default weights on held-out data';
+            }
+
+            report.accepted = reason === null || force;
+            report.rejection_reason = reason;
+            return report;
+        }
+
+        // Returns whether the fitted culture modifiers may be exported; null on the report when none were fitted
+        reviewModifiers(report, force = false) {
+            if (Object.keys(report.modifiers).length === 0) {
+                report.modifiers_accepted = null;
+                report.modifiers_rejection_reason = null;
+                return false;
+            }
+
+            const reason = report.modifier_cross_validation?.improves_on_registry
+                ? null
+                : 'culture modifiers do not improve on the registry modifiers on held-out data';
+            report.modifiers_accepted = reason === null || force;
+            report.modifiers_rejection_reason = reason;
+            return report.modifiers_accepted;
+        }
+
+        normalizeOutcome(value, label) {
+            const [min, max] = this.outcomeRange;
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+                throw new Error(`${label} outcome must be a number between ${min} and ${max}`);
+            }
+            return (value - min) / (max - min);
+        }
+
+        prepareAgentSamples(entries, timeWindow) {
+            return entries.map((entry, index) => {
+                const label = `agents[${index}]`;
+                const profile = this.assertProfile(entry?.profile, label);
+                const result = this.atcfCalculator.calculateATCF(profile, entry.timestamp ? { current: entry.timestamp } : timeWindow);
+
+                return {
+                    components: result.components,
+                    background: profile.cultural_background,
+                    outcome: this.normalizeOutcome(entry.outcome, label)
+                };
+            });
+        }
+
+        prepareTeamSamples(entries, assessment, timeWindow) {
+            return entries.map((entry, index) => {
+                const label = `teams[${index}]`;
+                if (!Array.isArray(entry?.agents) || entry.agents.length < 2) {
+                    throw new Error(`${label} needs at least two agent profiles`);
+                }
+
+                const profiles = entry.agents.map((profile, position) => this.assertProfile(profile, `${label}.agents[${position}]`));
+                const scores = profiles.map(profile => assessment.atcfCalculator.calculateCulturallyAdaptedATCF(profile, timeWindow));
+
+                const pairs = [];
+                for (let i = 0; i < profiles.length; i++) {
+                    for (let j = i + 1; j < profiles.length; j++) {
+                        const result = assessment.assessPairWithATCF(
+                            profiles[i], profiles[j], scores[i], scores[j], entry.task_context || {}, { explain: true }
+                        );
+                        const capability = result.explanation.children.find(child => child.id === 'capability');
+                        pairs.push({
+                            task_model: result.task_model,
+                            accommodation_factor: result.accommodations ? result.accommodations.factor : 1,
+                            sub_scores: {
+                                atcf: Math.min(scores[i].total_score, scores[j].total_score),
+                                prf: result.prf_compatibility,
+                                capability: capability.value,
+                                cultural: result.cultural_coordination,
+                                decision_fit: result.decision_style_fit ?? 0
+                            }
+                        });
+                    }
+                }
+
+                return { pairs, atcf_scores: scores.map(score => score.total_score), outcome: this.normalizeOutcome(entry.outcome, label) };
+            });
+        }
+
+        assertProfile(profile, label) {
+            try {
+                return this.atcfCalculator.validator.assertValid(profile).profile;
+            } catch (error) {
+                throw new Error(`${label}: ${error.message}`);
+            }
+        }
+
+        calibrateATCF(samples, defaultWeights, defaultModifiers) {
+            const keys = Object.keys(atcfComponents);
+            const predict = (sample, weights) => {
+                const adapted = this.atcfCalculator.adaptForCulture(sample.background, weights);
+                const total = keys.reduce((sum, key) => sum + adapted[key] * sample.components[atcfComponents[key]], 0);
+                return Math.max(0, Math.min(1, total));
+            };
+            const fit = trainSamples => this.fitSimplex(defaultWeights, keys, weights =>
+                meanSquaredError(trainSamples, sample => predict(sample, weights))
+            ).weights;
+
+            const weights = fit(samples);
+            const modifiers = this.fitCultureModifiers(samples, weights, defaultModifiers);
+
+            // Culture refits apply on top of the global fit, so goodness of fit is measured with both in place
+            const calibratedFit = this.withModifiers(modifiers, () => goodnessOfFit(samples, sample => predict(sample, weights)));
+
+            return {
+                samples: samples.length,
+                weights,
+                default_weights: defaultWeights,
+                modifiers,
+                cultures: Object.keys(modifiers).map(culture => ({
+                    culture,
+                    samples: samples.filter(sample => sample.background === culture).length,
+                    default_modifiers: defaultModifiers[culture],
+                    modifiers: modifiers[culture]
+                })),
+                default_fit: goodnessOfFit(samples, sample => predict(sample, defaultWeights)),
+                fit: calibratedFit,
+                cross_validation: this.crossValidate(samples, fit, (sample, weights) => predict(sample, weights), defaultWeights),
+                modifier_cross_validation: Object.keys(modifiers).length > 0
+                    ? this.crossValidateModifiers(samples, fit, predict, defaultModifiers)
+                    : null
+            };
+        }
+
+        // Each fold refits the global weights and the culture modifiers on its training samples only, then scores
+        // the held-out samples with the fold's modifiers and with the registry's
+        crossValidateModifiers(samples, fit, predict, defaultModifiers) {
+            const folds = Math.min(this.folds, samples.length);
+            if (folds < 2) return null;
+
+            const heldOut = { fitted: [], registry: [] };
+            for (let fold = 0; fold < folds; fold++) {
+                const train = samples.filter((_, index) => index % folds !== fold);
+                const test = samples.filter((_, index) => index % folds === fold);
+                const weights = fit(train);
+                const modifiers = this.fitCultureModifiers(train, weights, defaultModifiers);
+
+                test.forEach(sample => heldOut.registry.push([predict(sample, weights), sample.outcome]));
+                this.withModifiers(modifiers, () =>
+                    test.forEach(sample => heldOut.fitted.push([predict(sample, weights), sample.outcome])));
+            }
+
+            const fitted = fitMetrics(heldOut.fitted);
+            const registry = fitMetrics(heldOut.registry);
+            return {
+                folds,
+                held_out: fitted,
+                held_out_registry: registry,
+                improves_on_registry: fitted.rmse < registry.rmse
+            };
+        }
+
+        fitCultureModifiers(samples, globalWeights, defaultModifiers) {
+            const keys = Object.keys(atcfComponents);
+            const modifiers = {};
+            const byCulture = {};
+            // Only single-culture profiles inform a culture's modifiers; blends mix several frameworks
+            samples
+                .filter(sample => typeof sample.background === 'string' && defaultModifiers[sample.background])
+                .forEach(sample => (byCulture[sample.background] = byCulture[sample.background] || []).push(sample));
+
+            for (const [culture, cultureSamples] of Object.entries(byCulture)) {
+                if (cultureSamples.length < this.minCultureSamples) continue;
+
+                const start = this.atcfCalculator.adaptForCulture(culture, globalWeights);
+                const cultureWeights = this.fitSimplex(start, keys, weights => meanSquaredError(cultureSamples, sample =>
+                    Math.max(0, Math.min(1, keys.reduce((sum, key) => sum + weights[key] * sample.components[atcfComponents[key]], 0)))
+                )).weights;
+
+                // adaptForCulture renormalizes, so modifiers only need the right ratios; scale them to average 1
+                const ratios = keys.map(key => globalWeights[key] > 0 ? cultureWeights[key] / globalWeights[key] : 1);
+                const mean = ratios.reduce((a, b) => a + b, 0) / ratios.length;
+                modifiers[culture] = Object.fromEntries(keys.map((key, index) =>
+                    [key, round(Math.max(this.minModifier, ratios[index] / mean))]
+                ));
+            }
+
+            return modifiers;
+        }
+
+        calibrateCoordination(samples, assessment) {
+            const base = { ...assessment.coordinationWeights };
+            const defaults = Object.fromEntries(blendComponents.map(key => [key, base[key]]));
+            const predict = (sample, weights) => {
+                assessment.coordinationWeights = { ...base, ...weights };
+                const pairs = sample.pairs.map(pair => ({
+                    coordination_potential: Math.max(0, Math.min(1, assessment.combineSubScores(
+                        pair.sub_scores,
+                        assessment.calculateTaskWeights(pair.task_model)
+                    ) * pair.accommodation_factor)),
+                    prf_compatibility: pair.sub_scores.prf,
+                    capability_overlap: pair.sub_scores.capability,
+                    cultural_coordination: pair.sub_scores.cultural
+                }));
+                const members = sample.atcf_scores.map(score => ({ atcf: { total_score: score } }));
+                return assessment.calculateTeamMetrics(members, pairs).team_coordination_potential;
+            };
+            const fit = trainSamples => this.fitSimplex(defaults, blendComponents, weights =>
+                meanSquaredError(trainSamples, sample => predict(sample, weights))
+            ).weights;
+
+            const weights = fit(samples);
+            const report = {
+                samples: samples.length,
+                weights: { ...base, ...weights },
+                default_weights: base,
+                default_fit: goodnessOfFit(samples, sample => predict(sample, defaults)),
+                fit: goodnessOfFit(samples, sample => predict(sample, weights)),
+                cross_validation: this.crossValidate(samples, fit, predict, defaults)
+            };
+
+            assessment.coordinationWeights = base;
+            return report;
+        }
+
+        // Coordinate descent on the simplex: move weight between two components at a time,
+        // halving the step when no move improves the loss
+        fitSimplex(initial, keys, loss) {
+            let weights = Object.fromEntries(keys.map(key => [key, Math.max(this.minWeight, initial[key])]));
+            const total = keys.reduce((sum, key) => sum + weights[key], 0);
+            keys.forEach(key => (weights[key] = weights[key] / total));
+
+            let best = loss(weights);
+            let step = this.initialStep;
+            let iterations = 0;
+
+            while (step >= this.minStep && iterations < 1000) {
+                iterations++;
+                let improved = false;
+
+                for (const from of keys) {
+                    for (const to of keys) {
+                        const shift = Math.min(step, weights[from] - this.minWeight);
+                        if (from === to || shift <= 0) continue;
+
+                        const candidate = { ...weights, [from]: weights[from] - shift, [to]: weights[to] + shift };
+                        const value = loss(candidate);
+                        if (value < best - 1e-12) {
+                            weights = candidate;
+                            best = value;
+                            improved = true;
+                        }
+                    }
+                }
+
+                if (!improved) step /= 2;
+            }
+
+            return { weights: roundWeights(weights, keys), loss: best, iterations };
+        }
+
+        // Folds are assigned round-robin so results don't depend on any shuffling
+        crossValidate(samples, fit, predict, defaultWeights) {
+            const folds = Math.min(this.folds, samples.length);
+            if (folds < 2) return null;
+
+            const foldResults = [];
+            const heldOut = { calibrated: [], default: [] };
+            for (let fold = 0; fold < folds; fold++) {
+                const train = samples.filter((_, index) => index % folds !== fold);
+                const test = samples.filter((_, index) => index % folds === fold);
+                const weights = fit(train);
+
+                test.forEach(sample => {
+                    heldOut.calibrated.push([predict(sample, weights), sample.outcome]);
+                    heldOut.default.push([predict(sample, defaultWeights), sample.outcome]);
+                });
+                foldResults.push({ fold, train_samples: train.length, test_samples: test.length, weights });
+            }
+
+            const keys = Object.keys(foldResults[0].weights);
+            const weightStdDev = Object.fromEntries(keys.map(key => {
+                const values = foldResults.map(result => result.weights[key]);
+                const mean = values.reduce((a, b) => a + b, 0) / values.length;
+                return [key, Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length)];
+            }));
+
+            const calibrated = fitMetrics(heldOut.calibrated);
+            const baseline = fitMetrics(heldOut.default);
+            return {
+                folds,
+                held_out: calibrated,
+                held_out_default: baseline,
+                improves_on_default: calibrated.rmse < baseline.rmse,
+                weight_std_dev: weightStdDev,
+                fold_results: foldResults
+            };
+        }
+
+        withModifiers(modifiers, callback) {
+            const registry = this.atcfCalculator.culturalRegistry;
+            const previous = Object.fromEntries(Object.keys(modifiers).map(culture => [culture, registry.getFramework(culture).atcf_modifiers]));
+
+            Object.entries(modifiers).forEach(([culture, cultureModifiers]) => registry.setATCFModifiers(culture, cultureModifiers));
+            try {
+                return callback();
+            } finally {
+                Object.entries(previous).forEach(([culture, cultureModifiers]) => registry.setATCFModifiers(culture, cultureModifiers));
+            }
+        }
+    }
+
+    function round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    // Rounded weights still have to sum to 1, so the largest absorbs the rounding error
+    function roundWeights(weights, keys) {
+        const rounded = Object.fromEntries(keys.map(key => [key, round(weights[key])]));
+        const largest = keys.reduce((a, b) => (rounded[a] >= rounded[b] ? a : b));
+        rounded[largest] = round(1 - keys.filter(key => key !== largest).reduce((sum, key) => sum + rounded[key], 0));
+        return rounded;
+    }
+
+    function meanSquaredError(samples, predict) {
+        return samples.reduce((sum, sample) => sum + Math.pow(predict(sample) - sample.outcome, 2), 0) / samples.length;
+    }
+
+    function goodnessOfFit(samples, predict) {
+        return fitMetrics(samples.map(sample => [predict(sample), sample.outcome]));
+    }
+
+    function fitMetrics(pairs) {
+        const n = pairs.length;
+        const meanPredicted = pairs.reduce((sum, [predicted]) => sum + predicted, 0) / n;
+        const meanObserved = pairs.reduce((sum, [, observed]) => sum + observed, 0) / n;
+
+        let squaredError = 0;
+        let absoluteError = 0;
+        let totalVariance = 0;
+        let covariance = 0;
+        let predictedVariance = 0;
+        for (const [predicted, observed] of pairs) {
+            squaredError += Math.pow(predicted - observed, 2);
+            absoluteError += Math.abs(predicted - observed);
+            totalVariance += Math.pow(observed - meanObserved, 2);
+            covariance += (predicted - meanPredicted) * (observed - meanObserved);
+            predictedVariance += Math.pow(predicted - meanPredicted, 2);
+        }
+
+        return {
+            n,
+            mse: squaredError / n,
+            rmse: Math.sqrt(squaredError / n),
+            mae: absoluteError / n,
+            r_squared: totalVariance > 0 ? 1 - squaredError / totalVariance : null,
+            correlation: totalVariance > 0 && predictedVariance > 0
+                ? covariance / Math.sqrt(totalVariance * predictedVariance)
+                : null
+        };
+    }
+
+    return { WeightCalibrator };
+}));
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// bin/atcf-calculate.js
+// Batch ATCF scoring for agent profiles stored as JSON, NDJSON or CSV
+
+const {
+    EXIT_OK,
+    EXIT_VALIDATION,
+    CliError,
+    parseArgs,
+    detectFormat,
+    createCalculator,
+    readProfiles,
+    formatRecords,
+    writeOutput,
+    reportIssues,
+    tabular,
+    run
+} = require('../cli/common');
+
+const usage = `Usage: atcf-calculate --input agents.csv [--output results.csv] [options]
+
+Options:
+  --input FILE               Agent profiles (.json, .ndjson or .csv; '-' reads stdin)
+  --output FILE              Where to write results (default: stdout)
+  --input-format FORMAT      Override input format detection (json, ndjson, csv)
+  --format FORMAT            Output format (json, ndjson, csv; default from --output)
+  --weights-config FILE      JSON file with alpha/beta/gamma/delta weights or a calibrate-weights config
+  --timestamp TIME           Assessment time as epoch milliseconds or ISO date (default: now)
+  --no-cultural-adaptation   Score with the configured weights only
+  --explain                  Include each result's explanation tree (JSON and NDJSON output)
+  -h, --help                 Show this help
+
+Exits with 1 when any profile fails validation; valid profiles are still scored.`;
+
+const spec = {
+    usage,
+    options: {
+        input: { required: true },
+        output: {},
+        'input-format': { choices: ['json', 'ndjson', 'csv'] },
+        format: { choices: ['json', 'ndjson', 'csv'] },
+        'weights-config': {},
+        timestamp: {},
+        'no-cultural-adaptation': { type: 'boolean' },
+        explain: { type: 'boolean' }
+    }
+};
+
+function parseTimestamp(value) {
+    if (value === undefined) return Date.now();
+    const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(timestamp)) {
+        throw new CliError(`--timestamp '${value}' is not a valid time`);
+    }
+    return timestamp;
+}
+
+function toTableRow(entry) {
+    if (!entry.valid) {
+        return {
+            id: entry.id,
+            name: entry.name,
+            valid: false,
+            errors: entry.errors.map(error => error.message).join('; ')
+        };
+    }
+
+    const row = tabular.atcfResultRow(entry, entry);
+    return { id: row.id, name: row.name, valid: true, ...row };
+}
+
+function main(argv) {
+    const args = parseArgs(argv, spec);
+    if (args.help) {
+        process.stdout.write(`${usage}\n`);
+        return EXIT_OK;
+    }
+
+    const calculator = createCalculator(args['weights-config']);
+
+    const timeWindow = { current: parseTimestamp(args.timestamp) };
+    const records = readProfiles(args.input, args['input-format']);
+    let failures = 0;
+
+    const results = records.map(({ label, profile: record, errors: rowErrors }) => {
+        const errors = [...rowErrors, ...calculator.validateProfile(record).errors];
+
+        if (errors.length > 0) {
+            failures++;
+            reportIssues(label, errors);
+            return { id: record?.id ?? null, name: record?.name ?? null, valid: false, errors };
+        }
+
+        const options = { explain: args.explain };
+        const result = args['no-cultural-adaptation']
+            ? calculator.calculateATCF(record, timeWindow, options)
+            : calculator.calculateCulturallyAdaptedATCF(record, timeWindow, options);
+        return { id: record.id ?? null, name: record.name ?? null, valid: true, ...result };
+    });
+
+    const format = detectFormat(args.output, args.format);
+    writeOutput(args.output, formatRecords(format === 'csv' ? results.map(toTableRow) : results, format));
+
+    if (failures > 0) {
+        process.stderr.write(`${failures} of ${records.length} profile(s) failed validation\n`);
+        return EXIT_VALIDATION;
+    }
+    return EXIT_OK;
+}
+
+run(main);
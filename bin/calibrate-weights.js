@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// bin/calibrate-weights.js
+// Fit ATCF and coordination weights to observed outcomes and write a loadable weights config
+
+const { WeightCalibrator } = require('..');
+const {
+    EXIT_OK,
+    EXIT_VALIDATION,
+    CliError,
+    parseArgs,
+    readJSONFile,
+    createAssessment,
+    writeOutput,
+    run
+} = require('../cli/common');
+
+const usage = `Usage: calibrate-weights --dataset outcomes.json [--output weights.json] [options]
+
+Options:
+  --dataset FILE          JSON with agents: [{ profile, outcome }] and/or
+                          teams: [{ agents: [profiles], task_context, outcome }]
+  --output FILE           Where to write the calibrated config (default: stdout)
+  --report FILE           Also write the full fit and cross-validation report
+  --weights-config FILE   Start from these weights instead of the defaults
+  --outcome-scale MIN-MAX Range of the outcome ratings (default 0-1, e.g. 1-5)
+  --folds N               Cross-validation folds (default 5)
+  --min-culture-samples N Profiles a culture needs before its modifiers are refit (default 5)
+  --min-samples N         Outcomes a fit needs before its weights are exported (default 10)
+  --force                 Export fitted weights and culture modifiers even when they fail
+                          the sample minimum or do not beat the defaults on held-out data
+  -h, --help              Show this help
+
+The config loads with --weights-config in the other tools. A fit that is
+rejected keeps the default weights in the config.
+Exits with 1 when the dataset has invalid profiles or outcomes.`;
+
+const spec = {
+    usage,
+    options: {
+        dataset: { required: true },
+        output: {},
+        report: {},
+        'weights-config': {},
+        'outcome-scale': {},
+        folds: {},
+        'min-culture-samples': {},
+        'min-samples': {},
+        force: { type: 'boolean' }
+    }
+};
+
+function parseOutcomeScale(value) {
+    if (value === undefined) return undefined;
+    const match = /^(-?[\d.]+)-(-?[\d.]+)$/.exec(value);
+    const range = match ? [Number(match[1]), Number(match[2])] : [];
+    if (range.length !== 2 || !range.every(Number.isFinite) || range[0] >= range[1]) {
+        throw new CliError('--outcome-scale must look like MIN-MAX, e.g. 1-5');
+    }
+    return range;
+}
+
+function parseCount(value, option, min) {
+    if (value === undefined) return undefined;
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < min) {
+        throw new CliError(`--${option} must be an integer of at least ${min}`);
+    }
+    return count;
+}
+
+function formatFit(label, report) {
+    if (!report) return `${label}: no samples, weights unchanged`;
+
+    const format = value => (typeof value === 'number' ? value.toFixed(3) : 'n/a');
+    const lines = [
+        `${label}: ${report.samples} sample(s)`,
+        `  RMSE ${format(report.default_fit.rmse)} -> ${format(report.fit.rmse)}, R² ${format(report.default_fit.r_squared)} -> ${format(report.fit.r_squared)}`
+    ];
+    if (report.cross_validation) {
+        const { folds, held_out: heldOut, held_out_default: baseline } = report.cross_validation;
+        lines.push(`  ${folds}-fold held-out RMSE ${format(baseline.rmse)} -> ${format(heldOut.rmse)}`
+            + (report.cross_validation.improves_on_default ? '' : ' (no improvement on held-out data)'));
+    }
+    if (report.rejection_reason) {
+        lines.push(report.accepted
+            ? `  Exported anyway (--force): ${report.rejection_reason}`
+            : `  Kept the default weights: ${report.rejection_reason}; use --force to export the fit`);
+    }
+    if (report.modifier_cross_validation) {
+        const { held_out: heldOut, held_out_registry: registry } = report.modifier_cross_validation;
+        lines.push(`  Culture modifiers: held-out RMSE ${format(registry.rmse)} -> ${format(heldOut.rmse)}`);
+    }
+    if (report.modifiers_rejection_reason) {
+        lines.push(report.modifiers_accepted
+            ? `  Modifiers exported anyway (--force): ${report.modifiers_rejection_reason}`
+            : `  Kept the registry modifiers: ${report.modifiers_rejection_reason}; use --force to export them`);
+    }
+    return lines.join('\n');
+}
+
+function main(argv) {
+    const args = parseArgs(argv, spec);
+    if (args.help) {
+        process.stdout.write(`${usage}\n`);
+        return EXIT_OK;
+    }
+
+    const dataset = readJSONFile(args.dataset, 'Dataset');
+    if (!dataset || typeof dataset !== 'object' || Array.isArray(dataset)) {
+        throw new CliError(`Dataset ${args.dataset} must be an object with agents and/or teams`, EXIT_VALIDATION);
+    }
+
+    const calibrator = new WeightCalibrator(createAssessment(args['weights-config']), {
+        outcomeRange: parseOutcomeScale(args['outcome-scale']),
+        folds: parseCount(args.folds, 'folds', 2),
+        minCultureSamples: parseCount(args['min-culture-samples'], 'min-culture-samples', 1),
+        minSamples: parseCount(args['min-samples'], 'min-samples', 2)
+    });
+
+    let result;
+    try {
+        result = calibrator.calibrate(dataset, { force: args.force === true });
+    } catch (error) {
+        throw new CliError(`${args.dataset}: ${error.message}`, EXIT_VALIDATION);
+    }
+
+    writeOutput(args.output, `${JSON.stringify(result.config, null, 2)}\n`);
+    if (args.report) {
+        writeOutput(args.report, `${JSON.stringify({ atcf: result.atcf, coordination: result.coordination }, null, 2)}\n`);
+    }
+    process.stderr.write(`${formatFit('ATCF weights', result.atcf)}\n${formatFit('Coordination weights', result.coordination)}\n`);
+
+    return EXIT_OK;
+}
+
+run(main);
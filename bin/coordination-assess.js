@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// bin/coordination-assess.js
+// Team coordination assessment for a roster of agent profiles
+
+const {
+    EXIT_OK,
+    EXIT_VALIDATION,
+    CliError,
+    parseArgs,
+    detectFormat,
+    readJSONFile,
+    createAssessment,
+    readProfiles,
+    writeOutput,
+    reportIssues,
+    tabular,
+    run
+} = require('../cli/common');
+
+const usage = `Usage: coordination-assess --team-data team.csv [--task-requirements task.json] [--output assessment.json]
+
+Options:
+  --team-data FILE           Team member profiles (.json, .ndjson or .csv; '-' reads stdin)
+  --task-requirements FILE   JSON task context (task, required_capabilities, time_pressure, ...)
+  --output FILE              Where to write the assessment (default: stdout)
+  --input-format FORMAT      Override input format detection (json, ndjson, csv)
+  --format FORMAT            json for the full assessment, csv for one row per pair
+  --interventions FILE       Also write intervention strategies as a CSV table
+  --weights-config FILE      JSON file with alpha/beta/gamma/delta ATCF weights or a calibrate-weights config
+  --directional              Add each member's adaptation burden per pair and team adaptation equity
+  -h, --help                 Show this help
+
+Members whose profiles fail validation are reported by row and left out of the
+assessment. Exits with 1 when any member profile fails validation.`;
+
+const spec = {
+    usage,
+    options: {
+        'team-data': { required: true },
+        'task-requirements': {},
+        output: {},
+        'input-format': { choices: ['json', 'ndjson', 'csv'] },
+        format: { choices: ['json', 'csv'] },
+        'weights-config': {},
+        interventions: {},
+        directional: { type: 'boolean' }
+    }
+};
+
+function main(argv) {
+    const args = parseArgs(argv, spec);
+    if (args.help) {
+        process.stdout.write(`${usage}\n`);
+        return EXIT_OK;
+    }
+
+    const assessment = createAssessment(args['weights-config']);
+    const taskContext = args['task-requirements'] ? readJSONFile(args['task-requirements'], 'Task requirements') : {};
+    const entries = readProfiles(args['team-data'], args['input-format']);
+
+    if (entries.length < 2) {
+        throw new CliError(`Team data needs at least two member profiles, found ${entries.length}`, EXIT_VALIDATION);
+    }
+
+    const checked = entries
+        .map(entry => ({ ...entry, errors: [...entry.errors, ...assessment.atcfCalculator.validateProfile(entry.profile).errors] }));
+    const invalid = checked.filter(entry => entry.errors.length > 0);
+    const valid = checked.filter(entry => entry.errors.length === 0);
+
+    invalid.forEach(entry => reportIssues(entry.label, entry.errors));
+    if (valid.length < 2) {
+        process.stderr.write(`${invalid.length} of ${entries.length} member profile(s) failed validation; no assessment written\n`);
+        return EXIT_VALIDATION;
+    }
+
+    const result = assessment.assessTeamCoordination(valid.map(entry => entry.profile), taskContext, { directional: args.directional });
+    const tables = tabular.teamTables(result, assessment.coordinationThreshold);
+    const format = detectFormat(args.output, args.format);
+
+    writeOutput(args.output, format === 'csv'
+        ? tabular.toCSV(tables.pairs)
+        : `${JSON.stringify(result, null, 2)}\n`);
+    if (args.interventions) {
+        writeOutput(args.interventions, tabular.toCSV(tables.interventions));
+    }
+
+    if (invalid.length > 0) {
+        process.stderr.write(`${invalid.length} of ${entries.length} member profile(s) failed validation and were left out of the assessment\n`);
+        return EXIT_VALIDATION;
+    }
+    return EXIT_OK;
+}
+
+run(main);
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// bin/coordination-recommend.js
+// Pairwise coordination recommendation for two agent profiles
+
+const { CounterfactualAnalyzer } = require('..');
+const {
+    EXIT_OK,
+    EXIT_VALIDATION,
+    CliError,
+    parseArgs,
+    detectFormat,
+    readJSONFile,
+    createAssessment,
+    readProfiles,
+    writeOutput,
+    reportIssues,
+    run
+} = require('../cli/common');
+
+const usage = `Usage: coordination-recommend --agent1 agent1.json --agent2 agent2.json [--task task.json]
+
+Options:
+  --agent1 FILE            First agent profile (.json, .ndjson or .csv with a single record)
+  --agent2 FILE            Second agent profile
+  --task FILE              JSON task context (task, required_capabilities, time_pressure, ...)
+  --output FILE            Where to write the recommendation (default: stdout)
+  --format FORMAT          text (default) or json; .json output files default to json
+  --weights-config FILE    JSON file with alpha/beta/gamma/delta ATCF weights or a calibrate-weights config
+  --explain                Show how every sub-score was computed
+  --directional            Show the adaptation burden each agent carries and who needs which support
+  --target N               Search for profile changes that lift the score to N (default 0.7)
+  -h, --help               Show this help
+
+Exits with 1 when either profile fails validation.`;
+
+const spec = {
+    usage,
+    options: {
+        agent1: { required: true },
+        agent2: { required: true },
+        task: {},
+        output: {},
+        format: { choices: ['text', 'json'] },
+        'weights-config': {},
+        explain: { type: 'boolean' },
+        directional: { type: 'boolean' },
+        target: {}
+    }
+};
+
+function readSingleProfile(file, option) {
+    const entries = readProfiles(file);
+    if (entries.length !== 1) {
+        throw new CliError(`--${option} ${file} must contain exactly one agent profile, found ${entries.length}`, EXIT_VALIDATION);
+    }
+    return { ...entries[0], label: option };
+}
+
+function formatScore(value) {
+    return typeof value === 'number' ? value.toFixed(2) : 'n/a';
+}
+
+function formatText(result, agents) {
+    const names = agents.map((agent, index) => agent.name || agent.id || `Agent ${index + 1}`);
+    const lines = [
+        `Coordination: ${names[0]} + ${names[1]}`,
+        `Potential: ${formatScore(result.coordination_potential)} (${result.recommendation.level})`,
+        `${result.recommendation.description}. ${result.recommendation.action}.`,
+        '',
+        'Scores',
+        `  ATCF                   ${formatScore(result.individual_atcf.agent1.total_score)} / ${formatScore(result.individual_atcf.agent2.total_score)}`,
+        `  PRF compatibility      ${formatScore(result.prf_compatibility)}`,
+        `  Capability overlap     ${formatScore(result.capability_overlap)}`,
+        `  Cultural coordination  ${formatScore(result.cultural_coordination)}`
+    ];
+
+    if (result.capability_coverage) {
+        lines.push(`  Capability coverage    ${formatScore(result.capability_coverage.coverage_score)}`);
+        if (result.capability_coverage.missing.length > 0) {
+            lines.push(`  Missing capabilities   ${result.capability_coverage.missing.join(', ')}`);
+        }
+        if (result.capability_coverage.below_level.length > 0) {
+            lines.push(`  Below required level   ${result.capability_coverage.below_level.join(', ')}`);
+        }
+        if (result.capability_coverage.unverified.length > 0) {
+            lines.push(`  Unverified levels      ${result.capability_coverage.unverified.join(', ')}`);
+        }
+    }
+
+    if (result.accommodations) {
+        lines.push(`  Accommodation fit      ${formatScore(result.accommodations.fit)} (score x${formatScore(result.accommodations.factor)})`);
+        if (result.accommodations.needed.length > 0) {
+            lines.push(`  Needed accommodations  ${result.accommodations.needed
+                .map(need => `${need.key} (${need.for.join(', ')})`).join(', ')}`);
+        }
+    }
+
+    lines.push('', 'Intervention strategies');
+    if (result.intervention_strategies.length === 0) {
+        lines.push('  None needed');
+    }
+    result.intervention_strategies.forEach((strategy, index) => {
+        lines.push(`  ${index + 1}. [${strategy.priority}] ${strategy.type}: ${strategy.strategy}`
+            + ` (${strategy.timeline}, +${formatScore(strategy.expected_improvement)})`);
+    });
+
+    if (result.directional) {
+        const { agent1_to_agent2: forward, agent2_to_agent1: backward, equity, recommendations } = result.directional;
+        lines.push('', 'Adaptation burden (who adapts to whom)');
+        [[forward, backward], [backward, forward]].forEach(([direction, partner]) => {
+            const heaviest = direction.heaviest_dimension ? `, mostly ${direction.heaviest_dimension}` : '';
+            lines.push(`  ${direction.name} -> ${partner.name}  ${formatScore(direction.adaptation_burden)}`
+                + ` (${Math.round(direction.adaptation_share * 100)}% of the adaptation${heaviest})`);
+        });
+        lines.push(`  ${equity.summary} (balance ${formatScore(equity.balance)})`);
+        recommendations.forEach((strategy, index) => {
+            lines.push(`  ${index + 1}. [${strategy.priority}] ${strategy.type}: ${strategy.strategy}`);
+        });
+    }
+
+    if (result.fallbacks.count > 0) {
+        lines.push('', `Note: ${result.fallbacks.count} sub-score(s) used default values because inputs were missing`);
+    }
+
+    if (result.counterfactuals && !result.counterfactuals.already_met) {
+        const { target, suggestions } = result.counterfactuals;
+        lines.push('', `Changes that would raise the score toward ${formatScore(target)}`);
+        if (suggestions.length === 0) {
+            lines.push('  No single or paired change improves the score');
+        }
+        suggestions.forEach(suggestion => {
+            const outcome = suggestion.reaches_target ? 'reaches target' : 'below target';
+            lines.push(`  ${suggestion.rank}. -> ${formatScore(suggestion.projected_score)} (${outcome}, effort ${suggestion.effort})`);
+            suggestion.changes.forEach(change => lines.push(`       ${change.description}`));
+        });
+    }
+
+    if (result.explanation) {
+        lines.push('', 'Explanation (score, weight in parent, formula)');
+        formatExplanation(result.explanation, 1, lines);
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function formatExplanation(node, depth, lines) {
+    const weight = node.weight === undefined ? '' : ` x${formatScore(node.weight)}`;
+    const formula = node.formula ? `  ${node.formula}` : '';
+    // Name the matrix cell (or culture pair) a lookup came from
+    const pair = typeof node.inputs?.agent1 === 'string' || typeof node.inputs?.agent2 === 'string'
+        ? ` (${node.inputs.agent1 ?? '-'} / ${node.inputs.agent2 ?? '-'})`
+        : '';
+    const fallback = node.fallbacks?.length > 0
+        ? `  [default: ${node.fallbacks.map(entry => entry.reason).join('; ')}]`
+        : '';
+    // Concept matches that weren't exact string equality or paired different proficiency levels
+    const inexact = (node.inputs?.matches || []).filter(match => match.relation !== 'exact' || (match.depth_agreement ?? 1) < 1);
+    const matches = inexact.length > 0
+        ? `  [matched: ${inexact.map(match => `${match.left} ~ ${match.right} ${formatScore(match.score)} ${match.relation}`
+            + ((match.depth_agreement ?? 1) < 1 ? `, depth ${formatScore(match.depth_agreement)}` : '')).join('; ')}]`
+        : '';
+    lines.push(`${'  '.repeat(depth)}${node.id} ${formatScore(node.value)}${weight}${formula}${pair}${fallback}${matches}`);
+    (node.children || []).forEach(child => formatExplanation(child, depth + 1, lines));
+}
+
+function parseTarget(value) {
+    if (value === undefined) return undefined;
+    const target = Number(value);
+    if (!Number.isFinite(target) || target < 0 || target > 1) {
+        throw new CliError('--target must be a number between 0 and 1');
+    }
+    return target;
+}
+
+function main(argv) {
+    const args = parseArgs(argv, spec);
+    if (args.help) {
+        process.stdout.write(`${usage}\n`);
+        return EXIT_OK;
+    }
+
+    const assessment = createAssessment(args['weights-config']);
+
+    const entries = [readSingleProfile(args.agent1, 'agent1'), readSingleProfile(args.agent2, 'agent2')];
+    const agents = entries.map(entry => entry.profile);
+    const taskContext = args.task ? readJSONFile(args.task, 'Task') : {};
+
+    const invalid = entries
+        .map(entry => ({ ...entry, errors: [...entry.errors, ...assessment.atcfCalculator.validateProfile(entry.profile).errors] }))
+        .filter(entry => entry.errors.length > 0);
+
+    if (invalid.length > 0) {
+        invalid.forEach(entry => reportIssues(entry.label, entry.errors));
+        return EXIT_VALIDATION;
+    }
+
+    const result = assessment.assessCrossAgentCoordination(agents[0], agents[1], taskContext, {
+        explain: args.explain,
+        directional: args.directional
+    });
+    result.counterfactuals = new CounterfactualAnalyzer(assessment)
+        .suggestCoordinationImprovements(agents[0], agents[1], taskContext, { target: parseTarget(args.target) });
+    const format = args.format || (detectFormat(args.output, null, 'text') === 'json' ? 'json' : 'text');
+
+    writeOutput(args.output, format === 'json'
+        ? `${JSON.stringify(result, null, 2)}\n`
+        : formatText(result, agents));
+
+    return EXIT_OK;
+}
+
+run(main);
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// bin/migrate-capabilities.js
+// Convert flat capability string arrays into { name, level, evidence } entries of the capability taxonomy
+
+const { CapabilityTaxonomy } = require('..');
+const {
+    EXIT_OK,
+    EXIT_VALIDATION,
+    CliError,
+    parseArgs,
+    detectFormat,
+    readJSONFile,
+    readProfiles,
+    formatRecords,
+    writeOutput,
+    reportIssues,
+    tabular,
+    run
+} = require('../cli/common');
+
+const usage = `Usage: migrate-capabilities --input agents.json [--output migrated.json] [options]
+
+Options:
+  --input FILE            Agent profiles (.json, .ndjson or .csv; '-' reads stdin)
+  --output FILE           Where to write the migrated profiles (default: stdout)
+  --input-format FORMAT   Override input format detection (json, ndjson, csv)
+  --format FORMAT         Output format (json, ndjson, csv; default from --output)
+  --level LEVEL           Proficiency given to bare names (default: intermediate)
+  --evidence SOURCES      Comma-separated evidence sources for bare names, e.g. self_report
+  --canonical             Rename names that resolve to a taxonomy capability to its key
+  --taxonomy FILE         JSON taxonomy config (capabilities, proficiency_levels, evidence_sources)
+                          added to the built-in taxonomy
+  -h, --help              Show this help
+
+Entries that are already objects are kept as they are. Names outside the taxonomy are
+reported on stderr with the closest known capability; they still migrate.
+Exits with 1 when an input row cannot be read.`;
+
+const spec = {
+    usage,
+    options: {
+        input: { required: true },
+        output: {},
+        'input-format': { choices: ['json', 'ndjson', 'csv'] },
+        format: { choices: ['json', 'ndjson', 'csv'] },
+        level: {},
+        evidence: {},
+        canonical: { type: 'boolean' },
+        taxonomy: {}
+    }
+};
+
+function createTaxonomy(file) {
+    const taxonomy = new CapabilityTaxonomy();
+    if (!file) return taxonomy;
+
+    try {
+        return taxonomy.loadConfig(readJSONFile(file, 'Taxonomy config'));
+    } catch (error) {
+        if (error instanceof CliError) throw error;
+        throw new CliError(`${file}: ${error.message}`, EXIT_VALIDATION);
+    }
+}
+
+function main(argv) {
+    const args = parseArgs(argv, spec);
+    if (args.help) {
+        process.stdout.write(`${usage}\n`);
+        return EXIT_OK;
+    }
+
+    const taxonomy = createTaxonomy(args.taxonomy);
+    const options = {
+        level: args.level === undefined || Number.isNaN(Number(args.level)) ? args.level : Number(args.level),
+        evidence: args.evidence ? args.evidence.split(',').map(source => source.trim()).filter(Boolean) : [],
+        canonical: args.canonical
+    };
+    try {
+        taxonomy.migrateCapabilities([], options);
+    } catch (error) {
+        throw new CliError(error.message);
+    }
+
+    const records = readProfiles(args.input, args['input-format']);
+    let failures = 0;
+    let migrated = 0;
+
+    const profiles = records.map(({ label, profile, errors }) => {
+        if (errors.length > 0) {
+            failures++;
+            reportIssues(label, errors);
+            return profile;
+        }
+        if (!Array.isArray(profile?.capabilities)) return profile;
+
+        for (const { name, suggestion } of taxonomy.findUnresolved(profile.capabilities)) {
+            process.stderr.write(`${label}: '${name}' is not in the capability taxonomy${suggestion ? ` (closest: ${suggestion})` : ''}\n`);
+        }
+        migrated += profile.capabilities.filter(entry => typeof entry === 'string').length;
+        return { ...profile, capabilities: taxonomy.migrateCapabilities(profile.capabilities, options) };
+    });
+
+    const format = detectFormat(args.output, args.format);
+    writeOutput(args.output, format === 'csv' ? tabular.exportProfiles(profiles) : formatRecords(profiles, format));
+    process.stderr.write(`Migrated ${migrated} capability name(s) across ${records.length} profile(s)\n`);
+
+    return failures > 0 ? EXIT_VALIDATION : EXIT_OK;
+}
+
+run(main);
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+// bin/prf-extract.js
+// Extract PRF (broa_data) configurations from survey responses and interaction logs
+
+const fs = require('fs');
+const path = require('path');
+const { PRFExtractor } = require('..');
+const {
+    EXIT_OK,
+    EXIT_VALIDATION,
+    CliError,
+    parseArgs,
+    detectFormat,
+    readJSONFile,
+    readRecords,
+    formatRecords,
+    writeOutput,
+    reportIssues,
+    tabular,
+    run
+} = require('../cli/common');
+
+const usage = `Usage: prf-extract --interaction-logs logs/ [--survey responses.csv] [--output prfs/]
+
+Options:
+  --interaction-logs PATH   Tagged events: a directory with one file per participant, or one
+                            file whose events carry participant_id
+  --survey FILE             Likert responses, one row per participant (participant_id or id column)
+  --instrument FILE         JSON instrument replacing the built-in item bank
+  --min-confidence N        Leave fields below this confidence (0-1) out of broa_data
+  --output PATH             A directory (one <participant>.json each) or a file (default: stdout)
+  --format FORMAT           json, ndjson or csv when writing to a file or stdout
+  -h, --help                Show this help
+
+Exits with 1 when a participant has no usable survey or log evidence.`;
+
+const spec = {
+    usage,
+    options: {
+        'interaction-logs': {},
+        survey: {},
+        instrument: {},
+        'min-confidence': {},
+        output: {},
+        format: { choices: ['json', 'ndjson', 'csv'] }
+    }
+};
+
+const idColumns = ['participant_id', 'id'];
+const logExtensions = ['.json', '.ndjson', '.jsonl', '.csv'];
+
+function addParticipant(participants, id) {
+    if (!participants.has(id)) {
+        participants.set(id, { survey: null, interaction_logs: null });
+    }
+    return participants.get(id);
+}
+
+function loadLogs(logPath, participants) {
+    let stats;
+    try {
+        stats = fs.statSync(logPath);
+    } catch (error) {
+        throw new CliError(`Cannot read ${logPath}: ${error.message}`);
+    }
+
+    const files = stats.isDirectory()
+        ? fs.readdirSync(logPath)
+            .filter(file => logExtensions.includes(path.extname(file).toLowerCase()))
+            .sort()
+            .map(file => path.join(logPath, file))
+        : [logPath];
+
+    for (const file of files) {
+        const fallbackId = path.basename(file, path.extname(file));
+        for (const event of readRecords(file)) {
+            // CSV logs hold tags as one ';'-separated cell
+            if (typeof event?.tags === 'string') event.tags = tabular.splitList(event.tags);
+            const id = String(event?.participant_id ?? event?.agent_id ?? fallbackId);
+            const participant = addParticipant(participants, id);
+            participant.interaction_logs = [...(participant.interaction_logs || []), event];
+        }
+    }
+}
+
+function loadSurvey(file, participants) {
+    readRecords(file).forEach((row, index) => {
+        const idColumn = idColumns.find(column => row[column] !== undefined && row[column] !== '');
+        const id = idColumn ? String(row[idColumn]) : `participant_${index + 1}`;
+        const responses = Object.fromEntries(
+            Object.entries(row).filter(([column]) => !idColumns.includes(column) && column !== 'name')
+        );
+        addParticipant(participants, id).survey = responses;
+    });
+}
+
+function parseMinConfidence(value) {
+    if (value === undefined) return 0;
+    const minConfidence = Number(value);
+    if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        throw new CliError('--min-confidence must be a number between 0 and 1');
+    }
+    return minConfidence;
+}
+
+function isDirectoryTarget(output) {
+    if (!output || output === '-') return false;
+    if (output.endsWith('/') || output.endsWith(path.sep)) return true;
+    return fs.existsSync(output) && fs.statSync(output).isDirectory();
+}
+
+function main(argv) {
+    const args = parseArgs(argv, spec);
+    if (args.help) {
+        process.stdout.write(`${usage}\n`);
+        return EXIT_OK;
+    }
+    if (!args['interaction-logs'] && !args.survey) {
+        throw new CliError(`Provide --interaction-logs, --survey or both\n\n${usage}`);
+    }
+
+    const instrument = args.instrument ? readJSONFile(args.instrument, 'Instrument') : undefined;
+    const extractor = new PRFExtractor(instrument, { minConfidence: parseMinConfidence(args['min-confidence']) });
+
+    const participants = new Map();
+    if (args.survey) loadSurvey(args.survey, participants);
+    if (args['interaction-logs']) loadLogs(args['interaction-logs'], participants);
+
+    let failures = 0;
+    const results = [...participants.entries()].map(([id, input]) => {
+        let extraction;
+        try {
+            extraction = extractor.extract(input);
+        } catch (error) {
+            throw new CliError(`${id}: ${error.message}`, EXIT_VALIDATION);
+        }
+
+        reportIssues(id, extraction.warnings);
+        if (Object.keys(extraction.confidence).length === 0) {
+            failures++;
+            process.stderr.write(`${id}: no survey items or log tags matched the instrument\n`);
+        }
+        return { participant_id: id, ...extraction };
+    });
+
+    if (isDirectoryTarget(args.output)) {
+        fs.mkdirSync(args.output, { recursive: true });
+        for (const result of results) {
+            const fileName = `${result.participant_id.replace(/[^\w.-]/g, '_')}.json`;
+            writeOutput(path.join(args.output, fileName), `${JSON.stringify(result, null, 2)}\n`);
+        }
+    } else {
+        writeOutput(args.output, formatRecords(results, detectFormat(args.output, args.format)));
+    }
+
+    if (failures > 0) {
+        process.stderr.write(`${failures} of ${results.length} participant(s) had no usable evidence\n`);
+        return EXIT_VALIDATION;
+    }
+    return EXIT_OK;
+}
+
+run(main);
@@ -0,0 +1,224 @@
+// cli/common.js
+// Shared argument parsing and record I/O for the command-line tools
+//
+// Records are read from JSON (an array, a single object or { agents: [...] }),
+// NDJSON (one object per line) or CSV. Agent profiles in CSV use the flat column
+// mapping of TabularAgentIO (broa.beliefs.autonomy, uev.action_readiness.focus, ...).
+
+const fs = require('fs');
+const path = require('path');
+const { ATCFCalculator, CoordinationAssessment, TabularAgentIO } = require('..');
+
+const EXIT_OK = 0;
+const EXIT_VALIDATION = 1;
+const EXIT_USAGE = 2;
+
+const tabular = new TabularAgentIO();
+
+class CliError extends Error {
+    constructor(message, exitCode = EXIT_USAGE) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+function parseArgs(argv, spec) {
+    const args = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const token = argv[i];
+        if (token === '-h' || token === '--help') {
+            args.help = true;
+            continue;
+        }
+        if (!token.startsWith('--')) {
+            throw new CliError(`Unexpected argument '${token}'\n\n${spec.usage}`);
+        }
+
+        const [name, inlineValue] = token.slice(2).split(/=(.*)/s);
+        const option = spec.options[name];
+        if (!option) {
+            throw new CliError(`Unknown option --${name}\n\n${spec.usage}`);
+        }
+
+        if (option.type === 'boolean') {
+            args[name] = true;
+        } else {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+                throw new CliError(`Option --${name} needs a value`);
+            }
+            args[name] = value;
+        }
+    }
+
+    if (!args.help) {
+        for (const [name, option] of Object.entries(spec.options)) {
+            if (option.required && args[name] === undefined) {
+                throw new CliError(`Missing required option --${name}\n\n${spec.usage}`);
+            }
+            if (option.choices && args[name] !== undefined && !option.choices.includes(args[name])) {
+                throw new CliError(`--${name} must be one of: ${option.choices.join(', ')}`);
+            }
+        }
+    }
+
+    return args;
+}
+
+function detectFormat(file, explicitFormat, fallback = 'json') {
+    if (explicitFormat) return explicitFormat;
+
+    const extension = file && file !== '-' ? path.extname(file).toLowerCase() : '';
+    if (extension === '.csv') return 'csv';
+    if (extension === '.ndjson' || extension === '.jsonl') return 'ndjson';
+    if (extension === '.json') return 'json';
+    return fallback;
+}
+
+function readText(file) {
+    try {
+        return fs.readFileSync(file === '-' ? 0 : file, 'utf8').replace(/^\uFEFF/, '');
+    } catch (error) {
+        throw new CliError(`Cannot read ${file}: ${error.message}`);
+    }
+}
+
+function readJSONFile(file, label) {
+    try {
+        return JSON.parse(readText(file));
+    } catch (error) {
+        if (error instanceof CliError) throw error;
+        throw new CliError(`${label} ${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Accepts plain alpha/beta/gamma/delta weights, { weights: {...} } or a calibrate-weights config
+function loadWeightConfig(target, weightsFile) {
+    if (!weightsFile) return target;
+
+    const config = readJSONFile(weightsFile, 'Weights config');
+    const calibrated = config.atcf_weights || config.coordination_weights || config.atcf_modifiers;
+    try {
+        return target.loadWeightConfig(calibrated ? config : { weights: config.weights || config });
+    } catch (error) {
+        throw new CliError(`Invalid weights config ${weightsFile}: ${error.message}`);
+    }
+}
+
+function createCalculator(weightsFile) {
+    return loadWeightConfig(new ATCFCalculator(), weightsFile);
+}
+
+function createAssessment(weightsFile) {
+    return loadWeightConfig(new CoordinationAssessment(), weightsFile);
+}
+
+function readRecords(file, format) {
+    const text = readText(file);
+    const inputFormat = detectFormat(file, format);
+
+    if (inputFormat === 'csv') {
+        return tabular.parseTable(text).map(entry => entry.values);
+    }
+
+    if (inputFormat === 'ndjson') {
+        return text.split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+            .filter(entry => entry.line !== '')
+            .map(entry => {
+                try {
+                    return JSON.parse(entry.line);
+                } catch (error) {
+                    throw new CliError(`${file} line ${entry.number} is not valid JSON: ${error.message}`, EXIT_VALIDATION);
+                }
+            });
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new CliError(`${file} is not valid JSON: ${error.message}`, EXIT_VALIDATION);
+    }
+    if (Array.isArray(parsed)) return parsed;
+    if (Array.isArray(parsed?.agents)) return parsed.agents;
+    return [parsed];
+}
+
+function readProfiles(file, format) {
+    if (detectFormat(file, format) !== 'csv') {
+        return readRecords(file, format).map((profile, index) => ({
+            label: recordLabel(profile, index),
+            profile,
+            errors: []
+        }));
+    }
+
+    // CSV cell problems (bad JSON, blends, dates) are row errors; validation runs later
+    return tabular.importProfiles(readText(file), { validate: false }).rows.map(entry => ({
+        label: `${file} row ${entry.row}${entry.profile.id ? ` (${entry.profile.id})` : ''}`,
+        profile: entry.profile,
+        errors: entry.errors
+    }));
+}
+
+function formatRecords(records, format) {
+    if (format === 'csv') return tabular.toCSV(records.map(record => tabular.flattenRecord(record)));
+    if (format === 'ndjson') return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    return JSON.stringify(records, null, 2) + '\n';
+}
+
+function writeOutput(file, text) {
+    if (!file || file === '-') {
+        process.stdout.write(text);
+        return;
+    }
+    try {
+        fs.writeFileSync(file, text);
+    } catch (error) {
+        throw new CliError(`Cannot write ${file}: ${error.message}`);
+    }
+}
+
+function recordLabel(record, index) {
+    return record?.id || record?.name || `record ${index + 1}`;
+}
+
+function reportIssues(label, issues) {
+    for (const issue of issues) {
+        process.stderr.write(`${label}: ${issue.message}\n`);
+    }
+}
+
+function run(main) {
+    try {
+        process.exitCode = main(process.argv.slice(2)) ?? EXIT_OK;
+    } catch (error) {
+        // Anything but a CliError came from scoring or validating the data, not from the invocation
+        process.stderr.write(`${error.message}\n`);
+        process.exitCode = error instanceof CliError ? error.exitCode : EXIT_VALIDATION;
+    }
+}
+
+module.exports = {
+    EXIT_OK,
+    EXIT_VALIDATION,
+    EXIT_USAGE,
+    CliError,
+    tabular,
+    parseArgs,
+    detectFormat,
+    readText,
+    readJSONFile,
+    createCalculator,
+    createAssessment,
+    readRecords,
+    readProfiles,
+    formatRecords,
+    writeOutput,
+    recordLabel,
+    reportIssues,
+    run
+};
@@ -0,0 +1,60 @@
+// index.js
+// CommonJS entry point for the framework calculators (Node, workers, bundlers)
+
+const { FrameworkData } = require('./data');
+const { AgentProfileValidator, ProfileValidationError, agentProfileSchema } = require('./assets/js/profile-validator');
+const { CompatibilityMatrixRegistry, defaultCompatibilityMatrices } = require('./assets/js/compatibility-registry');
+const { CulturalFrameworkRegistry } = require('./assets/js/cultural-registry');
+const { ConceptSimilarity, defaultConceptGraph } = require('./assets/js/concept-similarity');
+const { ATCFCalculator } = require('./assets/js/atcf-calculator');
+const { CapabilityTaxonomy, defaultCapabilityTaxonomy } = require('./assets/js/capability-taxonomy');
+const { AccommodationRegistry, defaultAccommodations, accommodationCategories } = require('./assets/js/accommodation-registry');
+const { CoordinationAssessment, defaultCoordinationWeights } = require('./assets/js/coordination');
+const { AgentModelConverter } = require('./assets/js/agent-model');
+const { TeamFormationEngine } = require('./assets/js/team-formation');
+const { ATCFLongitudinalTracker } = require('./assets/js/longitudinal-tracker');
+const { UncertaintyAnalyzer } = require('./assets/js/uncertainty');
+const { StressTestSimulator, defaultStressEffects } = require('./assets/js/stress-test');
+const { CounterfactualAnalyzer, defaultChangeEffort } = require('./assets/js/counterfactual');
+const { InterventionTracker } = require('./assets/js/intervention-tracker');
+const { WeightCalibrator } = require('./assets/js/weight-calibration');
+const { TherapeuticWorkflow, defaultTherapyProtocol } = require('./assets/js/therapeutic-workflow');
+const { CulturalValidationExplorer } = require('./assets/js/cultural-validation');
+const { PRFExtractor, defaultPRFInstrument } = require('./assets/js/prf-extractor');
+const { TabularAgentIO } = require('./assets/js/tabular-io');
+
+module.exports = {
+    FrameworkData,
+    AgentProfileValidator,
+    ProfileValidationError,
+    agentProfileSchema,
+    CompatibilityMatrixRegistry,
+    defaultCompatibilityMatrices,
+    CulturalFrameworkRegistry,
+    ConceptSimilarity,
+    defaultConceptGraph,
+    ATCFCalculator,
+    CapabilityTaxonomy,
+    defaultCapabilityTaxonomy,
+    AccommodationRegistry,
+    defaultAccommodations,
+    accommodationCategories,
+    CoordinationAssessment,
+    defaultCoordinationWeights,
+    AgentModelConverter,
+    TeamFormationEngine,
+    ATCFLongitudinalTracker,
+    UncertaintyAnalyzer,
+    StressTestSimulator,
+    defaultStressEffects,
+    CounterfactualAnalyzer,
+    defaultChangeEffort,
+    InterventionTracker,
+    WeightCalibrator,
+    TherapeuticWorkflow,
+    defaultTherapyProtocol,
+    CulturalValidationExplorer,
+    PRFExtractor,
+    defaultPRFInstrument,
+    TabularAgentIO
+};
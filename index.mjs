@@ -0,0 +1,42 @@
+// index.mjs
+// ES module entry point; re-exports the CommonJS build so both share one set of classes
+
+import framework from './index.js';
+
+export const {
+    FrameworkData,
+    AgentProfileValidator,
+    ProfileValidationError,
+    agentProfileSchema,
+    CompatibilityMatrixRegistry,
+    defaultCompatibilityMatrices,
+    CulturalFrameworkRegistry,
+    ConceptSimilarity,
+    defaultConceptGraph,
+    ATCFCalculator,
+    CapabilityTaxonomy,
+    defaultCapabilityTaxonomy,
+    AccommodationRegistry,
+    defaultAccommodations,
+    accommodationCategories,
+    CoordinationAssessment,
+    defaultCoordinationWeights,
+    AgentModelConverter,
+    TeamFormationEngine,
+    ATCFLongitudinalTracker,
+    UncertaintyAnalyzer,
+    StressTestSimulator,
+    defaultStressEffects,
+    CounterfactualAnalyzer,
+    defaultChangeEffort,
+    InterventionTracker,
+    WeightCalibrator,
+    TherapeuticWorkflow,
+    defaultTherapyProtocol,
+    CulturalValidationExplorer,
+    PRFExtractor,
+    defaultPRFInstrument,
+    TabularAgentIO
+} = framework;
+
+export default framework;
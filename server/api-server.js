@@ -0,0 +1,431 @@
+// server/api-server.js
+// Self-hostable HTTP server for the documented /api/v1 endpoints
+//
+// Run with `npm start` (PORT and HOST are read from the environment). Requests
+// outside /api/v1 are served from the repository root, so the demo pages and
+// their fetch examples work against the same origin.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const {
+    ATCFCalculator,
+    CoordinationAssessment,
+    defaultCoordinationWeights,
+    CompatibilityMatrixRegistry,
+    CulturalFrameworkRegistry,
+    ConceptSimilarity,
+    CapabilityTaxonomy,
+    AccommodationRegistry,
+    PRFExtractor,
+    ProfileValidationError,
+    FrameworkData
+} = require('..');
+
+const taskLevels = ['none', 'low', 'medium', 'high', 'critical'];
+
+class ApiError extends Error {
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class FrameworkApiServer {
+    constructor(options = {}) {
+        this.frameworkData = options.frameworkData || FrameworkData;
+        this.maxBodyBytes = options.maxBodyBytes || 1024 * 1024;
+        this.staticRoot = options.staticRoot === undefined
+            ? path.resolve(__dirname, '..')
+            : options.staticRoot && path.resolve(options.staticRoot);
+        this.allowedOrigin = options.allowedOrigin ?? '*';
+
+        this.culturalRegistry = new CulturalFrameworkRegistry(this.frameworkData.culturalFrameworks);
+        this.compatibilityRegistry = options.compatibilityRegistry || new CompatibilityMatrixRegistry();
+        this.conceptSimilarity = options.conceptSimilarity || new ConceptSimilarity();
+        this.capabilityTaxonomy = options.capabilityTaxonomy || new CapabilityTaxonomy(this.conceptSimilarity);
+        this.accommodationRegistry = options.accommodationRegistry || new AccommodationRegistry();
+        this.prfExtractor = options.prfExtractor || new PRFExtractor();
+
+        this.routes = {
+            'POST /api/v1/atcf/calculate': body => this.calculateATCF(body),
+            'POST /api/v1/coordination/assess': body => this.assessCoordination(body),
+            'POST /api/v1/prf/extract': body => this.extractPRF(body),
+            'GET /api/v1/cultural-frameworks': (body, query) => this.getCulturalFrameworks(query)
+        };
+
+        this.contentTypes = {
+            '.html': 'text/html; charset=utf-8',
+            '.js': 'text/javascript; charset=utf-8',
+            '.mjs': 'text/javascript; charset=utf-8',
+            '.css': 'text/css; charset=utf-8',
+            '.json': 'application/json; charset=utf-8',
+            '.md': 'text/markdown; charset=utf-8',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.svg': 'image/svg+xml'
+        };
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    listen(port = 3000, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        res.setHeader('Access-Control-Allow-Origin', this.allowedOrigin);
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            });
+            res.end();
+            return;
+        }
+
+        try {
+            if (!url.pathname.startsWith('/api/')) {
+                this.serveStatic(req, res, url.pathname);
+                return;
+            }
+
+            const handler = this.routes[`${req.method} ${url.pathname}`];
+            if (!handler) {
+                const knownPath = Object.keys(this.routes).some(route => route.endsWith(` ${url.pathname}`));
+                throw knownPath
+                    ? new ApiError(405, 'method_not_allowed', `${req.method} is not supported for ${url.pathname}`)
+                    : new ApiError(404, 'not_found', `No API endpoint at ${url.pathname}`);
+            }
+
+            const body = req.method === 'POST' ? await this.readJSONBody(req) : null;
+            const query = Object.fromEntries(url.searchParams);
+            this.sendJSON(res, 200, handler(body, query));
+        } catch (error) {
+            this.sendError(res, error);
+        }
+    }
+
+    readJSONBody(req) {
+        return new Promise((resolve, reject) => {
+            const contentType = req.headers['content-type'] || '';
+            if (!contentType.includes('application/json')) {
+                reject(new ApiError(415, 'unsupported_media_type', 'Request body must be sent as application/json'));
+                req.resume();
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxBodyBytes) {
+                    reject(new ApiError(413, 'payload_too_large', `Request body exceeds ${this.maxBodyBytes} bytes`));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                try {
+                    const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null');
+                    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                        reject(new ApiError(400, 'invalid_body', 'Request body must be a JSON object'));
+                        return;
+                    }
+                    resolve(body);
+                } catch (error) {
+                    reject(new ApiError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    createCalculator(weights) {
+        try {
+            return new ATCFCalculator(weights, {
+                culturalRegistry: this.culturalRegistry,
+                conceptSimilarity: this.conceptSimilarity
+            });
+        } catch (error) {
+            throw new ApiError(400, 'invalid_weights', error.message);
+        }
+    }
+
+    createAssessment(weights, coordinationWeights) {
+        const atcfCalculator = this.createCalculator(weights);
+        if (coordinationWeights !== undefined) {
+            if (!coordinationWeights || typeof coordinationWeights !== 'object' || Array.isArray(coordinationWeights)) {
+                throw new ApiError(400, 'invalid_weights', 'coordination_weights must be an object of blend weights');
+            }
+            const unknown = Object.keys(coordinationWeights).filter(key => !(key in defaultCoordinationWeights));
+            if (unknown.length > 0) {
+                throw new ApiError(400, 'invalid_weights',
+                    `Unknown coordination weight '${unknown[0]}'; expected ${Object.keys(defaultCoordinationWeights).join(', ')}`);
+            }
+        }
+
+        try {
+            return new CoordinationAssessment({
+                atcfCalculator,
+                compatibilityRegistry: this.compatibilityRegistry,
+                capabilityTaxonomy: this.capabilityTaxonomy,
+                accommodationRegistry: this.accommodationRegistry,
+                coordinationWeights
+            });
+        } catch (error) {
+            throw new ApiError(400, 'invalid_weights', error.message);
+        }
+    }
+
+    parseTimeWindow(timeInterval) {
+        if (timeInterval === undefined || timeInterval === null) {
+            return { current: Date.now() };
+        }
+        if (!Array.isArray(timeInterval) || timeInterval.length !== 2) {
+            throw new ApiError(400, 'invalid_time_interval', 'time_interval must be a [start, end] pair');
+        }
+
+        const [start, end] = timeInterval.map(value => typeof value === 'string' ? Date.parse(value) : value);
+        if (!Number.isFinite(start) || !Number.isFinite(end) || start > end) {
+            throw new ApiError(400, 'invalid_time_interval', 'time_interval must hold two timestamps with start <= end');
+        }
+
+        return { start, current: end };
+    }
+
+    requireObject(value, field) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new ApiError(400, 'missing_field', `${field} must be an agent profile object`);
+        }
+        return value;
+    }
+
+    calculateATCF(body) {
+        const agent = this.requireObject(body.agent ?? body.agent_history, 'agent_history');
+        const timeWindow = this.parseTimeWindow(body.time_interval);
+        const calculator = this.createCalculator(body.weights);
+        const options = { explain: body.explain === true };
+
+        return body.cultural_adaptation === false
+            ? calculator.calculateATCF(agent, timeWindow, options)
+            : calculator.calculateCulturallyAdaptedATCF(agent, timeWindow, options);
+    }
+
+    assessCoordination(body) {
+        const assessment = this.createAssessment(body.weights, body.coordination_weights);
+        const taskContext = this.parseTaskContext(body.task_context);
+        const options = { explain: body.explain === true, directional: body.directional === true };
+        this.checkAccommodations(assessment, taskContext, body.agents ?? [body.agent1, body.agent2]);
+        this.checkCapabilities(assessment, taskContext);
+
+        if (body.agents !== undefined) {
+            if (!Array.isArray(body.agents)) {
+                throw new ApiError(400, 'invalid_field', 'agents must be an array of agent profiles');
+            }
+            body.agents.forEach((agent, index) => this.requireObject(agent, `agents[${index}]`));
+            try {
+                return assessment.assessTeamCoordination(body.agents, taskContext, options);
+            } catch (error) {
+                if (error instanceof ProfileValidationError) throw error;
+                throw new ApiError(400, 'invalid_team', error.message);
+            }
+        }
+
+        return assessment.assessCrossAgentCoordination(
+            this.requireObject(body.agent1, 'agent1'),
+            this.requireObject(body.agent2, 'agent2'),
+            taskContext,
+            options
+        );
+    }
+
+    // The calculators read a malformed task context as no task at all, so it is rejected here instead
+    parseTaskContext(taskContext) {
+        if (taskContext === undefined) return {};
+
+        const reject = message => {
+            throw new ApiError(400, 'invalid_task_context', message);
+        };
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(taskContext)) reject('task_context must be an object');
+        for (const field of ['required_capabilities', 'accommodations']) {
+            if (taskContext[field] !== undefined && !Array.isArray(taskContext[field])) {
+                reject(`task_context.${field} must be an array`);
+            }
+        }
+        for (const field of ['time_pressure', 'consensus_criticality']) {
+            const level = taskContext[field];
+            const valid = typeof level === 'number' ? level >= 0 && level <= 1 : taskLevels.includes(level);
+            if (level !== undefined && !valid) {
+                reject(`task_context.${field} must be a number in [0, 1] or one of: ${taskLevels.join(', ')}`);
+            }
+        }
+        for (const field of ['task', 'decision_style']) {
+            if (taskContext[field] != null && typeof taskContext[field] !== 'string') {
+                reject(`task_context.${field} must be a string`);
+            }
+        }
+        if (taskContext.norms !== undefined && !isObject(taskContext.norms)) {
+            reject('task_context.norms must be an object');
+        }
+
+        return taskContext;
+    }
+
+    // Unknown proficiency levels in the task are client errors, not server faults; the profile validator
+    // reports the ones in agent profiles
+    checkCapabilities(assessment, taskContext) {
+        try {
+            assessment.buildTaskModel(taskContext);
+        } catch (error) {
+            throw new ApiError(400, 'invalid_capabilities', error.message);
+        }
+    }
+
+    // Unknown accommodation keys or priorities are client errors too
+    checkAccommodations(assessment, taskContext, agents) {
+        try {
+            assessment.accommodationRegistry.normalizeProvided(taskContext.accommodations ?? []);
+            for (const agent of Array.isArray(agents) ? agents : []) {
+                if (agent && typeof agent === 'object') {
+                    // Profiles that fail validation are reported by the validator instead
+                    const { profile } = assessment.atcfCalculator.validator.validate(agent);
+                    if (profile) assessment.accommodationRegistry.resolveNeeds(profile);
+                }
+            }
+        } catch (error) {
+            throw new ApiError(400, 'invalid_accommodations', error.message);
+        }
+    }
+
+    extractPRF(body) {
+        if (body.survey === undefined && body.interaction_logs === undefined) {
+            throw new ApiError(400, 'missing_field', 'Provide survey responses, interaction_logs or both');
+        }
+
+        try {
+            return this.prfExtractor.extract({ survey: body.survey, interaction_logs: body.interaction_logs });
+        } catch (error) {
+            throw new ApiError(400, 'invalid_input', error.message);
+        }
+    }
+
+    getCulturalFrameworks(query) {
+        const sections = ['values', 'atcf_modifiers', 'coordination'];
+        if (query.framework_type && !sections.includes(query.framework_type)) {
+            throw new ApiError(400, 'invalid_framework_type', `framework_type must be one of: ${sections.join(', ')}`);
+        }
+
+        let keys = this.culturalRegistry.listFrameworks().map(framework => framework.key);
+        if (query.culture_id) {
+            if (!this.culturalRegistry.hasFramework(query.culture_id)) {
+                throw new ApiError(404, 'unknown_culture', `No cultural framework '${query.culture_id}'`);
+            }
+            keys = [query.culture_id];
+        }
+
+        return {
+            frameworks: keys.map(key => {
+                const framework = this.culturalRegistry.getFramework(key);
+                return query.framework_type
+                    ? { key, name: framework.name, [query.framework_type]: framework[query.framework_type] }
+                    : { key, ...framework };
+            }),
+            same_culture_coordination: this.culturalRegistry.sameCultureCoordination
+        };
+    }
+
+    serveStatic(req, res, pathname) {
+        if (!this.staticRoot || (req.method !== 'GET' && req.method !== 'HEAD')) {
+            throw new ApiError(404, 'not_found', `Nothing to serve at ${pathname}`);
+        }
+
+        let relative;
+        try {
+            relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+        } catch (error) {
+            throw new ApiError(400, 'invalid_path', 'Request path is not valid URI encoding');
+        }
+        const filePath = path.resolve(this.staticRoot, '.' + relative);
+        const hidden = relative.split('/').some(segment => segment.startsWith('.') || segment === 'node_modules');
+
+        if (hidden || !filePath.startsWith(this.staticRoot + path.sep)
+            || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            throw new ApiError(404, 'not_found', `Nothing to serve at ${pathname}`);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': this.contentTypes[path.extname(filePath)] || 'application/octet-stream'
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    sendJSON(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(payload));
+    }
+
+    sendError(res, error) {
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+
+        if (error instanceof ProfileValidationError) {
+            this.sendJSON(res, 422, {
+                error: {
+                    code: 'invalid_profile',
+                    message: error.message,
+                    details: { errors: error.errors, warnings: error.warnings }
+                }
+            });
+        } else if (error instanceof ApiError) {
+            this.sendJSON(res, error.status, {
+                error: { code: error.code, message: error.message, ...(error.details ? { details: error.details } : {}) }
+            });
+        } else {
+            console.error('Unhandled API error:', error);
+            this.sendJSON(res, 500, { error: { code: 'internal_error', message: 'Internal server error' } });
+        }
+    }
+}
+
+module.exports = { FrameworkApiServer, ApiError };
+
+if (require.main === module) {
+    const server = new FrameworkApiServer();
+    const port = Number(process.env.PORT) || 3000;
+    const host = process.env.HOST || '127.0.0.1';
+
+    server.listen(port, host)
+        .then(address => console.log(`Framework API listening on http://${address.address}:${address.port}/api/v1`))
+        .catch(error => {
+            console.error('Failed to start Framework API:', error.message);
+            process.exitCode = 1;
+        });
+}
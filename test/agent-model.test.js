@@ -0,0 +1,27 @@
+// test/agent-model.test.js
+// Agent model conversion between display and canonical profiles
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AgentModelConverter } = require('..');
+
+const display = {
+    id: 'display_agent',
+    name: 'Display Agent',
+    cultural_background: 'Collectivistic',
+    atcf_components: { historical_continuity: 0.8, present_integration: 0.7, prospective_coherence: 0.75, meta_constructor_capacity: 0.6 },
+    coordination_capabilities: {
+        communication_style: 'consensus_building',
+        conflict_management: 'harmony_preservation',
+        trust_building: 'relationship_cultivation',
+        adaptation_style: 'collective_wisdom'
+    },
+    identity_kernel: 'harmony, community'
+};
+
+test('coordination styles do not become capabilities', () => {
+    const converter = new AgentModelConverter();
+
+    assert.deepEqual(converter.fromDisplayProfile(display).capabilities, []);
+    assert.deepEqual(converter.fromDisplayProfile({ ...display, capabilities: ['mediation'] }).capabilities, ['mediation']);
+});
@@ -0,0 +1,53 @@
+// test/api-server.test.js
+// REST API: request validation and per-request weights
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FrameworkApiServer, ApiError } = require('../server/api-server');
+const { FrameworkData } = require('..');
+
+const { agent1, agent2 } = FrameworkData.sampleAgentData;
+
+test('a malformed task_context is rejected with 400', () => {
+    const server = new FrameworkApiServer();
+
+    for (const taskContext of [null, 'urgent', [], { required_capabilities: 'x' }, { time_pressure: 'extreme' }, { norms: 'direct' }]) {
+        assert.throws(
+            () => server.assessCoordination({ agent1, agent2, task_context: taskContext }),
+            error => error instanceof ApiError && error.status === 400 && error.code === 'invalid_task_context'
+        );
+    }
+});
+
+test('a well-formed task_context is scored', () => {
+    const server = new FrameworkApiServer();
+    const result = server.assessCoordination({
+        agent1,
+        agent2,
+        task_context: { required_capabilities: ['analytical_thinking'], time_pressure: 'high' }
+    });
+
+    assert.equal(result.task_model.time_pressure, 0.75);
+});
+
+test('coordination_weights change the blend for that request only', () => {
+    const server = new FrameworkApiServer();
+    const coordinationWeights = { atcf: 0.7, prf: 0.1, capability: 0.1, cultural: 0.1 };
+    const weighted = server.assessCoordination({ agent1, agent2, coordination_weights: coordinationWeights });
+    const plain = server.assessCoordination({ agent1, agent2 });
+
+    assert.ok(Math.abs(weighted.task_weights.atcf - 0.7) < 1e-9);
+    assert.notEqual(weighted.coordination_potential, plain.coordination_potential);
+    assert.ok(Math.abs(plain.task_weights.atcf - 0.3) < 1e-9);
+});
+
+test('invalid coordination_weights are rejected with 400', () => {
+    const server = new FrameworkApiServer();
+
+    for (const coordinationWeights of [null, [0.3], { atcf: 0.9 }, { atcf: -0.1, prf: 0.45, capability: 0.45, cultural: 0.2 }, { social: 0.1 }]) {
+        assert.throws(
+            () => server.assessCoordination({ agent1, agent2, coordination_weights: coordinationWeights }),
+            error => error instanceof ApiError && error.status === 400 && error.code === 'invalid_weights'
+        );
+    }
+});
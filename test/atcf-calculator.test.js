@@ -0,0 +1,37 @@
+// test/atcf-calculator.test.js
+// ATCF calculator: profiles are validated first and failures leave calculator state untouched
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ATCFCalculator, FrameworkData, ProfileValidationError } = require('..');
+
+const [agent1, agent2] = Object.values(FrameworkData.sampleAgentData);
+
+test('an invalid profile leaves the weights unchanged after cultural adaptation', () => {
+    const calculator = new ATCFCalculator();
+    const weights = { ...calculator.weights };
+
+    for (let i = 0; i < 2; i++) {
+        assert.throws(() => calculator.calculateCulturallyAdaptedATCF({ ...agent2, id: 7 }), ProfileValidationError);
+    }
+
+    assert.deepEqual(calculator.weights, weights);
+});
+
+test('scores after a rejected profile match a fresh calculator', () => {
+    const calculator = new ATCFCalculator();
+    assert.throws(() => calculator.calculateCulturallyAdaptedATCF({ ...agent2, id: 7 }), ProfileValidationError);
+
+    assert.equal(
+        calculator.calculateATCF(agent1).total_score,
+        new ATCFCalculator().calculateATCF(agent1).total_score
+    );
+});
+
+test('a missing profile is a validation error, not a TypeError', () => {
+    const calculator = new ATCFCalculator();
+
+    for (const agentData of [null, undefined, 'agent']) {
+        assert.throws(() => calculator.calculateCulturallyAdaptedATCF(agentData), ProfileValidationError);
+    }
+});
@@ -0,0 +1,51 @@
+// test/capability-taxonomy.test.js
+// Capability taxonomy: proficiency-aware matching and profile validation of levels and evidence
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CapabilityTaxonomy, CoordinationAssessment, FrameworkData, ProfileValidationError } = require('..');
+
+const { agent1, agent2 } = FrameworkData.sampleAgentData;
+
+test('flat lists score like concept matching and levels lower the overlap as they drift apart', () => {
+    const taxonomy = new CapabilityTaxonomy();
+    const same = taxonomy.compareCapabilities(['data_analysis'], ['data_analysis']);
+    const apart = taxonomy.compareCapabilities([{ name: 'data_analysis', level: 'novice' }], [{ name: 'data_analysis', level: 'expert' }]);
+
+    assert.equal(same.score, 1);
+    assert.ok(apart.score < same.score);
+    assert.equal(apart.matches[0].depth_agreement, 0.25);
+});
+
+test('a specialist covers a broader requirement and a generalist only part of a narrower one', () => {
+    const taxonomy = new CapabilityTaxonomy();
+    const [broad] = taxonomy.normalizeRequirements(['planning']);
+    const [narrow] = taxonomy.normalizeRequirements(['project_management']);
+
+    assert.equal(taxonomy.coverRequirement(broad, taxonomy.normalizeCapabilities(['project_management'])).value, 1);
+    assert.equal(taxonomy.coverRequirement(narrow, taxonomy.normalizeCapabilities(['planning'])).value, 0.7);
+});
+
+test('migration turns bare names into level and evidence entries', () => {
+    const taxonomy = new CapabilityTaxonomy();
+    const [migrated] = taxonomy.migrateCapabilities(['innovation'], { evidence: ['self_report'] });
+
+    assert.equal(migrated.name, 'innovation');
+    assert.equal(migrated.level, 'intermediate');
+    assert.deepEqual(migrated.evidence, ['self_report']);
+});
+
+test('unknown levels and evidence sources are path-addressed validation errors', () => {
+    const assessment = new CoordinationAssessment();
+    const profile = {
+        ...agent1,
+        capabilities: ['innovation', { name: 'analytical_thinking', level: 'wizard', evidence: ['assessment', 'rumour'] }]
+    };
+    const validation = assessment.atcfCalculator.validateProfile(profile);
+
+    assert.deepEqual(validation.errors.map(error => [error.path, error.code]), [
+        ['capabilities[1].level', 'unknown_level'],
+        ['capabilities[1].evidence[1]', 'unknown_evidence_source']
+    ]);
+    assert.throws(() => assessment.assessCrossAgentCoordination(profile, agent2), ProfileValidationError);
+});
@@ -0,0 +1,56 @@
+// test/cli.test.js
+// Command-line tools: exit codes and error output
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { FrameworkData } = require('..');
+
+const { agent1, agent2 } = FrameworkData.sampleAgentData;
+const bin = name => path.join(__dirname, '..', 'bin', `${name}.js`);
+
+function writeTemp(dir, name, data) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+    return file;
+}
+
+function runCli(name, args) {
+    return spawnSync(process.execPath, [bin(name), ...args], { encoding: 'utf8' });
+}
+
+test('a usage error exits 2', () => {
+    const result = runCli('coordination-recommend', ['--agent1']);
+
+    assert.equal(result.status, 2);
+});
+
+test('a profile that cannot be scored exits 1 with the message and no stack', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const broken = writeTemp(dir, 'a1.json', { ...agent1, capabilities: [{ name: 'analytical_thinking', level: 'wizard' }] });
+    const result = runCli('coordination-recommend', ['--agent1', broken, '--agent2', writeTemp(dir, 'a2.json', agent2)]);
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /wizard/);
+    assert.doesNotMatch(result.stderr, /^\s+at /m);
+});
+
+test('coordination-assess reports a bad capability row and still scores the other members', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const team = writeTemp(dir, 'team.json', [
+        agent1,
+        agent2,
+        { ...agent2, id: 'agent_003', capabilities: [{ name: 'analytical_thinking', level: 'wizard' }] },
+        { ...agent1, id: 'agent_004' }
+    ]);
+    const result = runCli('coordination-assess', ['--team-data', team]);
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /^agent_003: capabilities\[0\]\.level 'wizard' is not a proficiency level/m);
+    assert.deepEqual(JSON.parse(result.stdout).pairwise_matrix.member_ids, ['agent_001', 'agent_002', 'agent_004']);
+});
@@ -0,0 +1,109 @@
+// test/coordination.test.js
+// Coordination scoring: baseline weights, task weighting, team assessment and directional mode
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CoordinationAssessment, FrameworkData, defaultCoordinationWeights } = require('..');
+
+const [agent1, agent2] = Object.values(FrameworkData.sampleAgentData);
+
+// A second member like agent 2, which leaves agent 1 the odd one out
+const agent3 = { ...structuredClone(agent2), id: 'agent_003', name: 'Sample Agent 3' };
+
+test('no task context reproduces the baseline coordination weights', () => {
+    const assessment = new CoordinationAssessment();
+    const result = assessment.assessCrossAgentCoordination(agent1, agent2);
+
+    assert.deepEqual(result.task_weights, { ...defaultCoordinationWeights, decision_fit: 0 });
+
+    const expected = 0.3 * Math.min(result.individual_atcf.agent1.total_score, result.individual_atcf.agent2.total_score) +
+        0.25 * result.prf_compatibility +
+        0.25 * result.capability_overlap +
+        0.2 * result.cultural_coordination;
+    assert.ok(Math.abs(result.coordination_potential - expected) < 1e-12);
+});
+
+test('an empty task context scores the same as no task context', () => {
+    const assessment = new CoordinationAssessment();
+    const untasked = assessment.assessCrossAgentCoordination(agent1, agent2);
+    const empty = assessment.assessCrossAgentCoordination(agent1, agent2, {});
+
+    assert.equal(empty.coordination_potential, untasked.coordination_potential);
+});
+
+test('the team matrix is symmetric and holds each pair\'s own assessment', () => {
+    const assessment = new CoordinationAssessment();
+    const team = assessment.assessTeamCoordination([agent1, agent2, agent3]);
+    const { member_ids: ids, scores } = team.pairwise_matrix;
+
+    assert.equal(team.team_size, 3);
+    assert.deepEqual(ids, ['agent_001', 'agent_002', 'agent_003']);
+    scores.forEach((row, i) => row.forEach((score, j) => assert.equal(score, i === j ? 1 : scores[j][i])));
+    for (const pair of team.pair_assessments) {
+        const [i, j] = pair.members.map(id => ids.indexOf(id));
+        assert.equal(scores[i][j], pair.coordination_potential);
+    }
+    assert.equal(scores[0][2], assessment.assessCrossAgentCoordination(agent1, agent3).coordination_potential);
+
+    const potentials = team.pair_assessments.map(pair => pair.coordination_potential);
+    const mean = potentials.reduce((sum, value) => sum + value, 0) / potentials.length;
+    assert.ok(Math.abs(team.team_coordination_potential - (0.7 * mean + 0.3 * Math.min(...potentials))) < 1e-12);
+});
+
+test('the member in most weak links is the bottleneck and gets its own strategy', () => {
+    const team = new CoordinationAssessment().assessTeamCoordination([agent1, agent2, agent3]);
+
+    assert.deepEqual(team.weakest_links.map(link => link.members), [['agent_001', 'agent_002'], ['agent_001', 'agent_003']]);
+    assert.ok(team.weakest_links.every(link => link.below_threshold && link.primary_gap === 'prf_compatibility'));
+    assert.deepEqual(team.bottleneck_members.map(member => [member.id, member.weak_links]), [['agent_001', 2]]);
+
+    const byType = Object.fromEntries(team.intervention_strategies.map(strategy => [strategy.type, strategy]));
+    // Two of the three pairs need PRF alignment, so it is delivered to the whole team
+    assert.equal(byType.prf_alignment.scope, 'team');
+    assert.equal(byType.prf_alignment.affected_pairs, 2);
+    assert.deepEqual(byType.bottleneck_support.target_members, ['agent_001']);
+});
+
+test('without a working norm both agents meet halfway, discounted by their own flexibility', () => {
+    const result = new CoordinationAssessment().assessCrossAgentCoordination(agent1, agent2, {}, { directional: true });
+    const { agent1_to_agent2: forward, agent2_to_agent1: backward, equity } = result.directional;
+
+    assert.equal(forward.agent, 'agent_001');
+    assert.equal(forward.adapts_to, 'agent_002');
+    assert.ok(forward.dimensions.every(entry => entry.share === 0.5 && entry.norm === null));
+    for (const direction of [forward, backward]) {
+        const effort = 1 - 0.5 * direction.flexibility;
+        const expected = direction.dimensions.reduce((sum, entry) => sum + entry.gap * entry.share * effort, 0) / direction.dimensions.length;
+        assert.ok(Math.abs(direction.adaptation_burden - expected) < 1e-12);
+    }
+    assert.equal(equity.more_burdened, null);
+    assert.ok(result.directional.recommendations.every(strategy => strategy.type === 'adaptation_support'));
+});
+
+test('a decision norm puts the adapting on the agent furthest from it', () => {
+    const result = new CoordinationAssessment().assessCrossAgentCoordination(
+        agent1, agent2, { decision_style: 'individual_focused' }, { directional: true }
+    );
+    const { agent2_to_agent1: backward, equity, recommendations } = result.directional;
+    const decision = backward.dimensions.find(entry => entry.dimension === 'decision_making');
+
+    assert.equal(decision.norm, 'individual_focused');
+    assert.equal(decision.share, 1);
+    assert.equal(equity.more_burdened, 'agent_002');
+    assert.match(equity.summary, /^Sample Agent 2 carries \d+% of the adaptation, mostly on decision_making$/);
+    assert.deepEqual(recommendations.filter(strategy => strategy.scope === 'system').map(strategy => [strategy.type, strategy.agent]),
+        [['norm_review', 'agent_002'], ['accommodation_investment', 'agent_002']]);
+});
+
+test('directional output is opt-in and rolls up to team equity', () => {
+    const assessment = new CoordinationAssessment();
+    assert.equal('directional' in assessment.assessCrossAgentCoordination(agent1, agent2), false);
+
+    const team = assessment.assessTeamCoordination([agent1, agent2], { decision_style: 'individual_focused' }, { directional: true });
+    const pair = team.pair_assessments[0].directional;
+
+    assert.deepEqual(team.adaptation_equity.members.map(member => member.mean_burden),
+        [pair.agent1_to_agent2.adaptation_burden, pair.agent2_to_agent1.adaptation_burden]);
+    assert.equal(team.adaptation_equity.most_burdened, 'agent_002');
+    assert.deepEqual(team.adaptation_equity.recommendations[0].target_members, ['agent_002']);
+});
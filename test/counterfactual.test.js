@@ -0,0 +1,53 @@
+// test/counterfactual.test.js
+// Counterfactual suggestions: projected scores come from the real calculators, cheapest route to the target first
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CounterfactualAnalyzer, FrameworkData } = require('..');
+
+const [agent1, agent2] = Object.values(FrameworkData.sampleAgentData);
+const timeWindow = { current: Date.parse('2026-01-01T00:00:00Z') };
+
+test('ATCF suggestions reach the target and their projections re-score exactly', () => {
+    const analyzer = new CounterfactualAnalyzer();
+    const result = analyzer.suggestATCFImprovements(agent1, { target: 0.77, timeWindow });
+    const reaching = result.suggestions.filter(suggestion => suggestion.reaches_target);
+
+    assert.equal(result.already_met, false);
+    assert.ok(reaching.length > 0);
+    assert.equal(result.suggestions[0].reaches_target, true);
+    reaching.slice(1).forEach((suggestion, index) => assert.ok(suggestion.effort >= reaching[index].effort));
+
+    for (const suggestion of result.suggestions) {
+        const changed = analyzer.applyChanges({ agent: agent1 }, suggestion.changes.map(change => ({ ...change, agent: 'agent' }))).agent;
+        const rescored = analyzer.atcfCalculator.calculateCulturallyAdaptedATCF(changed, timeWindow).total_score;
+        assert.equal(suggestion.projected_score, rescored);
+        assert.ok(suggestion.projected_score > result.baseline_score);
+    }
+});
+
+test('coordination suggestions only change the adjustable agent and raise the pair score', () => {
+    const analyzer = new CounterfactualAnalyzer();
+    const result = analyzer.suggestCoordinationImprovements(agent1, agent2, {}, { target: 0.62, timeWindow, adjustable: ['agent2'] });
+    const calculator = analyzer.atcfCalculator;
+
+    assert.ok(result.suggestions.length > 0);
+    for (const suggestion of result.suggestions) {
+        assert.ok(suggestion.changes.every(change => change.agent === 'agent2'));
+
+        const changed = analyzer.applyChanges({ agent1, agent2 }, suggestion.changes).agent2;
+        const rescored = analyzer.coordinationAssessment.assessPairWithATCF(
+            agent1, changed,
+            calculator.calculateCulturallyAdaptedATCF(agent1, timeWindow),
+            calculator.calculateCulturallyAdaptedATCF(changed, timeWindow)
+        ).coordination_potential;
+        assert.equal(suggestion.projected_score, rescored);
+        assert.ok(suggestion.improvement > 0);
+    }
+});
+
+test('a score already past the target is reported as met', () => {
+    const result = new CounterfactualAnalyzer().suggestATCFImprovements(agent1, { target: 0.5, timeWindow });
+
+    assert.equal(result.already_met, true);
+});
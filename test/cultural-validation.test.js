@@ -0,0 +1,42 @@
+// test/cultural-validation.test.js
+// Cultural validation: one profile under every framework, with interpretation flips flagged
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CulturalValidationExplorer, ATCFCalculator, FrameworkData } = require('..');
+
+const agent2 = FrameworkData.sampleAgentData.agent2;
+const timeWindow = { current: Date.parse('2026-01-01T00:00:00Z') };
+
+test('every registered framework is scored against the unadapted baseline', () => {
+    const calculator = new ATCFCalculator();
+    const result = new CulturalValidationExplorer(calculator).compareAcrossCultures(agent2, { timeWindow });
+
+    assert.deepEqual(result.frameworks.map(entry => entry.key), calculator.culturalRegistry.listFrameworks().map(framework => framework.key));
+    assert.equal(result.baseline.total_score, calculator.calculateATCF(agent2, timeWindow).total_score);
+    assert.equal(result.own_context.total_score, calculator.calculateCulturallyAdaptedATCF(agent2, timeWindow).total_score);
+    assert.equal(result.flagged, false);
+    assert.match(result.summary, /^Interpretation stays 'good' under all 4 cultural frameworks/);
+});
+
+test('a framework that moves the level through its weights alone is flagged', () => {
+    const calculator = new ATCFCalculator();
+    // Weighting present integration (agent 2's weakest component) heavily pulls the score below 'good'
+    calculator.culturalRegistry.registerFramework('present_first', {
+        name: 'Present first',
+        atcf_modifiers: { alpha: 0.5, beta: 3, gamma: 1, delta: 0.5 }
+    });
+    const result = new CulturalValidationExplorer(calculator).compareAcrossCultures(agent2, { timeWindow });
+
+    assert.equal(result.flagged, true);
+    assert.deepEqual(result.level_flips.map(flip => [flip.framework, flip.from, flip.to, flip.driver.component]),
+        [['present_first', 'good', 'moderate', 'PI']]);
+    assert.match(result.summary, /to 'moderate' under present_first through cultural weighting alone$/);
+});
+
+test('an unknown framework is rejected', () => {
+    assert.throws(
+        () => new CulturalValidationExplorer().compareAcrossCultures(agent2, { frameworks: ['atlantean'] }),
+        /Unknown cultural framework 'atlantean'/
+    );
+});
@@ -0,0 +1,78 @@
+// test/intervention-tracker.test.js
+// Intervention tracking: plan lifecycle, outcome against expected_improvement and aggregation by strategy
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { InterventionTracker } = require('..');
+
+const day = 24 * 60 * 60 * 1000;
+
+// A pair plan scored pre and post from plain results, so each test controls the change exactly
+function trackPair(tracker, strategies, pre, post, adopted = strategies.map(strategy => strategy.type)) {
+    const plan = tracker.createPlan(['agent_001', 'agent_002'], strategies, { timestamp: 0 });
+    adopted.forEach(type => tracker.adoptStrategy(plan.id, type, day));
+    tracker.recordAssessment(plan.id, 'pre', { coordination_potential: pre, prf_compatibility: 0.5 }, 0);
+    tracker.recordAssessment(plan.id, 'post', { coordination_potential: post, prf_compatibility: 0.6 }, 30 * day);
+    return plan;
+}
+
+test('a plan compares the actual change with what its adopted strategies promised', () => {
+    const tracker = new InterventionTracker();
+    const plan = trackPair(tracker, [
+        { type: 'cultural_bridging', expected_improvement: 0.3 },
+        { type: 'prf_alignment', expected_improvement: 0.1 }
+    ], 0.5, 0.6, ['cultural_bridging']);
+    const evaluation = tracker.evaluatePlan(plan.id);
+
+    assert.equal(plan.metric, 'coordination_potential');
+    assert.equal(evaluation.expected_change, 0.3);
+    assert.ok(Math.abs(evaluation.actual_change - 0.1) < 1e-12);
+    assert.equal(evaluation.outcome, 'not_met');
+    assert.equal(evaluation.days_elapsed, 30);
+    assert.ok(Math.abs(evaluation.component_changes.prf_compatibility - 0.1) < 1e-12);
+    assert.deepEqual(evaluation.not_applied, [{ type: 'prf_alignment', status: 'planned' }]);
+});
+
+test('gains are capped by how far the pre score was from 1', () => {
+    const tracker = new InterventionTracker();
+    const plan = trackPair(tracker, [{ type: 'cultural_bridging', expected_improvement: 0.3 }], 0.9, 1);
+
+    assert.equal(tracker.evaluatePlan(plan.id).outcome, 'met');
+});
+
+test('a plan without a post-assessment is not evaluated', () => {
+    const tracker = new InterventionTracker();
+    const plan = tracker.createPlan('agent_001', [{ type: 'temporal_coherence', expected_improvement: 0.1 }]);
+
+    assert.equal(plan.metric, 'total_score');
+    assert.deepEqual(tracker.evaluatePlan(plan.id), { plan_id: plan.id, evaluated: false, reason: 'no post-assessment recorded' });
+    assert.throws(() => tracker.setStrategyStatus(plan.id, 'temporal_coherence', 'forgotten'), /Strategy status must be one of/);
+});
+
+test('effectiveness aggregates by strategy type, with unadopted plans as controls', () => {
+    const tracker = new InterventionTracker();
+    const bridging = [{ type: 'cultural_bridging', expected_improvement: 0.2 }];
+    trackPair(tracker, bridging, 0.4, 0.6);
+    trackPair(tracker, bridging, 0.5, 0.6);
+    trackPair(tracker, bridging, 0.5, 0.7);
+    trackPair(tracker, bridging, 0.5, 0.52, []);
+
+    const summary = tracker.aggregateByStrategy();
+    const [entry] = summary.strategies;
+
+    assert.equal(summary.evaluated_plans, 4);
+    assert.equal(entry.type, 'cultural_bridging');
+    assert.equal(entry.cases, 3);
+    assert.ok(Math.abs(entry.mean_attributed_change - 0.5 / 3) < 1e-12);
+    assert.equal(entry.verdict, 'partially_delivers');
+    assert.equal(summary.no_intervention.cases, 1);
+});
+
+test('plans round-trip through export and import', () => {
+    const tracker = new InterventionTracker();
+    const plan = trackPair(tracker, [{ type: 'cultural_bridging', expected_improvement: 0.2 }], 0.4, 0.6);
+    const restored = new InterventionTracker();
+
+    assert.equal(restored.importPlans(tracker.exportPlans()), 1);
+    assert.deepEqual(restored.evaluatePlan(plan.id), tracker.evaluatePlan(plan.id));
+});
@@ -0,0 +1,22 @@
+// test/longitudinal-tracker.test.js
+// Longitudinal tracking: identity drift reports agree with the drift score
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ATCFLongitudinalTracker } = require('..');
+
+const day = 24 * 60 * 60 * 1000;
+
+test('a synonym swap is reworded, not added and removed', () => {
+    const tracker = new ATCFLongitudinalTracker();
+    const drift = tracker.detectIdentityDrift([
+        { timestamp: 0, identity_kernel: ['autonomy', 'growth', 'honesty'] },
+        { timestamp: 30 * day, identity_kernel: ['independence', 'growth', 'family'] }
+    ]);
+    const latest = drift.snapshots[1];
+
+    assert.deepEqual(latest.added, ['family']);
+    assert.deepEqual(latest.removed, ['honesty']);
+    assert.deepEqual(latest.reworded.map(change => [change.from, change.to]), [['autonomy', 'independence']]);
+    assert.deepEqual(drift.retained_elements, ['autonomy', 'growth']);
+});
@@ -0,0 +1,52 @@
+// test/prf-extractor.test.js
+// PRF extraction: survey and log evidence become broa_data with per-field confidence
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PRFExtractor } = require('..');
+
+test('Likert items score beliefs, reverse-keyed items included', () => {
+    const result = new PRFExtractor().extract({ survey: { autonomy_1: 5, autonomy_2: 1, hierarchy_1: 2 } });
+
+    assert.equal(result.broa_data.beliefs.autonomy, 1);
+    assert.equal(result.broa_data.beliefs.hierarchy, 0.25);
+    // Two agreeing items at the default saturation of 2
+    assert.ok(Math.abs(result.confidence['beliefs.autonomy'].confidence - (1 - Math.exp(-1))) < 1e-12);
+    assert.ok(result.missing_fields.includes('beliefs.tradition'));
+});
+
+test('contradictory answers leave a value with no confidence', () => {
+    const result = new PRFExtractor().extract({ survey: { autonomy_1: 5, autonomy_2: 5 } });
+
+    assert.equal(result.broa_data.beliefs.autonomy, 0.5);
+    assert.equal(result.confidence['beliefs.autonomy'].confidence, 0);
+});
+
+test('survey and log evidence combine into a rule style', () => {
+    const result = new PRFExtractor().extract({
+        survey: { decision_consensus: 5, decision_individual: 1 },
+        interaction_logs: [
+            { tags: ['rules.decision_making:consensus_based', 'beliefs.cooperation:high'] },
+            { tag: 'decision_making:consensus_based' }
+        ]
+    });
+
+    assert.equal(result.broa_data.rules.decision_making, 'consensus_based');
+    assert.deepEqual(result.confidence['rules.decision_making'].sources, ['survey', 'interaction_logs']);
+    assert.equal(result.broa_data.beliefs.cooperation, 1);
+});
+
+test('unusable responses and tags are reported, not scored', () => {
+    const result = new PRFExtractor().extract({
+        survey: { autonomy_1: 9, cooperation_1: 'often', mystery_item: 3 },
+        interaction_logs: [{ tags: ['beliefs.autonomy:sky-high', 'mood:happy'] }, {}]
+    });
+
+    assert.deepEqual(result.warnings.map(warning => [warning.path, warning.code]), [
+        ['survey.autonomy_1', 'out_of_range'],
+        ['survey.cooperation_1', 'non_numeric'],
+        ['interaction_logs[1]', 'invalid_item']
+    ]);
+    assert.deepEqual(result.unmapped, { survey_items: ['mystery_item'], log_tags: ['beliefs.autonomy:sky-high', 'mood:happy'] });
+    assert.deepEqual(result.broa_data, {});
+});
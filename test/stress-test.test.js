@@ -0,0 +1,58 @@
+// test/stress-test.test.js
+// Stress test simulation: stress lowers coordination through the ATCF, time pressure and pair capacity
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { StressTestSimulator, CoordinationAssessment, FrameworkData } = require('..');
+
+const agents = Object.values(FrameworkData.sampleAgentData);
+const levels = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+
+test('higher stress never raises team or pair coordination on the sample team', () => {
+    const simulator = new StressTestSimulator();
+    const scenarios = [
+        { deadline: 1 },
+        { uncertainty: 1 },
+        { resource_scarcity: 1 },
+        { deadline: 'critical', uncertainty: 'high', resource_scarcity: 'medium' }
+    ];
+
+    for (const stressors of scenarios) {
+        const result = simulator.simulate(agents, stressors, { levels });
+        const curves = [result.team_curve.map(point => point.team_coordination_potential), ...result.pair_curves.map(pair => pair.scores)];
+        for (const scores of curves) {
+            scores.slice(1).forEach((score, index) => assert.ok(score <= scores[index], `${JSON.stringify(stressors)}: ${scores.join(', ')}`));
+        }
+        assert.ok(result.team_curve[result.team_curve.length - 1].degradation > 0);
+        assert.ok(Object.values(result.stressor_impact).every(impact => impact >= 0));
+    }
+});
+
+test('a deadline raises the task time pressure even without UEV effects', () => {
+    const simulator = new StressTestSimulator(undefined, { effects: { deadline: {} } });
+    const result = simulator.simulate(agents, { deadline: 'critical' }, { taskContext: { time_pressure: 'medium' } });
+    const assessment = new CoordinationAssessment();
+    const expected = result.levels.map(level =>
+        assessment.assessTeamCoordination(agents, { time_pressure: Math.max(0.5, level) }).team_coordination_potential);
+
+    assert.deepEqual(result.team_curve.map(point => point.time_pressure), result.levels.map(level => Math.max(0.5, level)));
+    assert.deepEqual(result.team_curve.map(point => point.team_coordination_potential), expected);
+});
+
+test('a severe scenario breaks pairs down and costs them through their sub-scores', () => {
+    const result = new StressTestSimulator().simulate(agents, { deadline: 'critical', uncertainty: 'critical', resource_scarcity: 'critical' });
+
+    assert.ok(result.breakdown_order.length > 0);
+    assert.deepEqual(result.first_breakdowns, [['agent_001', 'agent_002']]);
+    assert.ok(result.member_curves.every(member => member.present_integration.at(-1) < member.present_integration[0]));
+    assert.ok(result.pair_curves[0].capacity.at(-1) < 1);
+    assert.match(result.summary, /break down first/);
+});
+
+test('no stress reports no degradation, degraded pair or stressor strategy', () => {
+    const result = new StressTestSimulator().simulate(agents, {});
+
+    assert.equal(result.most_degraded_pair, null);
+    assert.deepEqual(result.recommendations, []);
+    assert.match(result.summary, /^Team coordination holds at/);
+});
@@ -0,0 +1,58 @@
+// test/tabular-io.test.js
+// Spreadsheet import and export: profile round trips, row-level errors and result tables
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TabularAgentIO, ATCFCalculator, CoordinationAssessment, FrameworkData } = require('..');
+
+const agents = Object.values(FrameworkData.sampleAgentData);
+
+test('sample profiles survive a CSV round trip', () => {
+    const io = new TabularAgentIO();
+    const result = io.importProfiles(io.exportProfiles(agents));
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.profiles, agents);
+});
+
+test('import errors name the spreadsheet row and column, and only that row is dropped', () => {
+    const csv = [
+        'id,name,broa.beliefs.autonomy,history.1.timestamp,culture.collectivistic,culture.individualistic,shoe_size',
+        'a1,Ann,0.5,2024-01-01,0.6,0.4,38',
+        'a2,Bo,lots,yesterday,,,41'
+    ].join('\n');
+    const result = new TabularAgentIO().importProfiles(csv);
+
+    assert.deepEqual(result.errors.map(error => [error.row, error.column, error.code]), [[3, 'history.1.timestamp', 'invalid_timestamp']]);
+    assert.deepEqual(result.profiles.map(profile => profile.id), ['a1']);
+    assert.deepEqual(result.profiles[0].cultural_background, { collectivistic: 0.6, individualistic: 0.4 });
+    assert.deepEqual(result.unknown_columns, ['shoe_size']);
+
+    // Non-numeric scores are excluded with a warning rather than failing the row
+    const warning = result.rows[1].warnings.find(issue => issue.code === 'non_numeric');
+    assert.equal(warning.column, 'broa.beliefs.autonomy');
+});
+
+test('a background given both as a cell and as culture columns is a row error', () => {
+    const csv = 'id,cultural_background,culture.collectivistic\na1,individualistic,1\n';
+    const result = new TabularAgentIO().importProfiles(csv);
+
+    assert.equal(result.errors[0].code, 'conflicting_columns');
+    assert.deepEqual(result.profiles, []);
+});
+
+test('results export as flat, quoted tables', () => {
+    const io = new TabularAgentIO();
+    const atcf = new ATCFCalculator().calculateATCF(agents[0]);
+    const row = io.atcfResultRow(atcf, agents[0]);
+
+    assert.equal(row.id, 'agent_001');
+    assert.equal(row.total_score, atcf.total_score);
+    assert.equal(row.interpretation, atcf.interpretation.level);
+
+    const tables = io.teamTables(new CoordinationAssessment().assessTeamCoordination(agents));
+    assert.deepEqual(tables.pairs.map(pair => [pair.member_1, pair.member_2]), [['agent_001', 'agent_002']]);
+    assert.ok(tables.interventions.every(entry => ['team', 'pair'].includes(entry.level)));
+
+    assert.equal(io.toCSV([{ note: 'x, y', quote: 'say "hi"' }]), 'note,quote\n"x, y","say ""hi"""\n');
+});
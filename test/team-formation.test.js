@@ -0,0 +1,45 @@
+// test/team-formation.test.js
+// Team formation: pool and constraint validation
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TeamFormationEngine, FrameworkData, ProfileValidationError } = require('..');
+
+const agents = Object.values(FrameworkData.sampleAgentData);
+
+test('an invalid pool entry is reported by index and id before any scoring', () => {
+    const engine = new TeamFormationEngine();
+    const weights = { ...engine.coordinationAssessment.atcfCalculator.weights };
+    const pool = [...agents, { ...agents[1], id: 'broken', broa_data: 'none' }];
+
+    assert.throws(() => engine.formOptimalTeams(pool, 2), error =>
+        error instanceof ProfileValidationError && error.message.startsWith(`Pool entry ${agents.length} ('broken'):`));
+    assert.deepEqual(engine.coordinationAssessment.atcfCalculator.weights, weights);
+});
+
+test('pool profiles are scored after sanitizing', () => {
+    const engine = new TeamFormationEngine();
+    const withBelief = autonomy => agents.map((agent, index) => (index === 0
+        ? { ...agent, broa_data: { ...agent.broa_data, beliefs: { ...agent.broa_data.beliefs, autonomy } } }
+        : agent));
+
+    // Out-of-range beliefs are clamped by the validator, so 1.4 must score exactly like 1
+    assert.equal(
+        engine.formOptimalTeams(withBelief(1.4), 2).teams[0].score,
+        engine.formOptimalTeams(withBelief(1), 2).teams[0].score
+    );
+});
+
+test('a repeated pool id is rejected instead of pairing an agent with itself', () => {
+    const engine = new TeamFormationEngine();
+
+    assert.throws(() => engine.formOptimalTeams([agents[0], agents[0], agents[1]], 2),
+        /^Error: Pool entry 1 \('agent_001'\): duplicate id, already used by pool entry 0$/);
+});
+
+test('an id both required and excluded is rejected', () => {
+    const engine = new TeamFormationEngine();
+
+    assert.throws(() => engine.formOptimalTeams(agents, 2, {}, { mustInclude: ['agent_001'], exclude: ['agent_001'] }),
+        /both required and excluded: agent_001/);
+});
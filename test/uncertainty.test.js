@@ -0,0 +1,50 @@
+// test/uncertainty.test.js
+// Uncertainty analysis: reproducible intervals, ranked sensitivity and fallback counts
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UncertaintyAnalyzer, FrameworkData } = require('..');
+
+const [agent1, agent2] = Object.values(FrameworkData.sampleAgentData);
+const timeWindow = { current: Date.parse('2026-01-01T00:00:00Z') };
+
+test('ATCF intervals bracket the point estimate and repeat under the same seed', () => {
+    const analyzer = new UncertaintyAnalyzer();
+    const first = analyzer.estimateATCF(agent1, { iterations: 100, timeWindow });
+    const second = analyzer.estimateATCF(agent1, { iterations: 100, timeWindow });
+    const { total_score: interval } = first.intervals;
+
+    assert.ok(interval.lower <= first.point_estimate.total_score && first.point_estimate.total_score <= interval.upper);
+    assert.ok(interval.width > 0);
+    assert.deepEqual(second.intervals, first.intervals);
+});
+
+test('no measurement error gives zero-width intervals', () => {
+    const result = new UncertaintyAnalyzer(undefined, { defaultError: 0 }).estimateATCF(agent1, { iterations: 20, timeWindow });
+
+    for (const interval of Object.values(result.intervals)) {
+        assert.equal(interval.width, 0);
+    }
+});
+
+test('sensitivity ranks the inputs by how far they move the score', () => {
+    const result = new UncertaintyAnalyzer().estimateCoordination(agent1, agent2, {}, { iterations: 20 });
+    const effects = result.sensitivity.map(entry => Math.abs(entry.effect_per_unit));
+
+    assert.ok(effects.length > 0);
+    effects.slice(1).forEach((effect, index) => assert.ok(effect <= effects[index]));
+    assert.ok(result.sensitivity.every(entry => ['agent1', 'agent2'].includes(entry.agent)));
+    assert.ok(result.intervals.coordination_potential.lower <= result.intervals.coordination_potential.upper);
+});
+
+test('reliability counts the fallback defaults behind a score', () => {
+    const analyzer = new UncertaintyAnalyzer();
+    const incomplete = structuredClone(agent1);
+    delete incomplete.broa_data.authenticity.value_alignment;
+
+    assert.equal(analyzer.estimateATCF(agent1, { iterations: 10, timeWindow }).reliability.level, 'high');
+
+    const { reliability } = analyzer.estimateATCF(incomplete, { iterations: 10, timeWindow });
+    assert.equal(reliability.fallback_count, 1);
+    assert.equal(reliability.level, 'medium');
+});
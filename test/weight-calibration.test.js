@@ -0,0 +1,76 @@
+// test/weight-calibration.test.js
+// Weight calibration: fits and culture modifiers that do not beat the defaults are not exported
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WeightCalibrator, FrameworkData, defaultCoordinationWeights } = require('..');
+
+const [agent1, agent2] = Object.values(FrameworkData.sampleAgentData);
+const dataset = { agents: [{ profile: agent1, outcome: 0.9 }, { profile: agent2, outcome: 0.2 }] };
+const defaultWeights = { alpha: 0.25, beta: 0.25, gamma: 0.25, delta: 0.25 };
+
+test('too few samples keep the default weights', () => {
+    const result = new WeightCalibrator().calibrate(dataset);
+
+    assert.equal(result.atcf.accepted, false);
+    assert.deepEqual(result.config.atcf_weights, defaultWeights);
+    assert.deepEqual(result.config.coordination_weights, defaultCoordinationWeights);
+});
+
+test('a fit that is worse on held-out data keeps the default weights', () => {
+    const result = new WeightCalibrator(undefined, { minSamples: 2 }).calibrate(dataset);
+
+    assert.equal(result.atcf.cross_validation.improves_on_default, false);
+    assert.equal(result.atcf.accepted, false);
+    assert.deepEqual(result.config.atcf_weights, defaultWeights);
+});
+
+test('force exports the fit anyway', () => {
+    const result = new WeightCalibrator().calibrate(dataset, { force: true });
+
+    assert.equal(result.atcf.accepted, true);
+    assert.deepEqual(result.config.atcf_weights, result.atcf.weights);
+});
+
+// Twenty single-culture profiles, alternating individualistic and collectivistic, with seeded UEV values
+function cultureDataset(outcomeFor) {
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const agents = [];
+    for (let index = 0; index < 20; index++) {
+        const profile = structuredClone(index % 2 ? agent2 : agent1);
+        for (const group of Object.values(profile.uev_data)) {
+            for (const key of Object.keys(group)) {
+                if (typeof group[key] === 'number') group[key] = Math.round(random() * 100) / 100;
+            }
+        }
+        agents.push({ profile, outcome: outcomeFor(profile, random) });
+    }
+    return { agents };
+}
+
+test('culture modifiers that only fit noise are not exported with accepted weights', () => {
+    const calibrator = new WeightCalibrator();
+    const registryModifiers = calibrator.atcfCalculator.exportWeightConfig().atcf_modifiers;
+    const result = calibrator.calibrate(cultureDataset((profile, random) => Math.round(random() * 100) / 100));
+
+    assert.equal(result.atcf.accepted, true);
+    assert.ok(Object.keys(result.atcf.modifiers).length > 0);
+    assert.equal(result.atcf.modifier_cross_validation.improves_on_registry, false);
+    assert.equal(result.atcf.modifiers_accepted, false);
+    assert.deepEqual(result.config.atcf_modifiers, registryModifiers);
+    assert.equal(result.config.calibration.modifiers_accepted, false);
+});
+
+test('culture modifiers that improve held-out fit are exported', () => {
+    const calculator = new WeightCalibrator().atcfCalculator;
+    // Collectivistic outcomes run opposite to the ATCF score, which only a culture modifier can express
+    const result = new WeightCalibrator().calibrate(cultureDataset(profile => {
+        const score = calculator.calculateATCF(profile).total_score;
+        return profile.cultural_background === 'collectivistic' ? 1 - score : score;
+    }));
+
+    assert.equal(result.atcf.modifier_cross_validation.improves_on_registry, true);
+    assert.equal(result.atcf.modifiers_accepted, true);
+    assert.deepEqual(result.config.atcf_modifiers.collectivistic, result.atcf.modifiers.collectivistic);
+});